@@ -0,0 +1,171 @@
+// ============================================
+// Accessibility (motion & contrast preferences, keyboard cursor, announcements)
+// ============================================
+
+// 'auto' follows the operating system setting
+export const preferenceModes = ['auto', 'on', 'off'];
+
+// How much of the motion is left with reduced motion on
+export const REDUCED_MOTION = {
+    rotation: 0.25, // Idle spin and auto-orbit
+    force: 0.5, // Cursor and audio pulse forces
+};
+
+// The force point the arrow keys move around
+export const KEYBOARD_POINTER = 'keyboard';
+
+// Follows a media query. matches is false where matchMedia does not exist.
+export function watchMediaQuery(query, onChange) {
+    const list = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(query) : null;
+    const listener = () => onChange(list.matches);
+    if (list) list.addEventListener('change', listener);
+
+    return {
+        get matches() {
+            return list !== null && list.matches;
+        },
+        stop() {
+            if (list) list.removeEventListener('change', listener);
+        },
+    };
+}
+
+// 'on' / 'off', or the query's current state for 'auto'
+export function resolvePreference(mode, query) {
+    return mode === 'auto' ? query.matches : mode === 'on';
+}
+
+// ============================================
+// Keyboard Cursor
+// ============================================
+
+const ARROWS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, 1],
+    ArrowDown: [0, -1],
+};
+
+// Arrow keys glide a force point across the screen, Enter presses it like a mouse
+// button. onMove(x, y) and onPress(isDown) get normalized device coordinates.
+export class KeyboardCursor {
+    constructor({ onMove, onPress, onShow }) {
+        this.onMove = onMove;
+        this.onPress = onPress;
+        this.onShow = onShow; // Called when the first arrow key brings the cursor up
+        this.held = new Set();
+        this.isActive = false;
+        this.isPressed = false;
+        this.isFast = false;
+        this.speed = 0.6; // Screen heights per second
+        this.x = 0;
+        this.y = 0;
+    }
+
+    // Returns whether the key was used
+    handleKeyDown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return false;
+
+        if (e.code in ARROWS) {
+            this.held.add(e.code);
+            this.isFast = e.shiftKey;
+            if (!this.isActive) {
+                this.isActive = true;
+                this.onMove(this.x, this.y);
+                if (this.onShow) this.onShow();
+            }
+            return true;
+        }
+
+        if ((e.code === 'Enter' || e.code === 'NumpadEnter') && this.isActive) {
+            if (!this.isPressed) {
+                this.isPressed = true;
+                this.onPress(true);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    handleKeyUp(e) {
+        this.held.delete(e.code);
+        if ((e.code === 'Enter' || e.code === 'NumpadEnter') && this.isPressed) {
+            this.isPressed = false;
+            this.onPress(false);
+        }
+    }
+
+    // Keys held while focus left would otherwise stay down
+    releaseKeys() {
+        this.held.clear();
+        if (this.isPressed) {
+            this.isPressed = false;
+            this.onPress(false);
+        }
+    }
+
+    hide() {
+        this.releaseKeys();
+        this.isActive = false;
+    }
+
+    update(delta) {
+        if (this.held.size === 0) return;
+
+        let dx = 0;
+        let dy = 0;
+        for (const code of this.held) {
+            dx += ARROWS[code][0];
+            dy += ARROWS[code][1];
+        }
+        if (dx === 0 && dy === 0) return;
+
+        // Both axes span 2 units, so the cursor crosses the screen at the same pace either way
+        const step = this.speed * (this.isFast ? 3 : 1) * delta * 2 / Math.hypot(dx, dy);
+        this.x = Math.min(Math.max(this.x + dx * step, -1), 1);
+        this.y = Math.min(Math.max(this.y + dy * step, -1), 1);
+        this.onMove(this.x, this.y);
+    }
+}
+
+// ============================================
+// Announcements
+// ============================================
+
+// A visually hidden live region. Messages said together (one key press can change
+// several things) are read as one, and the same message twice is read twice.
+export class Announcer {
+    constructor(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'visually-hidden';
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+        this.element.setAttribute('aria-atomic', 'true');
+        container.appendChild(this.element);
+        this.pending = [];
+        this.timeout = null;
+    }
+
+    say(message) {
+        this.pending.push(message);
+        if (this.timeout !== null) return;
+
+        // Cleared first so an identical message still counts as a change
+        this.element.textContent = '';
+        this.timeout = setTimeout(() => {
+            this.element.textContent = this.pending.join('. ');
+            this.pending = [];
+            this.timeout = null;
+        }, 50);
+    }
+
+    destroy() {
+        clearTimeout(this.timeout);
+        this.element.remove();
+    }
+}
+
+// 'sphere-shell' → 'sphere shell', 'model:chair.obj' → 'model chair.obj'
+export function describeShape(name) {
+    return name.replace(/[-:]/g, ' ');
+}
@@ -0,0 +1,209 @@
+// ============================================
+// Audio-Reactive Input (microphone / audio file)
+// ============================================
+
+// Frequency ranges in Hz
+export const audioBands = {
+    bass: [20, 250],
+    mids: [250, 2000],
+    highs: [2000, 8000],
+};
+
+// Simulation parameters a band can drive, with the amount a full-scale band adds
+export const audioModulation = {
+    none: 0,
+    pulse: 1.5, // Radial push away from the shape centre, in velocity units
+    windStrength: 0.6,
+    windTurbulence: 1.5,
+    noiseAmount: 1.2,
+    mouseForce: 2,
+    particleSize: 3,
+};
+
+export const audioTargets = Object.keys(audioModulation);
+
+const FFT_SIZE = 2048;
+
+export function isAudioFile(file) {
+    return file.type.startsWith('audio/') || /\.(mp3|wav|ogg|oga|flac|m4a|aac|opus)$/i.test(file.name);
+}
+
+// Average level (0-1) of each band in byte frequency data from an AnalyserNode
+export function measureBands(frequencyData, sampleRate, fftSize = FFT_SIZE) {
+    const binWidth = sampleRate / fftSize;
+    const levels = {};
+
+    for (const [band, [low, high]] of Object.entries(audioBands)) {
+        const start = Math.max(0, Math.floor(low / binWidth));
+        const end = Math.min(frequencyData.length, Math.ceil(high / binWidth));
+
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += frequencyData[i];
+        levels[band] = end > start ? sum / ((end - start) * 255) : 0;
+    }
+
+    return levels;
+}
+
+// Turns band levels into additive parameter offsets, e.g. { bass: 'pulse' }
+// with a loud bass gives { pulse: 1.5, ... }
+export function mapAudioLevels(levels, mapping) {
+    const offsets = {};
+    for (const target of audioTargets) offsets[target] = 0;
+
+    for (const [band, target] of Object.entries(mapping)) {
+        if (target in audioModulation) {
+            offsets[target] += (levels[band] || 0) * audioModulation[target];
+        }
+    }
+    return offsets;
+}
+
+// Energy beats: a band level jumping well above its recent average
+export class BeatDetector {
+    constructor({ threshold = 1.4, cooldown = 0.3, historyLength = 60 } = {}) {
+        this.threshold = threshold;
+        this.cooldown = cooldown; // Seconds between beats
+        this.history = new Float32Array(historyLength);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.lastBeat = -Infinity;
+    }
+
+    detect(level, time) {
+        let average = 0;
+        for (let i = 0; i < this.historyFilled; i++) average += this.history[i];
+        average = this.historyFilled > 0 ? average / this.historyFilled : 0;
+
+        this.history[this.historyIndex] = level;
+        this.historyIndex = (this.historyIndex + 1) % this.history.length;
+        this.historyFilled = Math.min(this.historyFilled + 1, this.history.length);
+
+        // Silence and the first moments after starting never count
+        const isBeat = this.historyFilled >= this.history.length / 2
+            && level > 0.1
+            && level > average * this.threshold
+            && time - this.lastBeat >= this.cooldown;
+
+        if (isBeat) this.lastBeat = time;
+        return isBeat;
+    }
+
+    reset() {
+        this.history.fill(0);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.lastBeat = -Infinity;
+    }
+}
+
+// Feeds a microphone or an audio file through an AnalyserNode. The audio
+// context (and the output for file playback) comes from the SoundManager.
+export class AudioReactive {
+    constructor(soundManager) {
+        this.soundManager = soundManager;
+        this.analyser = null;
+        this.frequencyData = null;
+        this.source = null;
+        this.stream = null;
+        this.element = null;
+        this.elementUrl = null;
+        this.beatDetector = new BeatDetector();
+        this.gain = 1;
+    }
+
+    get isActive() {
+        return this.source !== null;
+    }
+
+    get ctx() {
+        this.soundManager.init();
+        return this.soundManager.ctx;
+    }
+
+    createAnalyser() {
+        if (this.analyser) return this.analyser;
+
+        this.analyser = this.ctx.createAnalyser();
+        this.analyser.fftSize = FFT_SIZE;
+        this.analyser.smoothingTimeConstant = 0.75;
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        return this.analyser;
+    }
+
+    // Only listened to, never played back (that would feed back into the mic)
+    async startMicrophone() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Microphone input is not supported in this browser');
+        }
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+        });
+
+        this.stop();
+        const ctx = this.ctx;
+        if (ctx.state === 'suspended') await ctx.resume();
+
+        this.stream = stream;
+        this.source = ctx.createMediaStreamSource(stream);
+        this.source.connect(this.createAnalyser());
+        this.beatDetector.reset();
+        console.log('Audio-reactive: microphone');
+    }
+
+    // Loops the file through the master output, so mute applies to it too
+    async startFile(file) {
+        this.stop();
+        const ctx = this.ctx;
+        if (ctx.state === 'suspended') await ctx.resume();
+
+        this.elementUrl = URL.createObjectURL(file);
+        this.element = new Audio(this.elementUrl);
+        this.element.loop = true;
+
+        this.source = ctx.createMediaElementSource(this.element);
+        this.source.connect(this.createAnalyser());
+        this.source.connect(this.soundManager.masterGain);
+        this.beatDetector.reset();
+
+        try {
+            await this.element.play();
+        } catch (error) {
+            this.stop();
+            throw new Error(`Could not play ${file.name}: ${error.message}`);
+        }
+        console.log(`Audio-reactive: ${file.name}`);
+    }
+
+    stop() {
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach((track) => track.stop());
+            this.stream = null;
+        }
+        if (this.element) {
+            this.element.pause();
+            this.element = null;
+            URL.revokeObjectURL(this.elementUrl);
+            this.elementUrl = null;
+        }
+    }
+
+    // Current band levels scaled by the input gain, plus whether the bass just hit a beat
+    sample() {
+        if (!this.isActive) return null;
+
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        const levels = measureBands(this.frequencyData, this.ctx.sampleRate, this.analyser.fftSize);
+        for (const band of Object.keys(levels)) {
+            levels[band] = Math.min(levels[band] * this.gain, 1);
+        }
+
+        levels.beat = this.beatDetector.detect(levels.bass, this.ctx.currentTime);
+        return levels;
+    }
+}
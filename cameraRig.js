@@ -0,0 +1,251 @@
+// ============================================
+// Camera Rig (orbit, pan, zoom, scripted paths)
+// ============================================
+
+import * as THREE from 'three';
+
+export const DEFAULT_CAMERA_DISTANCE = 400;
+const MIN_DISTANCE = 120;
+const MAX_DISTANCE = 1200;
+
+const ORBIT_SPEED = 0.005; // Radians per pixel
+const ZOOM_SPEED = 0.001; // Per wheel delta unit
+const SECONDS_PER_KEYFRAME = 4;
+
+// A fly-through that swoops past, then through the cloud (looped, so it ends where it starts)
+export const defaultCameraPath = [
+    { position: [0, 0, 400], target: [0, 0, 0] },
+    { position: [320, 140, 160], target: [0, 0, 0] },
+    { position: [120, 30, -60], target: [-60, 0, -20] },
+    { position: [-40, -10, 40], target: [-200, -20, 60] },
+    { position: [-300, -90, 180], target: [0, 0, 0] },
+];
+
+// Orbits a target on a sphere. Navigation uses mouse buttons and modifiers that the
+// particle interaction leaves alone: right or shift drag orbits, middle or ctrl drag
+// pans, the wheel zooms. Scripted modes ('orbit', 'path') advance in update().
+export class CameraRig {
+    constructor(camera, domElement) {
+        this.camera = camera;
+        this.domElement = domElement;
+
+        this.target = new THREE.Vector3();
+        this.spherical = new THREE.Spherical(DEFAULT_CAMERA_DISTANCE, Math.PI / 2, 0);
+
+        this.yaw = 0; // Radians this screen is turned around the target, kept out of the state
+        this.viewSpherical = new THREE.Spherical();
+        this.up = new THREE.Vector3(0, 1, 0);
+
+        this.mode = 'manual'; // 'manual' | 'orbit' | 'path'
+        this.orbitSpeed = 0.15; // Radians per second
+        this.keyframes = [];
+        this.path = null;
+
+        this.drag = null;
+        this.onChange = null; // Called with getState() after user navigation
+
+        this.onPointerDown = (e) => this.handlePointerDown(e);
+        this.onPointerMove = (e) => this.handlePointerMove(e);
+        this.onPointerUp = (e) => this.handlePointerUp(e);
+        this.onWheel = (e) => this.handleWheel(e);
+        this.onContextMenu = (e) => e.preventDefault();
+
+        this.apply();
+    }
+
+    attach() {
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointermove', this.onPointerMove);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+        this.domElement.addEventListener('pointercancel', this.onPointerUp);
+        this.domElement.addEventListener('wheel', this.onWheel, { passive: false });
+        this.domElement.addEventListener('contextmenu', this.onContextMenu);
+    }
+
+    detach() {
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+        this.domElement.removeEventListener('wheel', this.onWheel);
+        this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+    }
+
+    // Presses the particle interaction should not see. Alt belongs to the force field editor.
+    isNavigationEvent(e) {
+        if (e.pointerType !== 'mouse' || e.altKey) return false;
+        return e.button === 1 || e.button === 2 || e.shiftKey || e.ctrlKey || e.metaKey;
+    }
+
+    get isDragging() {
+        return this.drag !== null;
+    }
+
+    // Distance to the point being looked at, the depth of field focuses there
+    get distance() {
+        return this.camera.position.distanceTo(this.target);
+    }
+
+    // ============================================
+    // Manual Navigation
+    // ============================================
+
+    handlePointerDown(e) {
+        if (!this.isNavigationEvent(e)) return;
+
+        const action = e.button === 1 || e.ctrlKey || e.metaKey ? 'pan' : 'orbit';
+        this.drag = { id: e.pointerId, action, x: e.clientX, y: e.clientY };
+        this.domElement.setPointerCapture(e.pointerId);
+        this.stopAutomation();
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.id) return;
+
+        const dx = e.clientX - this.drag.x;
+        const dy = e.clientY - this.drag.y;
+        this.drag.x = e.clientX;
+        this.drag.y = e.clientY;
+
+        if (this.drag.action === 'orbit') this.orbit(dx, dy);
+        else this.pan(dx, dy);
+        this.notifyChange();
+    }
+
+    handlePointerUp(e) {
+        if (this.drag && e.pointerId === this.drag.id) this.drag = null;
+    }
+
+    handleWheel(e) {
+        if (e.altKey) return;
+        e.preventDefault();
+        this.stopAutomation();
+        this.zoom(Math.exp(e.deltaY * ZOOM_SPEED));
+        this.notifyChange();
+    }
+
+    orbit(dx, dy) {
+        this.spherical.theta -= dx * ORBIT_SPEED;
+        this.spherical.phi = THREE.MathUtils.clamp(this.spherical.phi - dy * ORBIT_SPEED, 0.05, Math.PI - 0.05);
+        this.apply();
+    }
+
+    // Moves the target in the view plane, scaled so the cloud follows the cursor
+    pan(dx, dy) {
+        const scale = (2 * this.spherical.radius * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)))
+            / this.domElement.clientHeight;
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 1);
+
+        this.target.addScaledVector(right, -dx * scale).addScaledVector(up, dy * scale);
+        this.apply();
+    }
+
+    // factor > 1 moves away
+    zoom(factor) {
+        this.spherical.radius = THREE.MathUtils.clamp(this.spherical.radius * factor, MIN_DISTANCE, MAX_DISTANCE);
+        this.apply();
+    }
+
+    apply() {
+        this.viewSpherical.copy(this.spherical);
+        this.viewSpherical.theta += this.yaw;
+        this.camera.position.setFromSpherical(this.viewSpherical).add(this.target);
+        this.camera.lookAt(this.target);
+        this.camera.updateMatrixWorld();
+    }
+
+    notifyChange() {
+        if (this.onChange) this.onChange(this.getState());
+    }
+
+    getState() {
+        return {
+            target: this.target.toArray(),
+            radius: this.spherical.radius,
+            phi: this.spherical.phi,
+            theta: this.spherical.theta,
+        };
+    }
+
+    setState({ target, radius, phi, theta }) {
+        this.target.fromArray(target);
+        this.spherical.set(radius, phi, theta);
+        this.apply();
+    }
+
+    reset() {
+        this.stopAutomation();
+        this.setState({ target: [0, 0, 0], radius: DEFAULT_CAMERA_DISTANCE, phi: Math.PI / 2, theta: 0 });
+    }
+
+    // ============================================
+    // Scripted Modes
+    // ============================================
+
+    startAutoOrbit() {
+        this.stopAutomation();
+        this.mode = 'orbit';
+    }
+
+    addKeyframe() {
+        // Without the yaw, so the path plays the same on every screen
+        const position = this.camera.position.clone().sub(this.target).applyAxisAngle(this.up, -this.yaw).add(this.target);
+        this.keyframes.push({ position: position.toArray(), target: this.target.toArray() });
+        return this.keyframes.length;
+    }
+
+    clearKeyframes() {
+        this.keyframes = [];
+    }
+
+    // Keyframes are { position: [x, y, z], target: [x, y, z] }, played at an even speed
+    playPath(keyframes, loop = true) {
+        if (keyframes.length < 2) return false;
+
+        this.stopAutomation();
+        const points = (key) => keyframes.map((frame) => new THREE.Vector3().fromArray(frame[key]));
+        this.path = {
+            positions: new THREE.CatmullRomCurve3(points('position'), loop, 'centripetal'),
+            targets: new THREE.CatmullRomCurve3(points('target'), loop, 'centripetal'),
+            duration: keyframes.length * SECONDS_PER_KEYFRAME,
+            loop,
+            elapsed: 0,
+        };
+        this.mode = 'path';
+        return true;
+    }
+
+    // Hands control back from wherever the automation left the camera
+    stopAutomation() {
+        if (this.mode === 'path') {
+            this.spherical.setFromVector3(this.camera.position.clone().sub(this.target));
+            this.spherical.theta -= this.yaw;
+            this.path = null;
+        }
+        this.mode = 'manual';
+    }
+
+    update(delta) {
+        if (this.mode === 'orbit') {
+            this.spherical.theta += this.orbitSpeed * delta;
+            this.apply();
+        } else if (this.mode === 'path') {
+            const path = this.path;
+            path.elapsed += delta;
+
+            let t = path.elapsed / path.duration;
+            if (t >= 1 && !path.loop) {
+                this.stopAutomation();
+                return;
+            }
+            t %= 1;
+
+            path.positions.getPointAt(t, this.camera.position);
+            path.targets.getPointAt(t, this.target);
+            this.camera.position.sub(this.target).applyAxisAngle(this.up, this.yaw).add(this.target);
+            this.camera.lookAt(this.target);
+            this.camera.updateMatrixWorld();
+        }
+    }
+}
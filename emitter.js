@@ -0,0 +1,52 @@
+// ============================================
+// Event Emitter
+// ============================================
+
+// Minimal typed listeners for the embedding API. Listeners run synchronously,
+// one that throws is reported and does not stop the others.
+export class Emitter {
+    constructor() {
+        this.eventListeners = new Map(); // type -> listener[]
+    }
+
+    // Returns a function that removes the listener again
+    on(type, listener) {
+        const list = this.eventListeners.get(type) || [];
+        this.eventListeners.set(type, [...list, listener]);
+        return () => this.off(type, listener);
+    }
+
+    // Runs once for the next event of the type
+    once(type, listener) {
+        const off = this.on(type, (detail) => {
+            off();
+            listener(detail);
+        });
+        return off;
+    }
+
+    off(type, listener) {
+        const list = this.eventListeners.get(type);
+        if (!list) return;
+        const rest = list.filter((l) => l !== listener);
+        if (rest.length > 0) this.eventListeners.set(type, rest);
+        else this.eventListeners.delete(type);
+    }
+
+    emit(type, detail = {}) {
+        const list = this.eventListeners.get(type);
+        if (!list) return;
+        // on and off replace the array, so listeners can unsubscribe while it is delivered
+        for (const listener of list) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in '${type}' listener:`, error);
+            }
+        }
+    }
+
+    removeAllListeners() {
+        this.eventListeners.clear();
+    }
+}
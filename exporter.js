@@ -0,0 +1,296 @@
+// ============================================
+// Still, Video & Frame Sequence Export
+// ============================================
+
+import { FIXED_TIMESTEP } from './recorder.js';
+import { qualityTiers } from './quality.js';
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// Browsers read the blob after click() returns, the URL has to outlive it
+const REVOKE_DELAY = 60000; // ms
+
+// Frames without a folder picker are held until the zip downloads, so it stops growing here
+const MAX_ZIP_SIZE = 1024 * 1024 * 1024;
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+export function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
+
+// The bitmap is copied when toBlob is called, so the canvas may change while this waits
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+    });
+}
+
+// ============================================
+// Zip (stored, no compression: PNGs are compressed already)
+// ============================================
+
+const crcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    crcTable[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    // The blob itself is kept, not its bytes, so the browser may hold it outside memory
+    async add(name, blob) {
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+        const nameBytes = new TextEncoder().encode(name);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true); // Version needed
+        header.setUint32(14, crc, true);
+        header.setUint32(18, blob.size, true);
+        header.setUint32(22, blob.size, true);
+        header.setUint16(26, nameBytes.length, true);
+
+        this.parts.push(header, nameBytes, blob);
+        this.entries.push({ nameBytes, crc, size: blob.size, offset: this.offset });
+        this.offset += 30 + nameBytes.length + blob.size;
+    }
+
+    toBlob() {
+        const central = [];
+        let centralSize = 0;
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true);
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true); // Version needed
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+            central.push(record, entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...central, end], { type: 'application/zip' });
+    }
+}
+
+// ============================================
+// Exporter
+// ============================================
+
+export class Exporter {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.mediaRecorder = null;
+        this.audioDestination = null;
+        this.isRenderingOffline = false;
+        this.isCancelled = false;
+    }
+
+    get isRecordingVideo() {
+        return this.mediaRecorder !== null;
+    }
+
+    get canvas() {
+        return this.simulation.renderer.domElement;
+    }
+
+    // Renders at the canvas's aspect, scale times its size, capped by the GPU's limit.
+    // Exports are not real time, so they always get every particle and effect.
+    setRenderSize(scale) {
+        const sim = this.simulation;
+        sim.applyQualityTier(qualityTiers[qualityTiers.length - 1]);
+
+        const maxSize = sim.renderer.capabilities.maxTextureSize;
+        const fit = Math.min(scale, maxSize / sim.width, maxSize / sim.height);
+        const width = Math.floor(sim.width * fit);
+        const height = Math.floor(sim.height * fit);
+
+        // The canvas keeps its CSS size, only the drawing buffer grows
+        sim.renderer.setPixelRatio(1);
+        sim.renderer.setSize(width, height, false);
+        sim.effects.setSize(width, height, 1);
+        // Points are sized in pixels, so they grow with the resolution
+        sim.material.uniforms.uPixelRatio.value = fit;
+        return { width, height };
+    }
+
+    // Back to the canvas size and the governor's tier
+    restoreRenderSize() {
+        this.simulation.applyQualityTier();
+    }
+
+    // The current frame, re-rendered at scale times the canvas size
+    async captureStill(scale = 2) {
+        if (this.isRenderingOffline) return;
+
+        const { width, height } = this.setRenderSize(scale);
+        this.simulation.renderFrame();
+        const pending = canvasToBlob(this.canvas);
+        this.restoreRenderSize();
+
+        download(await pending, `particles-${timestamp()}.png`);
+        console.log(`Saved ${width}×${height} still`);
+    }
+
+    // ============================================
+    // Live Video
+    // ============================================
+
+    startVideo(frameRate = 60) {
+        if (this.isRecordingVideo || typeof MediaRecorder === 'undefined') {
+            if (!this.isRecordingVideo) console.warn('Video recording is not supported in this browser');
+            return;
+        }
+
+        const stream = this.canvas.captureStream(frameRate);
+
+        // Everything the SoundManager plays, audio-reactive file playback included
+        const sound = this.simulation.soundManager;
+        sound.init();
+        this.audioDestination = sound.ctx.createMediaStreamDestination();
+        sound.masterGain.connect(this.audioDestination);
+        for (const track of this.audioDestination.stream.getAudioTracks()) stream.addTrack(track);
+
+        const mimeType = VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+        const chunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        this.mediaRecorder.addEventListener('stop', () => {
+            stream.getTracks().forEach((track) => track.stop());
+            download(new Blob(chunks, { type: mimeType || 'video/webm' }), `particles-${timestamp()}.webm`);
+        });
+
+        // Chunks every second, so a crash loses little
+        this.mediaRecorder.start(1000);
+        console.log('Video recording started');
+    }
+
+    stopVideo() {
+        if (!this.isRecordingVideo) return;
+
+        this.mediaRecorder.stop();
+        this.mediaRecorder = null;
+        this.simulation.soundManager.masterGain.disconnect(this.audioDestination);
+        this.audioDestination = null;
+        console.log('Video recording stopped');
+    }
+
+    toggleVideo(frameRate) {
+        if (this.isRecordingVideo) this.stopVideo();
+        else this.startVideo(frameRate);
+    }
+
+    // ============================================
+    // Offline Frame Sequence
+    // ============================================
+
+    // PNG frames at a fixed dt, rendered as fast as the GPU allows rather than in real time.
+    // Continues from the current state, or follows a replay that is playing.
+    // Frames go to a picked folder where the browser allows it, otherwise into a zip of
+    // at most MAX_ZIP_SIZE bytes.
+    async renderFrames({ frameRate = 30, duration = 10, scale = 1 } = {}) {
+        const sim = this.simulation;
+        if (this.isRenderingOffline) return;
+        if (sim.recorder.isRecording) {
+            console.warn('Stop the recording before rendering frames');
+            return;
+        }
+
+        let directory = null;
+        if (window.showDirectoryPicker) {
+            try {
+                directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            } catch {
+                return; // Picker dismissed
+            }
+        }
+
+        // The simulation steps at 60 Hz whatever the output rate, physics is per step
+        const stepsPerSecond = 1 / FIXED_TIMESTEP;
+        let frames = Math.max(1, Math.round(duration * frameRate));
+        if (sim.isReplaying) {
+            const remaining = sim.player.session.frameCount - sim.simFrame;
+            frames = Math.min(frames, Math.floor(remaining * frameRate / stepsPerSecond));
+        } else {
+            sim.fixedTimestep = FIXED_TIMESTEP;
+        }
+
+        this.isRenderingOffline = true;
+        this.isCancelled = false;
+        const zip = directory ? null : new ZipWriter();
+        const firstStep = sim.simFrame;
+        const { width, height } = this.setRenderSize(scale);
+        console.log(`Rendering ${frames} frames at ${width}×${height} (Esc cancels)`);
+
+        try {
+            for (let frame = 0; frame < frames && !this.isCancelled; frame++) {
+                const step = firstStep + Math.round(frame * stepsPerSecond / frameRate);
+                while (sim.simFrame <= step) sim.advance();
+                sim.renderFrame();
+
+                const name = `frame-${String(frame).padStart(5, '0')}.png`;
+                const blob = await canvasToBlob(this.canvas);
+                if (directory) {
+                    const file = await directory.getFileHandle(name, { create: true });
+                    const writable = await file.createWritable();
+                    await writable.write(blob);
+                    await writable.close();
+                } else {
+                    await zip.add(name, blob);
+                    if (zip.offset >= MAX_ZIP_SIZE && frame + 1 < frames) {
+                        console.warn(`The zip is full after ${frame + 1} frames, pick a folder for longer sequences`);
+                        break;
+                    }
+                }
+
+                if ((frame + 1) % frameRate === 0) console.log(`Rendered ${frame + 1} / ${frames} frames`);
+            }
+
+            if (zip && zip.entries.length > 0) download(zip.toBlob(), `particles-frames-${timestamp()}.zip`);
+            console.log(this.isCancelled ? 'Frame rendering cancelled' : 'Frame rendering finished');
+        } catch (error) {
+            console.error('Frame rendering failed:', error);
+        } finally {
+            if (!sim.isReplaying) sim.fixedTimestep = null;
+            // A simulation destroyed mid-render has no renderer left to restore
+            if (!sim.isDestroyed) this.restoreRenderSize();
+            this.isRenderingOffline = false;
+        }
+    }
+
+    cancel() {
+        this.isCancelled = true;
+    }
+}
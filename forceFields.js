@@ -0,0 +1,455 @@
+// ============================================
+// Force Fields (persistent scene forces)
+// ============================================
+
+import * as THREE from 'three';
+import { FIELD_NOISE_SCALE, FIELD_STRIDE, MAX_FORCE_FIELDS } from './simulationCore.js';
+
+// The force model itself is plain math in simulationCore.js, this module places and draws fields
+export { MAX_FORCE_FIELDS, applyForceFields, createFieldData } from './simulationCore.js';
+
+// Type index used by the shader, and what a new field of each type starts with
+export const fieldTypes = {
+    attractor: { index: 0, strength: 0.3, color: 0x4fc3f7 },
+    repulsor: { index: 1, strength: 0.5, color: 0xff7043 },
+    vortex: { index: 2, strength: 0.4, color: 0xba68c8 },
+    wind: { index: 3, strength: 0.3, color: 0x81c784 },
+    gravity: { index: 4, strength: 0.3, color: 0xffd54f },
+    noise: { index: 5, strength: 0.5, color: 0xe0e0e0 },
+};
+
+export const fieldTypeNames = Object.keys(fieldTypes);
+
+// pulse: strength swells and fades, orbit: circles its position. speed is in cycles per second.
+export const fieldAnimations = ['none', 'pulse', 'orbit'];
+
+function finiteOr(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+function vectorOr(value, fallback) {
+    if (!Array.isArray(value) || value.length !== 3) return fallback;
+    return value.map((component, i) => finiteOr(component, fallback[i]));
+}
+
+// Fills in and clamps a field description, throws on an unknown type
+export function normalizeField(data) {
+    const type = fieldTypes[data.type];
+    if (!type) throw new Error(`Unknown force field type: ${data.type}`);
+
+    return {
+        type: data.type,
+        position: vectorOr(data.position, [0, 0, 0]),
+        radius: Math.max(finiteOr(data.radius, 200), 1),
+        strength: finiteOr(data.strength, type.strength),
+        falloff: Math.max(finiteOr(data.falloff, 1), 0), // Exponent, 0 is even across the radius
+        direction: vectorOr(data.direction, [0, 1, 0]), // Wind direction, vortex axis
+        animation: fieldAnimations.includes(data.animation) ? data.animation : 'none',
+        speed: finiteOr(data.speed, 0.25),
+    };
+}
+
+// Position and strength at a point in time, after the animation
+export function fieldStateAt(field, time) {
+    const phase = time * field.speed * Math.PI * 2;
+    const [x, y, z] = field.position;
+
+    if (field.animation === 'pulse') {
+        return { position: [x, y, z], strength: field.strength * (0.5 + 0.5 * Math.sin(phase)) };
+    }
+    if (field.animation === 'orbit') {
+        const r = field.radius * 0.5;
+        return { position: [x + Math.cos(phase) * r, y, z + Math.sin(phase) * r], strength: field.strength };
+    }
+    return { position: [x, y, z], strength: field.strength };
+}
+
+// ============================================
+// Links
+// ============================================
+
+const round = (value) => Number(value.toFixed(2));
+
+// Smallest strength Alt-Shift-wheel scales a field down to, still written to links
+const MIN_WHEEL_STRENGTH = 0.01;
+
+// type:x,y,z:radius:strength:falloff:dx,dy,dz:animation:speed, fields separated by ';'
+export function encodeFields(fields) {
+    if (fields.length === 0) return null;
+
+    return fields.map((field) => [
+        field.type,
+        field.position.map(round).join(','),
+        round(field.radius),
+        round(field.strength),
+        round(field.falloff),
+        field.direction.map(round).join(','),
+        field.animation,
+        round(field.speed),
+    ].join(':')).join(';');
+}
+
+// Skips entries it cannot read, missing parts take their defaults
+export function decodeFields(text) {
+    const fields = [];
+    for (const entry of String(text).split(';')) {
+        const [type, position, radius, strength, falloff, direction, animation, speed] = entry.split(':');
+        if (!fieldTypes[type]) continue;
+
+        const vector = (part) => (part ? part.split(',').map(Number) : undefined);
+        fields.push(normalizeField({
+            type,
+            position: vector(position),
+            radius,
+            strength,
+            falloff,
+            direction: vector(direction),
+            animation,
+            speed,
+        }));
+        if (fields.length === MAX_FORCE_FIELDS) break;
+    }
+    return fields;
+}
+
+// ============================================
+// Physics
+// ============================================
+
+// Writes the fields in the particles' local space into out, returns the count
+export function packForceFields(fields, time, worldToLocal, out) {
+    const position = new THREE.Vector3();
+    const direction = new THREE.Vector3();
+    const count = Math.min(fields.length, MAX_FORCE_FIELDS);
+
+    for (let f = 0; f < count; f++) {
+        const field = fields[f];
+        const state = fieldStateAt(field, time);
+        const o = f * FIELD_STRIDE;
+
+        position.fromArray(state.position).applyMatrix4(worldToLocal);
+        direction.fromArray(field.direction);
+        if (direction.lengthSq() > 0) direction.transformDirection(worldToLocal);
+
+        out[o] = position.x;
+        out[o + 1] = position.y;
+        out[o + 2] = position.z;
+        out[o + 3] = field.radius;
+        out[o + 4] = fieldTypes[field.type].index;
+        out[o + 5] = state.strength;
+        out[o + 6] = field.falloff;
+        out[o + 7] = 0;
+        out[o + 8] = direction.x;
+        out[o + 9] = direction.y;
+        out[o + 10] = direction.z;
+        out[o + 11] = 0;
+    }
+    return count;
+}
+
+// GPU twin of applyForceFields: declarations and loop body for the velocity shader, expects pos, vel and uTime
+export const forceFieldChunk = `
+    #define MAX_FORCE_FIELDS ${MAX_FORCE_FIELDS}
+
+    uniform vec4 uFieldCenters[MAX_FORCE_FIELDS]; // xyz position, w radius
+    uniform vec4 uFieldParams[MAX_FORCE_FIELDS]; // type, strength, falloff
+    uniform vec4 uFieldDirections[MAX_FORCE_FIELDS];
+    uniform int uFieldCount;
+
+    vec3 forceFieldVelocity(vec3 pos) {
+        vec3 total = vec3(0.0);
+
+        for (int f = 0; f < MAX_FORCE_FIELDS; f++) {
+            if (f >= uFieldCount) break;
+
+            float radius = uFieldCenters[f].w;
+            vec3 d = pos - uFieldCenters[f].xyz;
+            float dist = length(d);
+            if (dist >= radius) continue;
+
+            vec4 params = uFieldParams[f];
+            float weight = pow(1.0 - dist / radius, params.z) * params.y;
+            vec3 n = dist > 0.0 ? d / dist : vec3(0.0);
+            vec3 axis = uFieldDirections[f].xyz;
+            int type = int(params.x + 0.5);
+
+            if (type == 0) {
+                total -= n * weight;
+            } else if (type == 1) {
+                total += n * weight;
+            } else if (type == 2) {
+                total += (cross(axis, n) - n * 0.15) * weight;
+            } else if (type == 3) {
+                total += axis * weight;
+            } else if (type == 4) {
+                float pull = dist > 0.0 ? min(pow(radius * 0.2 / dist, 2.0), 4.0) : 0.0;
+                total -= n * pull * weight;
+            } else {
+                total += sin(pos.yzx * ${FIELD_NOISE_SCALE} + uTime * vec3(1.0, 1.3, 0.7)) * weight;
+            }
+        }
+
+        return total;
+    }
+`;
+
+export function createFieldUniforms() {
+    const vectors = () => Array.from({ length: MAX_FORCE_FIELDS }, () => new THREE.Vector4());
+    return {
+        uFieldCenters: { value: vectors() },
+        uFieldParams: { value: vectors() },
+        uFieldDirections: { value: vectors() },
+        uFieldCount: { value: 0 },
+    };
+}
+
+export function writeFieldUniforms(uniforms, data, count) {
+    for (let f = 0; f < count; f++) {
+        const o = f * FIELD_STRIDE;
+        uniforms.uFieldCenters.value[f].fromArray(data, o);
+        uniforms.uFieldParams.value[f].fromArray(data, o + 4);
+        uniforms.uFieldDirections.value[f].fromArray(data, o + 8);
+    }
+    uniforms.uFieldCount.value = count;
+}
+
+// ============================================
+// Debug Overlay
+// ============================================
+
+const sphereWireframe = new THREE.WireframeGeometry(new THREE.IcosahedronGeometry(1, 2));
+const coreGeometry = new THREE.OctahedronGeometry(6);
+
+// Radius spheres, centres and directions of the fields, in world space
+export class ForceFieldOverlay {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.group.renderOrder = 1;
+        scene.add(this.group);
+        this.version = -1;
+        this.items = [];
+    }
+
+    get visible() {
+        return this.group.visible;
+    }
+
+    set visible(value) {
+        this.group.visible = value;
+    }
+
+    // Rebuilds when the field list changed, otherwise follows the animation
+    update(fields, version, time) {
+        if (!this.group.visible) return;
+        if (version !== this.version) this.rebuild(fields, version);
+
+        this.items.forEach((item, i) => {
+            const state = fieldStateAt(fields[i], time);
+            item.root.position.fromArray(state.position);
+            const scale = fields[i].strength !== 0 ? Math.abs(state.strength / fields[i].strength) : 1;
+            item.core.scale.setScalar(0.5 + scale * 0.5);
+        });
+    }
+
+    rebuild(fields, version) {
+        this.clear();
+        this.version = version;
+
+        for (const field of fields) {
+            const material = new THREE.LineBasicMaterial({
+                color: fieldTypes[field.type].color,
+                transparent: true,
+                opacity: 0.35,
+                depthWrite: false,
+            });
+            const root = new THREE.Group();
+            const bounds = new THREE.LineSegments(sphereWireframe, material);
+            bounds.scale.setScalar(field.radius);
+            const core = new THREE.Mesh(coreGeometry, new THREE.MeshBasicMaterial({
+                color: fieldTypes[field.type].color,
+                wireframe: true,
+            }));
+            root.add(bounds, core);
+
+            if (field.type === 'wind' || field.type === 'vortex') {
+                const direction = new THREE.Vector3().fromArray(field.direction);
+                if (direction.lengthSq() > 0) {
+                    root.add(new THREE.ArrowHelper(
+                        direction.normalize(), new THREE.Vector3(), field.radius * 0.6, fieldTypes[field.type].color
+                    ));
+                }
+            }
+
+            this.group.add(root);
+            this.items.push({ root, core, materials: [material, core.material] });
+        }
+    }
+
+    clear() {
+        for (const item of this.items) {
+            item.materials.forEach((material) => material.dispose());
+            item.root.traverse((child) => {
+                if (child.isArrowHelper) child.dispose();
+            });
+            this.group.remove(item.root);
+        }
+        this.items = [];
+    }
+}
+
+// ============================================
+// Editing
+// ============================================
+
+const PICK_DISTANCE = 24; // px
+
+// Alt-click places a field of the configured type, Alt-drag moves one,
+// Alt-wheel resizes it (with Shift: strength), Alt-right-click removes it.
+export class ForceFieldEditor {
+    constructor(simulation, domElement) {
+        this.simulation = simulation;
+        this.domElement = domElement;
+        this.drag = null;
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane();
+
+        this.onPointerDown = (e) => this.handlePointerDown(e);
+        this.onPointerMove = (e) => this.handlePointerMove(e);
+        this.onPointerUp = (e) => this.handlePointerUp(e);
+        this.onWheel = (e) => this.handleWheel(e);
+    }
+
+    attach() {
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointermove', this.onPointerMove);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+        this.domElement.addEventListener('pointercancel', this.onPointerUp);
+        this.domElement.addEventListener('wheel', this.onWheel, { passive: false });
+    }
+
+    detach() {
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+        this.domElement.removeEventListener('wheel', this.onWheel);
+    }
+
+    // Presses the particle interaction and the camera should not see
+    isEditEvent(e) {
+        return e.altKey && e.pointerType !== 'touch';
+    }
+
+    get isDragging() {
+        return this.drag !== null;
+    }
+
+    // Field under the cursor, by the screen distance to its centre
+    pick(clientX, clientY) {
+        const sim = this.simulation;
+        const point = new THREE.Vector3();
+        let best = null;
+        let bestDistance = PICK_DISTANCE;
+
+        for (const field of sim.forceFields) {
+            point.fromArray(fieldStateAt(field, sim.time).position).project(sim.camera);
+            if (point.z > 1) continue;
+
+            const [x, y] = sim.toClient(point.x, point.y);
+            const distance = Math.hypot(x - clientX, y - clientY);
+            if (distance < bestDistance) {
+                best = field;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    // Where the cursor meets the plane through a point, facing the camera
+    pointOnPlane(clientX, clientY, through) {
+        const sim = this.simulation;
+        const ndc = new THREE.Vector2(...sim.toNDC(clientX, clientY));
+        this.raycaster.setFromCamera(ndc, sim.camera);
+
+        const normal = sim.camera.getWorldDirection(new THREE.Vector3()).negate();
+        this.plane.setFromNormalAndCoplanarPoint(normal, through);
+        const hit = new THREE.Vector3();
+        return this.raycaster.ray.intersectPlane(this.plane, hit) ? hit : null;
+    }
+
+    handlePointerDown(e) {
+        const sim = this.simulation;
+        if (!this.isEditEvent(e) || sim.isReplaying) return;
+        e.preventDefault();
+
+        let field = this.pick(e.clientX, e.clientY);
+        if (e.button === 2) {
+            if (field) sim.removeForceField(field.id);
+            return;
+        }
+
+        if (!field) {
+            const point = this.pointOnPlane(e.clientX, e.clientY, sim.cameraRig.target);
+            if (!point) return;
+
+            const { fieldRadius, fieldStrength, fieldFalloff, fieldAnimation } = sim.config;
+            const fieldType = fieldTypes[sim.config.fieldType] ? sim.config.fieldType : 'attractor';
+            field = sim.addForceField({
+                type: fieldType,
+                position: point.toArray(),
+                radius: fieldRadius,
+                strength: fieldStrength * fieldTypes[fieldType].strength,
+                falloff: fieldFalloff,
+                animation: fieldAnimation,
+                // Wind blows across the screen, vortices spin in its plane
+                direction: fieldType === 'wind'
+                    ? new THREE.Vector3(1, 0, 0).applyQuaternion(sim.camera.quaternion).toArray()
+                    : sim.camera.getWorldDirection(new THREE.Vector3()).negate().toArray(),
+            });
+            if (!field) return;
+        }
+
+        this.drag = { id: field.id, pointerId: e.pointerId };
+        this.domElement.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        const sim = this.simulation;
+        const field = sim.forceFields.find((f) => f.id === this.drag.id);
+        if (!field) {
+            this.drag = null;
+            return;
+        }
+
+        const point = this.pointOnPlane(e.clientX, e.clientY, new THREE.Vector3().fromArray(field.position));
+        if (point) sim.updateForceField(field.id, { position: point.toArray().map(round) });
+    }
+
+    handlePointerUp(e) {
+        if (this.drag && e.pointerId === this.drag.pointerId) this.drag = null;
+    }
+
+    handleWheel(e) {
+        if (!e.altKey) return;
+        e.preventDefault();
+
+        const sim = this.simulation;
+        const field = this.pick(e.clientX, e.clientY);
+        if (!field || sim.isReplaying) return;
+
+        // Shift turns vertical scrolling sideways in some browsers
+        const factor = Math.exp(-(e.deltaY || e.deltaX) * 0.001);
+        if (e.shiftKey) {
+            // Not rounded, and kept off zero, from where scaling could never bring it back
+            const strength = field.strength * factor;
+            const magnitude = Math.max(Math.abs(strength), MIN_WHEEL_STRENGTH);
+            sim.updateForceField(field.id, { strength: (Math.sign(strength) || 1) * magnitude });
+        } else {
+            sim.updateForceField(field.id, { radius: round(field.radius * factor) });
+        }
+    }
+}
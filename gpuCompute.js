@@ -0,0 +1,361 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { MAX_POINTERS } from './pointers.js';
+import { createFieldUniforms, forceFieldChunk, writeFieldUniforms } from './forceFields.js';
+
+// ============================================
+// GPU Particle Compute (GPGPU Ping-Pong)
+// ============================================
+
+// Size of the reduction target used to read the interaction energy back
+const REDUCTION_SIZE = 16;
+
+// Only read the energy back every few frames, readPixels stalls the pipeline. In between
+// update() returns the last value: a held force reads as on the CPU, a short tap arrives
+// up to READBACK_INTERVAL - 1 frames late.
+const READBACK_INTERVAL = 4;
+
+// Simplex noise (Ashima Arts / Stefan Gustavson) with analytic gradient. Same kernel
+// radius and curl offsets as noise.js, but its own fixed hash and output scale, so the
+// flow differs from the CPU's and the seed only moves it through uNoiseOffset.
+const noiseChunk = `
+    vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 permute(vec4 x) { return mod289(((x * 34.0) + 10.0) * x); }
+
+    float snoise(vec3 v, out vec3 grad) {
+        const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+        const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+        vec3 i = floor(v + dot(v, C.yyy));
+        vec3 x0 = v - i + dot(i, C.xxx);
+
+        vec3 g = step(x0.yzx, x0.xyz);
+        vec3 l = 1.0 - g;
+        vec3 i1 = min(g.xyz, l.zxy);
+        vec3 i2 = max(g.xyz, l.zxy);
+
+        vec3 x1 = x0 - i1 + C.xxx;
+        vec3 x2 = x0 - i2 + C.yyy;
+        vec3 x3 = x0 - D.yyy;
+
+        i = mod289(i);
+        vec4 p = permute(permute(permute(
+            i.z + vec4(0.0, i1.z, i2.z, 1.0))
+            + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+            + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+        vec3 ns = 0.142857142857 * D.wyz - D.xzx;
+
+        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+        vec4 gx = floor(j * ns.z);
+        vec4 gy = floor(j - 7.0 * gx);
+
+        vec4 x = gx * ns.x + ns.yyyy;
+        vec4 y = gy * ns.x + ns.yyyy;
+        vec4 h = 1.0 - abs(x) - abs(y);
+
+        vec4 b0 = vec4(x.xy, y.xy);
+        vec4 b1 = vec4(x.zw, y.zw);
+        vec4 s0 = floor(b0) * 2.0 + 1.0;
+        vec4 s1 = floor(b1) * 2.0 + 1.0;
+        vec4 sh = -step(h, vec4(0.0));
+
+        vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+        vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+        vec3 p0 = normalize(vec3(a0.xy, h.x));
+        vec3 p1 = normalize(vec3(a0.zw, h.y));
+        vec3 p2 = normalize(vec3(a1.xy, h.z));
+        vec3 p3 = normalize(vec3(a1.zw, h.w));
+
+        vec4 m = max(0.5 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+        vec4 m2 = m * m;
+        vec4 m4 = m2 * m2;
+        vec4 pdotx = vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3));
+
+        vec4 temp = m2 * m * pdotx;
+        grad = -8.0 * (temp.x * x0 + temp.y * x1 + temp.z * x2 + temp.w * x3);
+        grad += m4.x * p0 + m4.y * p1 + m4.z * p2 + m4.w * p3;
+        grad *= 105.0;
+
+        return 105.0 * dot(m4, pdotx);
+    }
+
+    // Divergence-free flow field
+    vec3 curlNoise(vec3 p) {
+        vec3 a, b, c;
+        snoise(p, a);
+        snoise(p + vec3(31.416, -47.853, 12.793), b);
+        snoise(p + vec3(-19.171, 33.457, 47.913), c);
+        return vec3(c.y - b.z, a.z - c.x, b.x - a.y) * 0.25;
+    }
+`;
+
+const velocityShader = `
+    #define MAX_POINTERS ${MAX_POINTERS}
+
+    uniform sampler2D textureOriginal;
+    uniform vec4 uPointers[MAX_POINTERS]; // xyz position, w force
+    uniform int uPointerCount;
+    uniform float uMouseRadius;
+    uniform vec3 uWind;
+    uniform float uWindTurbulence;
+    uniform float uReturnSpeed;
+    uniform float uNoiseAmount;
+    uniform float uDamping;
+    uniform float uTime;
+    uniform vec3 uNoiseOffset;
+    uniform float uPulse;
+
+    ${noiseChunk}
+    ${forceFieldChunk}
+
+    // The texture holds the velocity before damping, the one the position pass moves by.
+    // Damping it here on the next frame keeps the order of stepParticles: forces, move, damp.
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+        vec3 vel = texture2D(textureVelocity, uv).xyz * uDamping;
+        vec3 orig = texture2D(textureOriginal, uv).xyz;
+
+        vec3 disp = pos - orig;
+        float displacement = length(disp);
+        float energy = 0.0;
+
+        for (int p = 0; p < MAX_POINTERS; p++) {
+            if (p >= uPointerCount) break;
+
+            vec3 d = pos - uPointers[p].xyz;
+            float dist = length(d);
+
+            if (dist < uMouseRadius && dist > 0.0) {
+                float falloff = 1.0 - dist / uMouseRadius;
+                float force = falloff * falloff * uPointers[p].w;
+                vec2 tangent = vec2(-d.y, d.x) * 0.3;
+
+                vel += (d / dist) * force + vec3(tangent * force * 0.2, 0.0);
+
+                // Accumulate energy for audio
+                if (force > 0.1) {
+                    energy += force;
+                }
+            }
+        }
+
+        float windInfluence = min(displacement / 50.0, 1.0) * 0.5;
+        float t = uTime * 0.2;
+        vec3 turb = curlNoise(pos * 0.01 + vec3(t, 0.0, -t * 0.5) + uNoiseOffset);
+
+        vel += (uWind + turb * uWindTurbulence) * windInfluence * 0.05;
+
+        if (displacement > 0.1) {
+            float pullStrength = uReturnSpeed * (1.0 + displacement * 0.01);
+            vel -= disp * pullStrength;
+        }
+
+        vel += turb * uNoiseAmount * 0.01;
+
+        vel += forceFieldVelocity(pos);
+
+        // Audio pulse pushes away from the shape centre
+        float radius = length(orig);
+        if (uPulse > 0.0 && radius > 0.0) {
+            vel += (orig / radius) * uPulse;
+        }
+
+        gl_FragColor = vec4(vel, energy);
+    }
+`;
+
+const positionShader = `
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+        vec3 vel = texture2D(textureVelocity, uv).xyz;
+
+        gl_FragColor = vec4(pos + vel, 1.0);
+    }
+`;
+
+// Sums blocks of the velocity texture's energy channel into a small target
+const reductionShader = `
+    uniform sampler2D tSource;
+    uniform vec2 uSourceSize;
+    uniform float uBlockSize;
+
+    void main() {
+        vec2 blockStart = floor(gl_FragCoord.xy) * uBlockSize;
+        float sum = 0.0;
+
+        for (float y = 0.0; y < 256.0; y++) {
+            if (y >= uBlockSize) break;
+            for (float x = 0.0; x < 256.0; x++) {
+                if (x >= uBlockSize) break;
+                vec2 texel = blockStart + vec2(x, y);
+                if (texel.x < uSourceSize.x && texel.y < uSourceSize.y) {
+                    sum += texture2D(tSource, (texel + 0.5) / uSourceSize).w;
+                }
+            }
+        }
+
+        gl_FragColor = vec4(sum, 0.0, 0.0, 1.0);
+    }
+`;
+
+export class GPUParticleCompute {
+    static isSupported(renderer) {
+        const capabilities = renderer.capabilities;
+        if (capabilities.maxVertexTextures === 0) return false;
+        return capabilities.isWebGL2 || renderer.extensions.has('OES_texture_float');
+    }
+
+    constructor(renderer, particleCount) {
+        this.renderer = renderer;
+        this.particleCount = particleCount;
+        this.size = Math.ceil(Math.sqrt(particleCount));
+
+        this.gpuCompute = new GPUComputationRenderer(this.size, this.size, renderer);
+
+        this.positionTexture = this.gpuCompute.createTexture();
+        this.velocityTexture = this.gpuCompute.createTexture();
+        this.originalTexture = this.gpuCompute.createTexture();
+
+        this.frame = 0;
+        this.interactionEnergy = 0;
+    }
+
+    // Fill the initial state, must be called before init()
+    setInitialState(positions, velocities, originalPositions) {
+        this.writeVec3(this.positionTexture.image.data, positions);
+        this.writeVec3(this.velocityTexture.image.data, velocities);
+        this.setOriginalPositions(originalPositions);
+    }
+
+    init() {
+        this.velocityVariable = this.gpuCompute.addVariable('textureVelocity', velocityShader, this.velocityTexture);
+        this.positionVariable = this.gpuCompute.addVariable('texturePosition', positionShader, this.positionTexture);
+
+        this.gpuCompute.setVariableDependencies(this.velocityVariable, [this.positionVariable, this.velocityVariable]);
+        this.gpuCompute.setVariableDependencies(this.positionVariable, [this.positionVariable, this.velocityVariable]);
+
+        this.velocityUniforms = this.velocityVariable.material.uniforms;
+        Object.assign(this.velocityUniforms, {
+            textureOriginal: { value: this.originalTexture },
+            uPointers: { value: Array.from({ length: MAX_POINTERS }, () => new THREE.Vector4()) },
+            uPointerCount: { value: 0 },
+            uMouseRadius: { value: 0 },
+            uWind: { value: new THREE.Vector3() },
+            uWindTurbulence: { value: 0 },
+            uReturnSpeed: { value: 0 },
+            uNoiseAmount: { value: 0 },
+            uDamping: { value: 1 },
+            uTime: { value: 0 },
+            uNoiseOffset: { value: new THREE.Vector3() },
+            uPulse: { value: 0 },
+            ...createFieldUniforms(),
+        });
+
+        const error = this.gpuCompute.init();
+        if (error !== null) return error;
+
+        // Energy reduction pass
+        const blockSize = Math.ceil(this.size / REDUCTION_SIZE);
+        this.reductionMaterial = this.gpuCompute.createShaderMaterial(reductionShader, {
+            tSource: { value: null },
+            uSourceSize: { value: new THREE.Vector2(this.size, this.size) },
+            uBlockSize: { value: blockSize },
+        });
+        this.reductionTarget = this.gpuCompute.createRenderTarget(REDUCTION_SIZE, REDUCTION_SIZE);
+        this.reductionBuffer = new Float32Array(REDUCTION_SIZE * REDUCTION_SIZE * 4);
+
+        return null;
+    }
+
+    writeVec3(data, source) {
+        for (let i = 0; i < this.particleCount; i++) {
+            data[i * 4] = source[i * 3];
+            data[i * 4 + 1] = source[i * 3 + 1];
+            data[i * 4 + 2] = source[i * 3 + 2];
+            data[i * 4 + 3] = 1;
+        }
+    }
+
+    // Upload new return targets (e.g. after a shape change)
+    setOriginalPositions(originalPositions) {
+        this.writeVec3(this.originalTexture.image.data, originalPositions);
+        this.originalTexture.needsUpdate = true;
+    }
+
+    update(params) {
+        const u = this.velocityUniforms;
+        for (let p = 0; p < params.pointerCount; p++) {
+            u.uPointers.value[p].fromArray(params.pointers, p * 4);
+        }
+        u.uPointerCount.value = params.pointerCount;
+        u.uMouseRadius.value = params.mouseRadius;
+        u.uWind.value.copy(params.wind);
+        u.uWindTurbulence.value = params.windTurbulence;
+        u.uReturnSpeed.value = params.returnSpeed;
+        u.uNoiseAmount.value = params.noiseAmount;
+        u.uDamping.value = params.damping;
+        u.uTime.value = params.time;
+        u.uNoiseOffset.value.copy(params.noiseOffset);
+        u.uPulse.value = params.pulse;
+        writeFieldUniforms(u, params.fields, params.fieldCount);
+
+        this.gpuCompute.compute();
+
+        this.frame++;
+        if (this.frame % READBACK_INTERVAL === 0) {
+            this.interactionEnergy = this.readInteractionEnergy();
+        }
+
+        return this.interactionEnergy;
+    }
+
+    readInteractionEnergy() {
+        const velocityTarget = this.gpuCompute.getCurrentRenderTarget(this.velocityVariable);
+        this.reductionMaterial.uniforms.tSource.value = velocityTarget.texture;
+        this.gpuCompute.doRenderTarget(this.reductionMaterial, this.reductionTarget);
+
+        this.renderer.readRenderTargetPixels(
+            this.reductionTarget, 0, 0, REDUCTION_SIZE, REDUCTION_SIZE, this.reductionBuffer
+        );
+
+        let sum = 0;
+        for (let i = 0; i < this.reductionBuffer.length; i += 4) {
+            sum += this.reductionBuffer[i];
+        }
+        return sum;
+    }
+
+    // The first count positions as x, y, z, w, read in whole texture rows. Stalls like
+    // the energy readback, so only the line render modes use it, for a few thousand.
+    readPositions(count) {
+        const rows = Math.min(Math.ceil(count / this.size), this.size);
+        const length = this.size * rows * 4;
+        if (!this.positionBuffer || this.positionBuffer.length !== length) {
+            this.positionBuffer = new Float32Array(length);
+        }
+        this.renderer.readRenderTargetPixels(
+            this.gpuCompute.getCurrentRenderTarget(this.positionVariable), 0, 0, this.size, rows, this.positionBuffer
+        );
+        return this.positionBuffer;
+    }
+
+    get positionTextureCurrent() {
+        return this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+    }
+
+    get velocityTextureCurrent() {
+        return this.gpuCompute.getCurrentRenderTarget(this.velocityVariable).texture;
+    }
+
+    dispose() {
+        this.gpuCompute.dispose();
+        this.originalTexture.dispose();
+        if (this.reductionTarget) this.reductionTarget.dispose();
+        if (this.reductionMaterial) this.reductionMaterial.dispose();
+    }
+}
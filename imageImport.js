@@ -0,0 +1,145 @@
+// ============================================
+// Image / SVG Import
+// ============================================
+
+// Longest side of the sampling bitmap
+const SAMPLE_RESOLUTION = 512;
+
+// Fits the image into this square in world units
+const WORLD_SIZE = 300;
+
+export const defaultImageOptions = {
+    weighting: 'auto', // 'auto' | 'alpha' | 'luminance' | 'darkness'
+    useColors: true, // Copy pixel colours into the particles
+    depth: 60, // Extrusion range when a heightmap is given
+    jitterDepth: 6, // Z spread without a heightmap
+};
+
+export function isImageFile(file) {
+    return file.type.startsWith('image/') || /\.(png|jpe?g|gif|webp|svg)$/i.test(file.name);
+}
+
+export function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not decode ${file.name}`));
+        };
+        image.src = url;
+    });
+}
+
+// Draws an image into a bitmap of at most SAMPLE_RESOLUTION pixels per side
+function readPixels(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+}
+
+function samplingSize(image) {
+    // SVGs without intrinsic size report 0
+    const naturalWidth = image.naturalWidth || SAMPLE_RESOLUTION;
+    const naturalHeight = image.naturalHeight || SAMPLE_RESOLUTION;
+    const scale = Math.min(1, SAMPLE_RESOLUTION / Math.max(naturalWidth, naturalHeight));
+    return {
+        width: Math.max(1, Math.round(naturalWidth * scale)),
+        height: Math.max(1, Math.round(naturalHeight * scale)),
+    };
+}
+
+function luminance(data, i) {
+    return (0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) / 255;
+}
+
+// Transparent images are sampled by alpha. Opaque ones by brightness, or by
+// darkness when the picture is mostly bright (dark logo on white).
+function resolveWeighting(data, weighting) {
+    if (weighting !== 'auto') return weighting;
+
+    let transparent = 0;
+    let brightness = 0;
+    const pixelCount = data.length / 4;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 250) transparent++;
+        brightness += luminance(data, i);
+    }
+
+    if (transparent > pixelCount * 0.01) return 'alpha';
+    return brightness / pixelCount > 0.5 ? 'darkness' : 'luminance';
+}
+
+function pixelWeight(data, i, weighting) {
+    const alpha = data[i + 3] / 255;
+    if (weighting === 'alpha') return alpha;
+    if (weighting === 'darkness') return (1 - luminance(data, i)) * alpha;
+    return luminance(data, i) * alpha;
+}
+
+// Builds a shape generator (see shapes.js) that samples particles by pixel weight.
+// Every particle draws independently from the distribution, so any particle count
+// works: small images are oversampled with sub-pixel jitter, large ones undersampled.
+export function createImageGenerator(image, heightmap = null, options = {}) {
+    const settings = { ...defaultImageOptions, ...options };
+    const { width, height } = samplingSize(image);
+    const data = readPixels(image, width, height);
+    const heights = heightmap ? readPixels(heightmap, width, height) : null;
+
+    // Cumulative weights for inverse transform sampling
+    const weighting = resolveWeighting(data, settings.weighting);
+    const cumulative = new Float64Array(width * height);
+    let total = 0;
+    for (let p = 0; p < width * height; p++) {
+        total += pixelWeight(data, p * 4, weighting);
+        cumulative[p] = total;
+    }
+
+    // A blank image falls back to uniform sampling rather than stacking particles at the origin
+    const uniform = total <= 0;
+    const scale = WORLD_SIZE / Math.max(width, height);
+
+    const pick = (random) => {
+        if (uniform) return Math.floor(random() * width * height);
+
+        const value = random() * total;
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulative[mid] < value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    };
+
+    return (target, count, random, colors) => {
+        for (let i = 0; i < count; i++) {
+            const p = pick(random);
+            const px = (p % width) + random();
+            const py = Math.floor(p / width) + random();
+
+            let z = (random() - 0.5) * settings.jitterDepth;
+            if (heights) {
+                z += (luminance(heights, p * 4) - 0.5) * settings.depth;
+            }
+
+            target[i * 3] = (px - width / 2) * scale;
+            target[i * 3 + 1] = (height / 2 - py) * scale;
+            target[i * 3 + 2] = z;
+
+            if (colors) {
+                colors[i * 3] = data[p * 4] / 255;
+                colors[i * 3 + 1] = data[p * 4 + 1] / 255;
+                colors[i * 3 + 2] = data[p * 4 + 2] / 255;
+            }
+        }
+    };
+}
@@ -0,0 +1,44 @@
+// ============================================
+// Full-page app: one simulation driving the page's own UI
+// ============================================
+
+import { ParticleSimulation } from './particles.js';
+
+// ?sync=tabs or ?sync=ws://host:8787 joins an installation, with optional
+// &room=name, &slice=column,row,columns,rows and &yaw=degrees for this screen
+// A slice is whole columns and rows, and the screen has to be one of them
+function isValidSlice(slice) {
+    if (slice.length !== 4 || !slice.every(Number.isInteger)) return false;
+    const [column, row, columns, rows] = slice;
+    return columns >= 1 && rows >= 1 && column >= 0 && column < columns && row >= 0 && row < rows;
+}
+
+function readSyncOptions(search) {
+    const params = new URLSearchParams(search);
+    const transport = params.get('sync');
+    if (!transport) return null;
+
+    const slice = params.has('slice') ? params.get('slice').split(',').map(Number) : null;
+    return {
+        transport,
+        room: params.get('room') || 'default',
+        slice: slice && isValidSlice(slice) ? slice : null,
+        yaw: Number(params.get('yaw')) || 0,
+    };
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new ParticleSimulation(document.getElementById('canvas-container'), {
+        useHash: true,
+        midi: true,
+        keyboardTarget: window,
+        dropTarget: window,
+        uiRoot: document.body,
+        cursor: document.getElementById('custom-cursor'),
+        settingsPanel: document.getElementById('settings-panel'),
+        textForm: document.getElementById('text-form'),
+        textInput: document.getElementById('text-input'),
+        help: document.getElementById('help-overlay'),
+        sync: readSyncOptions(window.location.search),
+    });
+});
@@ -0,0 +1,664 @@
+// ============================================
+// Mesh Import (OBJ, PLY, glTF / GLB)
+// ============================================
+
+// Everything is parsed from local files. External glTF buffers are resolved
+// against the other dropped files, never fetched.
+
+// Models are scaled so their bounding sphere matches the built-in shapes
+const TARGET_RADIUS = 150;
+
+// Rejection sampling gives up on volume sampling after this many tries per particle
+const MAX_VOLUME_ATTEMPTS = 30;
+
+export const defaultMeshOptions = {
+    mode: 'auto', // 'auto' (volume when watertight) | 'surface' | 'volume'
+    useColors: true,
+};
+
+export function isMeshFile(file) {
+    return /\.(obj|ply|gltf|glb)$/i.test(file.name);
+}
+
+// A mesh is { vertices: Float32Array, colors: Float32Array | null, indices: Uint32Array }
+export async function loadMeshFile(file, companionFiles = []) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    switch (extension) {
+        case 'obj':
+            return parseOBJ(await file.text());
+        case 'ply':
+            return parsePLY(await file.arrayBuffer());
+        case 'glb':
+            return parseGLB(await file.arrayBuffer(), companionFiles);
+        case 'gltf':
+            return parseGLTF(JSON.parse(await file.text()), null, companionFiles);
+        default:
+            throw new Error(`Unsupported model format: ${file.name}`);
+    }
+}
+
+// ============================================
+// OBJ
+// ============================================
+
+export function parseOBJ(text) {
+    const vertices = [];
+    const colors = [];
+    const indices = [];
+    let hasColors = false;
+
+    const lines = text.split('\n');
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (line === '' || line[0] === '#') continue;
+
+        const parts = line.split(/\s+/);
+
+        if (parts[0] === 'v') {
+            vertices.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+            // Non-standard but common: "v x y z r g b"
+            if (parts.length >= 7) {
+                colors.push(parseFloat(parts[4]), parseFloat(parts[5]), parseFloat(parts[6]));
+                hasColors = true;
+            } else {
+                colors.push(1, 1, 1);
+            }
+        } else if (parts[0] === 'f') {
+            const vertexCount = vertices.length / 3;
+            const face = parts.slice(1).map((token) => {
+                const number = parseInt(token.split('/')[0], 10);
+                const index = number < 0 ? vertexCount + number : number - 1;
+                // 0, forward references and non-numbers are invalid, negative indices count back
+                if (!(index >= 0 && index < vertexCount)) {
+                    throw new Error(`Invalid OBJ face index: ${token}`);
+                }
+                return index;
+            });
+
+            // Fan triangulation for polygons
+            for (let i = 1; i < face.length - 1; i++) {
+                indices.push(face[0], face[i], face[i + 1]);
+            }
+        }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        colors: hasColors ? new Float32Array(colors) : null,
+        indices: new Uint32Array(indices),
+    };
+}
+
+// ============================================
+// PLY
+// ============================================
+
+const PLY_TYPES = {
+    char: ['getInt8', 1], int8: ['getInt8', 1],
+    uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+    short: ['getInt16', 2], int16: ['getInt16', 2],
+    ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+    int: ['getInt32', 4], int32: ['getInt32', 4],
+    uint: ['getUint32', 4], uint32: ['getUint32', 4],
+    float: ['getFloat32', 4], float32: ['getFloat32', 4],
+    double: ['getFloat64', 8], float64: ['getFloat64', 8],
+};
+
+function parsePLYHeader(bytes) {
+    // The header is ASCII and ends with "end_header\n"
+    let headerText = '';
+    let offset = 0;
+    let isComplete = false;
+    while (offset < bytes.length) {
+        const lineEnd = bytes.indexOf(10, offset);
+        // Truncated files and binary data without line breaks
+        if (lineEnd === -1) break;
+        const line = new TextDecoder().decode(bytes.subarray(offset, lineEnd)).trim();
+        headerText += line + '\n';
+        offset = lineEnd + 1;
+        if (line === 'end_header') {
+            isComplete = true;
+            break;
+        }
+    }
+    if (!isComplete) throw new Error('Invalid PLY header: no end_header line');
+
+    const header = { format: null, elements: [], byteLength: offset };
+    for (const line of headerText.split('\n')) {
+        const parts = line.split(/\s+/);
+        if (parts[0] === 'format') {
+            header.format = parts[1];
+        } else if (parts[0] === 'element') {
+            header.elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+        } else if (parts[0] === 'property') {
+            const element = header.elements[header.elements.length - 1];
+            if (parts[1] === 'list') {
+                element.properties.push({ name: parts[4], countType: parts[2], type: parts[3], isList: true });
+            } else {
+                element.properties.push({ name: parts[2], type: parts[1], isList: false });
+            }
+        }
+    }
+
+    if (!header.format) throw new Error('Not a PLY file');
+    return header;
+}
+
+export function parsePLY(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const header = parsePLYHeader(bytes);
+
+    let readElement;
+    if (header.format === 'ascii') {
+        const tokens = new TextDecoder().decode(bytes.subarray(header.byteLength)).trim().split(/\s+/);
+        let cursor = 0;
+        readElement = (element) => {
+            const values = {};
+            for (const property of element.properties) {
+                if (property.isList) {
+                    const count = parseInt(tokens[cursor++], 10);
+                    values[property.name] = tokens.slice(cursor, cursor + count).map(Number);
+                    cursor += count;
+                } else {
+                    values[property.name] = Number(tokens[cursor++]);
+                }
+            }
+            return values;
+        };
+    } else {
+        const view = new DataView(buffer);
+        const littleEndian = header.format === 'binary_little_endian';
+        let cursor = header.byteLength;
+        const read = (type) => {
+            const [method, size] = PLY_TYPES[type];
+            const value = view[method](cursor, littleEndian);
+            cursor += size;
+            return value;
+        };
+        readElement = (element) => {
+            const values = {};
+            for (const property of element.properties) {
+                if (property.isList) {
+                    const count = read(property.countType);
+                    const list = new Array(count);
+                    for (let i = 0; i < count; i++) list[i] = read(property.type);
+                    values[property.name] = list;
+                } else {
+                    values[property.name] = read(property.type);
+                }
+            }
+            return values;
+        };
+    }
+
+    const vertices = [];
+    const colors = [];
+    const indices = [];
+    let hasColors = false;
+
+    for (const element of header.elements) {
+        const colorProperty = element.properties.find((p) => p.name === 'red' || p.name === 'r');
+        const colorScale = colorProperty && /float|double/.test(colorProperty.type) ? 1 : 1 / 255;
+
+        for (let i = 0; i < element.count; i++) {
+            const values = readElement(element);
+
+            if (element.name === 'vertex') {
+                vertices.push(values.x, values.y, values.z);
+                if (colorProperty) {
+                    hasColors = true;
+                    colors.push(
+                        (values.red ?? values.r) * colorScale,
+                        (values.green ?? values.g) * colorScale,
+                        (values.blue ?? values.b) * colorScale
+                    );
+                }
+            } else if (element.name === 'face') {
+                const face = values.vertex_indices || values.vertex_index || [];
+                for (let f = 1; f < face.length - 1; f++) {
+                    indices.push(face[0], face[f], face[f + 1]);
+                }
+            }
+        }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        colors: hasColors ? new Float32Array(colors) : null,
+        indices: new Uint32Array(indices),
+    };
+}
+
+// ============================================
+// glTF / GLB
+// ============================================
+
+const GLB_MAGIC = 0x46546C67;
+const GLB_CHUNK_JSON = 0x4E4F534A;
+const GLB_CHUNK_BIN = 0x004E4942;
+
+const COMPONENT_TYPES = {
+    5120: [Int8Array, 127],
+    5121: [Uint8Array, 255],
+    5122: [Int16Array, 32767],
+    5123: [Uint16Array, 65535],
+    5125: [Uint32Array, 1],
+    5126: [Float32Array, 1],
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+export async function parseGLB(buffer, companionFiles = []) {
+    const view = new DataView(buffer);
+    if (view.getUint32(0, true) !== GLB_MAGIC) throw new Error('Not a GLB file');
+
+    let json = null;
+    let binary = null;
+    let offset = 12;
+
+    while (offset < buffer.byteLength) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const chunk = buffer.slice(offset + 8, offset + 8 + chunkLength);
+
+        if (chunkType === GLB_CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(chunk));
+        else if (chunkType === GLB_CHUNK_BIN) binary = chunk;
+
+        offset += 8 + chunkLength;
+    }
+
+    if (!json) throw new Error('GLB file has no JSON chunk');
+    return parseGLTF(json, binary, companionFiles);
+}
+
+function decodeDataURI(uri) {
+    const base64 = uri.slice(uri.indexOf(',') + 1);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+async function resolveBuffers(json, binary, companionFiles) {
+    return Promise.all((json.buffers || []).map(async (buffer, index) => {
+        if (buffer.uri === undefined) {
+            if (index === 0 && binary) return binary;
+            throw new Error('Missing GLB binary chunk');
+        }
+        if (buffer.uri.startsWith('data:')) return decodeDataURI(buffer.uri);
+
+        const fileName = decodeURIComponent(buffer.uri.split('/').pop());
+        const file = companionFiles.find((candidate) => candidate.name === fileName);
+        if (!file) throw new Error(`Drop ${fileName} together with the .gltf file`);
+        return file.arrayBuffer();
+    }));
+}
+
+// Reads an accessor into a plain Float32Array, de-normalizing integer data
+function readAccessor(json, buffers, accessorIndex) {
+    const accessor = json.accessors[accessorIndex];
+    if (accessor.sparse) throw new Error('Sparse glTF accessors are not supported');
+
+    const bufferView = json.bufferViews[accessor.bufferView];
+    const [ArrayType, normalizer] = COMPONENT_TYPES[accessor.componentType];
+    const itemSize = TYPE_SIZES[accessor.type];
+    const elementBytes = ArrayType.BYTES_PER_ELEMENT;
+    const stride = bufferView.byteStride || itemSize * elementBytes;
+    const baseOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    const view = new DataView(buffers[bufferView.buffer]);
+    const getter = `get${ArrayType.name.replace('Array', '')}`;
+    const scale = accessor.normalized ? 1 / normalizer : 1;
+
+    const output = new Float32Array(accessor.count * itemSize);
+    for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < itemSize; c++) {
+            const value = view[getter](baseOffset + i * stride + c * elementBytes, true);
+            output[i * itemSize + c] = value * scale;
+        }
+    }
+    return { data: output, itemSize };
+}
+
+function multiplyMatrices(a, b) {
+    const out = new Array(16);
+    for (let row = 0; row < 4; row++) {
+        for (let col = 0; col < 4; col++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+// Column-major local matrix from a node's matrix or translation/rotation/scale
+function nodeMatrix(node) {
+    if (node.matrix) return node.matrix;
+
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [qx, qy, qz, qw] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+    return [
+        (1 - 2 * (qy * qy + qz * qz)) * sx, (2 * (qx * qy + qz * qw)) * sx, (2 * (qx * qz - qy * qw)) * sx, 0,
+        (2 * (qx * qy - qz * qw)) * sy, (1 - 2 * (qx * qx + qz * qz)) * sy, (2 * (qy * qz + qx * qw)) * sy, 0,
+        (2 * (qx * qz + qy * qw)) * sz, (2 * (qy * qz - qx * qw)) * sz, (1 - 2 * (qx * qx + qy * qy)) * sz, 0,
+        tx, ty, tz, 1,
+    ];
+}
+
+export async function parseGLTF(json, binary = null, companionFiles = []) {
+    const buffers = await resolveBuffers(json, binary, companionFiles);
+
+    const vertices = [];
+    const colors = [];
+    const indices = [];
+    let hasColors = false;
+
+    const addPrimitive = (primitive, matrix) => {
+        // Only triangle lists (mode 4, the default) carry surfaces
+        if (primitive.mode !== undefined && primitive.mode !== 4) return;
+        if (primitive.extensions && primitive.extensions.KHR_draco_mesh_compression) {
+            throw new Error('Draco-compressed glTF files are not supported');
+        }
+
+        const base = vertices.length / 3;
+        const position = readAccessor(json, buffers, primitive.attributes.POSITION).data;
+        const color = primitive.attributes.COLOR_0 !== undefined
+            ? readAccessor(json, buffers, primitive.attributes.COLOR_0)
+            : null;
+
+        for (let i = 0; i < position.length; i += 3) {
+            const x = position[i];
+            const y = position[i + 1];
+            const z = position[i + 2];
+            vertices.push(
+                matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+                matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+                matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+            );
+
+            if (color) {
+                const c = (i / 3) * color.itemSize;
+                colors.push(color.data[c], color.data[c + 1], color.data[c + 2]);
+                hasColors = true;
+            } else {
+                colors.push(1, 1, 1);
+            }
+        }
+
+        if (primitive.indices !== undefined) {
+            const primitiveIndices = readAccessor(json, buffers, primitive.indices).data;
+            for (let i = 0; i < primitiveIndices.length; i++) indices.push(base + primitiveIndices[i]);
+        } else {
+            for (let i = 0; i < position.length / 3; i++) indices.push(base + i);
+        }
+    };
+
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = json.nodes[nodeIndex];
+        const matrix = multiplyMatrices(parentMatrix, nodeMatrix(node));
+
+        if (node.mesh !== undefined) {
+            for (const primitive of json.meshes[node.mesh].primitives) addPrimitive(primitive, matrix);
+        }
+        for (const child of node.children || []) visit(child, matrix);
+    };
+
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    const scene = json.scenes ? json.scenes[json.scene || 0] : null;
+
+    if (scene) {
+        for (const nodeIndex of scene.nodes) visit(nodeIndex, identity);
+    } else {
+        // No scene graph: take the meshes as they are
+        for (const mesh of json.meshes || []) {
+            for (const primitive of mesh.primitives) addPrimitive(primitive, identity);
+        }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        colors: hasColors ? new Float32Array(colors) : null,
+        indices: new Uint32Array(indices),
+    };
+}
+
+// ============================================
+// Mesh Sampling
+// ============================================
+
+// Centres the mesh and scales its bounding sphere to TARGET_RADIUS (in place)
+export function normalizeMesh(mesh) {
+    const v = mesh.vertices;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < v.length; i += 3) {
+        for (let c = 0; c < 3; c++) {
+            min[c] = Math.min(min[c], v[i + c]);
+            max[c] = Math.max(max[c], v[i + c]);
+        }
+    }
+
+    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+    let radius = 0;
+    for (let i = 0; i < v.length; i += 3) {
+        const dx = v[i] - center[0];
+        const dy = v[i + 1] - center[1];
+        const dz = v[i + 2] - center[2];
+        radius = Math.max(radius, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    }
+
+    const scale = radius > 0 ? TARGET_RADIUS / radius : 1;
+    for (let i = 0; i < v.length; i += 3) {
+        v[i] = (v[i] - center[0]) * scale;
+        v[i + 1] = (v[i + 1] - center[1]) * scale;
+        v[i + 2] = (v[i + 2] - center[2]) * scale;
+    }
+    return mesh;
+}
+
+// Watertight: after welding coincident vertices, every edge is shared by exactly two triangles
+export function isWatertight(mesh) {
+    const v = mesh.vertices;
+    const indices = mesh.indices;
+    if (indices.length === 0) return false;
+
+    const welded = new Map();
+    const remap = new Uint32Array(v.length / 3);
+    for (let i = 0; i < v.length / 3; i++) {
+        const key = `${Math.round(v[i * 3] * 1e3)},${Math.round(v[i * 3 + 1] * 1e3)},${Math.round(v[i * 3 + 2] * 1e3)}`;
+        if (!welded.has(key)) welded.set(key, welded.size);
+        remap[i] = welded.get(key);
+    }
+
+    const edges = new Map();
+    for (let t = 0; t < indices.length; t += 3) {
+        for (let e = 0; e < 3; e++) {
+            const a = remap[indices[t + e]];
+            const b = remap[indices[t + (e + 1) % 3]];
+            if (a === b) continue;
+            const key = a < b ? a * 4294967296 + b : b * 4294967296 + a;
+            edges.set(key, (edges.get(key) || 0) + 1);
+        }
+    }
+
+    for (const count of edges.values()) {
+        if (count !== 2) return false;
+    }
+    return true;
+}
+
+function triangleArea(v, a, b, c) {
+    const abx = v[b * 3] - v[a * 3];
+    const aby = v[b * 3 + 1] - v[a * 3 + 1];
+    const abz = v[b * 3 + 2] - v[a * 3 + 2];
+    const acx = v[c * 3] - v[a * 3];
+    const acy = v[c * 3 + 1] - v[a * 3 + 1];
+    const acz = v[c * 3 + 2] - v[a * 3 + 2];
+    const cx = aby * acz - abz * acy;
+    const cy = abz * acx - abx * acz;
+    const cz = abx * acy - aby * acx;
+    return Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+}
+
+function writeBarycentric(out, outIndex, data, a, b, c, u, w) {
+    const s = 1 - u - w;
+    for (let k = 0; k < 3; k++) {
+        out[outIndex * 3 + k] = data[a * 3 + k] * s + data[b * 3 + k] * u + data[c * 3 + k] * w;
+    }
+}
+
+// Area weighted points on the triangle surfaces
+function sampleSurface(mesh, target, colors, start, count, random) {
+    const { vertices, indices } = mesh;
+    const triangleCount = indices.length / 3;
+    const cumulative = new Float64Array(triangleCount);
+    let total = 0;
+
+    for (let t = 0; t < triangleCount; t++) {
+        total += triangleArea(vertices, indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]);
+        cumulative[t] = total;
+    }
+
+    for (let i = start; i < start + count; i++) {
+        const value = random() * total;
+        let low = 0;
+        let high = triangleCount - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulative[mid] < value) low = mid + 1;
+            else high = mid;
+        }
+
+        // Uniform barycentric coordinates
+        const r1 = Math.sqrt(random());
+        const r2 = random();
+        const u = r1 * (1 - r2);
+        const w = r1 * r2;
+        const a = indices[low * 3];
+        const b = indices[low * 3 + 1];
+        const c = indices[low * 3 + 2];
+
+        writeBarycentric(target, i, vertices, a, b, c, u, w);
+        if (colors && mesh.colors) writeBarycentric(colors, i, mesh.colors, a, b, c, u, w);
+    }
+}
+
+// Uniform grid over the yz plane so inside tests only look at nearby triangles
+function buildRayGrid(mesh, resolution) {
+    const { vertices, indices } = mesh;
+    const cells = Array.from({ length: resolution * resolution }, () => []);
+    const min = -TARGET_RADIUS;
+    const cellSize = (TARGET_RADIUS * 2) / resolution;
+    const cellOf = (value) => Math.min(resolution - 1, Math.max(0, Math.floor((value - min) / cellSize)));
+
+    for (let t = 0; t < indices.length / 3; t++) {
+        let minY = Infinity, maxY = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        for (let k = 0; k < 3; k++) {
+            const vertex = indices[t * 3 + k];
+            minY = Math.min(minY, vertices[vertex * 3 + 1]);
+            maxY = Math.max(maxY, vertices[vertex * 3 + 1]);
+            minZ = Math.min(minZ, vertices[vertex * 3 + 2]);
+            maxZ = Math.max(maxZ, vertices[vertex * 3 + 2]);
+        }
+        for (let y = cellOf(minY); y <= cellOf(maxY); y++) {
+            for (let z = cellOf(minZ); z <= cellOf(maxZ); z++) {
+                cells[y * resolution + z].push(t);
+            }
+        }
+    }
+
+    return { cells, cellOf, resolution };
+}
+
+// Casts a ray along +x and counts crossings; odd means inside. Also reports the
+// nearest crossed triangle so volume points can borrow its colour.
+function insideTest(mesh, grid, x, y, z, hit) {
+    const { vertices, indices } = mesh;
+    const triangles = grid.cells[grid.cellOf(y) * grid.resolution + grid.cellOf(z)];
+    let crossings = 0;
+    let nearest = Infinity;
+
+    for (const t of triangles) {
+        const a = indices[t * 3];
+        const b = indices[t * 3 + 1];
+        const c = indices[t * 3 + 2];
+
+        // 2D barycentric test in the yz plane
+        const ay = vertices[a * 3 + 1], az = vertices[a * 3 + 2];
+        const by = vertices[b * 3 + 1], bz = vertices[b * 3 + 2];
+        const cy = vertices[c * 3 + 1], cz = vertices[c * 3 + 2];
+        const det = (by - ay) * (cz - az) - (cy - ay) * (bz - az);
+        if (Math.abs(det) < 1e-12) continue;
+
+        const u = ((y - ay) * (cz - az) - (cy - ay) * (z - az)) / det;
+        const w = ((by - ay) * (z - az) - (y - ay) * (bz - az)) / det;
+        if (u < 0 || w < 0 || u + w > 1) continue;
+
+        const hitX = vertices[a * 3] * (1 - u - w) + vertices[b * 3] * u + vertices[c * 3] * w;
+        if (hitX <= x) continue;
+
+        crossings++;
+        if (hitX - x < nearest) {
+            nearest = hitX - x;
+            hit.a = a;
+            hit.b = b;
+            hit.c = c;
+            hit.u = u;
+            hit.w = w;
+        }
+    }
+
+    return crossings % 2 === 1;
+}
+
+function sampleVolume(mesh, target, colors, count, random) {
+    const grid = buildRayGrid(mesh, 64);
+    const hit = { a: 0, b: 0, c: 0, u: 0, w: 0 };
+    let filled = 0;
+    let attempts = 0;
+    const maxAttempts = count * MAX_VOLUME_ATTEMPTS;
+
+    while (filled < count && attempts < maxAttempts) {
+        attempts++;
+        const x = (random() * 2 - 1) * TARGET_RADIUS;
+        const y = (random() * 2 - 1) * TARGET_RADIUS;
+        const z = (random() * 2 - 1) * TARGET_RADIUS;
+        if (x * x + y * y + z * z > TARGET_RADIUS * TARGET_RADIUS) continue;
+        if (!insideTest(mesh, grid, x, y, z, hit)) continue;
+
+        target[filled * 3] = x;
+        target[filled * 3 + 1] = y;
+        target[filled * 3 + 2] = z;
+        if (colors && mesh.colors) writeBarycentric(colors, filled, mesh.colors, hit.a, hit.b, hit.c, hit.u, hit.w);
+        filled++;
+    }
+
+    return filled;
+}
+
+// Builds a shape generator (see shapes.js) for a loaded mesh
+export function createMeshGenerator(mesh, options = {}) {
+    const settings = { ...defaultMeshOptions, ...options };
+    if (mesh.indices.length < 3) throw new Error('Model has no triangles');
+
+    normalizeMesh(mesh);
+    const useVolume = settings.mode === 'volume' || (settings.mode === 'auto' && isWatertight(mesh));
+
+    const generator = (target, count, random, colors) => {
+        let filled = 0;
+        if (useVolume) filled = sampleVolume(mesh, target, colors, count, random);
+
+        // Surface sampling covers everything volume sampling could not place
+        if (filled < count) sampleSurface(mesh, target, colors, filled, count - filled, random);
+    };
+
+    return {
+        generator,
+        hasColors: settings.useColors && mesh.colors !== null,
+        sampling: useVolume ? 'volume' : 'surface',
+    };
+}
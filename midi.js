@@ -0,0 +1,284 @@
+// ============================================
+// Web MIDI Input & Output
+// ============================================
+
+import { settingsSchema } from './settingsPanel.js';
+
+const STORAGE_KEY = 'particles.midiMapping';
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+
+// Simulation actions a note (or a CC crossing the midpoint) can trigger
+export const midiActions = ['shape', 'invert', 'freeze', 'mute', 'palette', 'record', 'audio'];
+
+// Notes on C4 upwards trigger the actions, CCs 1 (mod wheel) and 74 (cutoff) are common knobs
+export const defaultMidiMapping = {
+    notes: { 60: 'shape', 61: 'invert', 62: 'freeze', 63: 'mute', 64: 'palette' },
+    ccs: { 1: 'mouseForce', 74: 'rotationSpeed' },
+};
+
+// Ranges of every config key a CC can drive, taken from the settings panel
+const controllableKeys = new Map();
+for (const section of settingsSchema) {
+    for (const item of section.items) {
+        if (item.type === 'range' && !item.rebuild) controllableKeys.set(item.key, item);
+    }
+}
+
+export function isControllableKey(key) {
+    return controllableKeys.has(key);
+}
+
+// CC value (0-127) to the key's range, snapped to its step
+export function ccToValue(key, value) {
+    const { min, max, step } = controllableKeys.get(key);
+    const raw = min + (value / 127) * (max - min);
+    const snapped = Math.round((raw - min) / step) * step + min;
+    return Number(Math.min(max, Math.max(min, snapped)).toFixed(6));
+}
+
+// Splits a raw MIDI message, channels are 1-16
+export function parseMidiMessage(data) {
+    const status = data[0] & 0xF0;
+    const channel = (data[0] & 0x0F) + 1;
+
+    if (status === NOTE_ON && data[2] > 0) return { type: 'noteOn', channel, note: data[1], velocity: data[2] };
+    if (status === NOTE_OFF || status === NOTE_ON) return { type: 'noteOff', channel, note: data[1] };
+    if (status === CONTROL_CHANGE) return { type: 'cc', channel, controller: data[1], value: data[2] };
+    return null;
+}
+
+export class MidiController {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.access = null;
+        this.channel = 1; // Output channel
+        this.mapping = this.loadMapping();
+        this.learnKey = null;
+        this.learnListeners = [];
+        this.ccLevels = new Map(); // Last value per CC, for action edges
+        this.onMessage = (event) => this.handleMessage(event.data);
+        this.onStateChange = () => this.bindInputs();
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    get isSupported() {
+        return MidiController.isSupported();
+    }
+
+    get isAvailable() {
+        return this.access !== null;
+    }
+
+    get hasOutputs() {
+        return this.access !== null && this.access.outputs.size > 0;
+    }
+
+    // Connects straight away when access was granted before, without prompting
+    async connectIfPermitted() {
+        if (!MidiController.isSupported() || !navigator.permissions) return false;
+
+        try {
+            const status = await navigator.permissions.query({ name: 'midi' });
+            if (status.state !== 'granted') return false;
+        } catch {
+            // Browsers that cannot query the MIDI permission wait for an explicit connect
+            return false;
+        }
+        return this.connect();
+    }
+
+    // Returns whether MIDI is usable, never throws
+    async connect() {
+        if (this.access) return true;
+        if (!MidiController.isSupported()) {
+            console.log('Web MIDI is not supported in this browser');
+            return false;
+        }
+
+        try {
+            this.access = await navigator.requestMIDIAccess();
+        } catch (error) {
+            console.warn('MIDI access denied:', error);
+            return false;
+        }
+
+        this.bindInputs();
+        // Devices plugged in later
+        this.access.addEventListener('statechange', this.onStateChange);
+
+        console.log(`MIDI connected (${this.access.inputs.size} in, ${this.access.outputs.size} out)`);
+        return true;
+    }
+
+    bindInputs() {
+        for (const input of this.access.inputs.values()) {
+            // The same listener is only added once, so rebinding is idempotent.
+            // Not onmidimessage: every simulation on the page listens to the same ports.
+            input.addEventListener('midimessage', this.onMessage);
+        }
+    }
+
+    // Stops listening, other instances on the page keep their own access
+    disconnect() {
+        if (!this.access) return;
+
+        for (const input of this.access.inputs.values()) {
+            input.removeEventListener('midimessage', this.onMessage);
+        }
+        this.access.removeEventListener('statechange', this.onStateChange);
+        this.access = null;
+        this.learnKey = null;
+        this.learnListeners = [];
+    }
+
+    handleMessage(data) {
+        const message = parseMidiMessage(data);
+        if (!message) return;
+
+        const sim = this.simulation;
+        if (sim.isReplaying) return;
+
+        if (message.type === 'cc') {
+            if (this.learnKey) {
+                this.assignCC(message.controller, this.learnKey);
+                return;
+            }
+
+            const previous = this.ccLevels.get(message.controller) || 0;
+            this.ccLevels.set(message.controller, message.value);
+
+            const target = this.mapping.ccs[message.controller];
+            if (isControllableKey(target)) {
+                sim.setConfig({ [target]: ccToValue(target, message.value) });
+            } else if (midiActions.includes(target) && previous < 64 && message.value >= 64) {
+                // Buttons sending CCs trigger when crossing the midpoint
+                this.triggerAction(target);
+            }
+        } else if (message.type === 'noteOn') {
+            const action = this.mapping.notes[message.note];
+            if (action) this.triggerAction(action);
+        }
+    }
+
+    triggerAction(action) {
+        const sim = this.simulation;
+        switch (action) {
+            case 'shape':
+                sim.toggleShape();
+                break;
+            case 'invert':
+                sim.toggleInvert();
+                break;
+            case 'freeze':
+                sim.toggleFreeze();
+                break;
+            case 'mute':
+                sim.toggleMute();
+                break;
+            case 'palette':
+                sim.nextPalette();
+                break;
+            case 'record':
+                sim.toggleRecording();
+                break;
+            case 'audio':
+                sim.toggleAudioInput();
+                break;
+            default:
+                console.warn(`Unknown MIDI action: ${action}`);
+        }
+    }
+
+    // ============================================
+    // Learn Mode
+    // ============================================
+
+    // The next CC that moves gets assigned to key
+    startLearn(key) {
+        this.learnKey = key;
+        this.notifyLearn();
+    }
+
+    cancelLearn() {
+        this.learnKey = null;
+        this.notifyLearn();
+    }
+
+    assignCC(controller, key) {
+        // One CC per key, reassigning moves it
+        for (const [cc, target] of Object.entries(this.mapping.ccs)) {
+            if (target === key) delete this.mapping.ccs[cc];
+        }
+        this.mapping.ccs[controller] = key;
+        this.saveMapping();
+
+        console.log(`MIDI CC ${controller} → ${key}`);
+        this.learnKey = null;
+        this.notifyLearn();
+    }
+
+    ccForKey(key) {
+        for (const [cc, target] of Object.entries(this.mapping.ccs)) {
+            if (target === key) return Number(cc);
+        }
+        return null;
+    }
+
+    // listener(learnKey) is called when learning starts, ends or assigns
+    onLearnChange(listener) {
+        this.learnListeners.push(listener);
+        return () => {
+            this.learnListeners = this.learnListeners.filter((l) => l !== listener);
+        };
+    }
+
+    notifyLearn() {
+        for (const listener of this.learnListeners) listener(this.learnKey);
+    }
+
+    resetMapping() {
+        this.mapping = structuredClone(defaultMidiMapping);
+        this.saveMapping();
+        this.notifyLearn();
+    }
+
+    loadMapping() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            if (stored && stored.notes && stored.ccs) return stored;
+        } catch {
+            // Private browsing or a corrupt entry, fall back to the defaults
+        }
+        return structuredClone(defaultMidiMapping);
+    }
+
+    saveMapping() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.mapping));
+        } catch {
+            // Not persisted, the mapping still applies for this visit
+        }
+    }
+
+    // ============================================
+    // Output
+    // ============================================
+
+    // Note on now, note off after duration (ms), on every connected output
+    sendNote(note, velocity, duration) {
+        if (!this.hasOutputs) return;
+
+        const channel = (this.channel - 1) & 0x0F;
+        const noteOff = performance.now() + duration;
+        for (const output of this.access.outputs.values()) {
+            output.send([NOTE_ON | channel, note, velocity]);
+            output.send([NOTE_OFF | channel, note, 0], noteOff);
+        }
+    }
+}
@@ -0,0 +1,86 @@
+// ============================================
+// Scales, Keys & Timbres
+// ============================================
+
+export const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Semitone steps from the root
+export const scales = {
+    pentatonic: [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10],
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    phrygian: [0, 1, 3, 5, 7, 8, 10],
+    harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+    wholeTone: [0, 2, 4, 6, 8, 10],
+    // The original inverted scale (C, Db, E, F, G, A, Bb)
+    eerie: [0, 1, 4, 5, 7, 9, 10],
+};
+
+export const scaleNames = Object.keys(scales);
+
+// Oscillator pairs with their envelope. brightness scales the filter cutoff.
+export const timbres = {
+    keys: { types: ['sine', 'triangle'], detune: 4, attack: 0.05, release: 2.5, brightness: 1 },
+    bell: { types: ['sine', 'sine'], detune: 1200, attack: 0.005, release: 3.5, brightness: 1.4 },
+    pluck: { types: ['triangle', 'square'], detune: 6, attack: 0.003, release: 1.2, brightness: 0.8 },
+    glass: { types: ['sine', 'triangle'], detune: 702, attack: 0.02, release: 3, brightness: 1.6 },
+    pad: { types: ['sawtooth', 'triangle'], detune: 12, attack: 0.4, release: 4, brightness: 0.5 },
+    dark: { types: ['sawtooth', 'triangle'], detune: -10, attack: 0.05, release: 4, brightness: 0.6 },
+};
+
+export const timbreNames = Object.keys(timbres);
+
+// What each built-in shape sounds like. Shell and surface variants share their solid's voice.
+const shapeVoices = {
+    sphere: { timbre: 'keys', scale: 'pentatonic' },
+    cube: { timbre: 'pluck', scale: 'major' },
+    pyramid: { timbre: 'glass', scale: 'lydian' },
+    torus: { timbre: 'bell', scale: 'wholeTone' },
+    'torus-knot': { timbre: 'bell', scale: 'dorian' },
+    helix: { timbre: 'pluck', scale: 'minorPentatonic' },
+    mobius: { timbre: 'glass', scale: 'dorian' },
+    galaxy: { timbre: 'pad', scale: 'lydian' },
+    lorenz: { timbre: 'pad', scale: 'harmonicMinor' },
+    text: { timbre: 'keys', scale: 'major' },
+};
+
+// Inverted colours keep their darker sound whatever the shape
+export const invertedVoice = { timbre: 'dark', scale: 'eerie', octave: -1 };
+
+function hashName(name) {
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+    return hash;
+}
+
+// Imported and user shapes get a stable voice picked from their name
+export function voiceForShape(name) {
+    const base = String(name).replace(/-(shell|surface)$/, '');
+    if (shapeVoices[base]) return shapeVoices[base];
+
+    const hash = hashName(base);
+    return {
+        timbre: timbreNames[hash % timbreNames.length],
+        scale: scaleNames[(hash >>> 8) % scaleNames.length],
+    };
+}
+
+// MIDI note numbers of a scale over a number of octaves, starting at the key's root
+export function buildScale(scale, key = 'C', octave = 4, octaves = 2) {
+    const steps = scales[scale] || scales.pentatonic;
+    const root = 12 * (octave + 1) + Math.max(noteNames.indexOf(key), 0);
+
+    const notes = [];
+    for (let o = 0; o < octaves; o++) {
+        for (const step of steps) notes.push(root + o * 12 + step);
+    }
+    notes.push(root + octaves * 12);
+    return notes;
+}
+
+export function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
@@ -0,0 +1,155 @@
+// ============================================
+// Simplex Noise (3D) and Curl Noise
+// ============================================
+
+// Based on Stefan Gustavson's simplex noise, with analytic derivatives so
+// curl noise only needs three noise evaluations instead of twelve.
+
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+// Brings the output of the 0.5-radius kernel to roughly [-1, 1]
+const NOISE_SCALE = 76;
+
+// Curl magnitudes run a few times larger than the noise itself
+const CURL_SCALE = 0.25;
+
+const GRADIENTS = new Float32Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1,
+]);
+
+// Offsets for the second and third potential field of the curl noise
+const CURL_OFFSET_B = [31.416, -47.853, 12.793];
+const CURL_OFFSET_C = [-19.171, 33.457, 47.913];
+
+export class SimplexNoise {
+    constructor(random = Math.random) {
+        // Seeded permutation table, doubled to avoid index wrapping
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) p[i] = i;
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const tmp = p[i];
+            p[i] = p[j];
+            p[j] = tmp;
+        }
+
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+
+        this.accumulator = new Float64Array(4);
+        this.gradient = [0, 0, 0];
+        this.gradientB = [0, 0, 0];
+        this.gradientC = [0, 0, 0];
+    }
+
+    // Smooth noise in roughly [-1, 1]
+    noise3D(x, y, z) {
+        return this.noise3DGradient(x, y, z, null);
+    }
+
+    // Same as noise3D, additionally writes the analytic gradient into out
+    noise3DGradient(x, y, z, out) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        // Skew into the simplex grid
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Find the simplex we are in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+
+        const acc = this.accumulator;
+        acc[0] = acc[1] = acc[2] = acc[3] = 0;
+        const withGradient = out !== null;
+
+        this.addCorner(x0, y0, z0, permMod12[ii + perm[jj + perm[kk]]], withGradient);
+        this.addCorner(
+            x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3,
+            permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]], withGradient
+        );
+        this.addCorner(
+            x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3,
+            permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]], withGradient
+        );
+        this.addCorner(
+            x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3,
+            permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]], withGradient
+        );
+
+        if (withGradient) {
+            out[0] = acc[1] * NOISE_SCALE;
+            out[1] = acc[2] * NOISE_SCALE;
+            out[2] = acc[3] * NOISE_SCALE;
+        }
+
+        return acc[0] * NOISE_SCALE;
+    }
+
+    // Contribution of one simplex corner, accumulated as [value, dx, dy, dz]
+    addCorner(cx, cy, cz, gi, withGradient) {
+        const falloff = 0.5 - cx * cx - cy * cy - cz * cz;
+        if (falloff <= 0) return;
+
+        const g = gi * 3;
+        const gx = GRADIENTS[g];
+        const gy = GRADIENTS[g + 1];
+        const gz = GRADIENTS[g + 2];
+        const gDot = gx * cx + gy * cy + gz * cz;
+
+        const t2 = falloff * falloff;
+        const t4 = t2 * t2;
+        const acc = this.accumulator;
+        acc[0] += t4 * gDot;
+
+        if (withGradient) {
+            const dFalloff = -8 * t2 * falloff * gDot;
+            acc[1] += dFalloff * cx + t4 * gx;
+            acc[2] += dFalloff * cy + t4 * gy;
+            acc[3] += dFalloff * cz + t4 * gz;
+        }
+    }
+
+    // Divergence-free flow field, written into out as [x, y, z]
+    curl3D(x, y, z, out) {
+        const a = this.gradient;
+        const b = this.gradientB;
+        const c = this.gradientC;
+
+        this.noise3DGradient(x, y, z, a);
+        this.noise3DGradient(x + CURL_OFFSET_B[0], y + CURL_OFFSET_B[1], z + CURL_OFFSET_B[2], b);
+        this.noise3DGradient(x + CURL_OFFSET_C[0], y + CURL_OFFSET_C[1], z + CURL_OFFSET_C[2], c);
+
+        // curl of the potential (a, b, c)
+        out[0] = (c[1] - b[2]) * CURL_SCALE;
+        out[1] = (a[2] - c[0]) * CURL_SCALE;
+        out[2] = (b[0] - a[1]) * CURL_SCALE;
+        return out;
+    }
+}
@@ -0,0 +1,141 @@
+// ============================================
+// Colour Palettes
+// ============================================
+
+import * as THREE from 'three';
+
+// Resolution of the gradient lookup texture
+const GRADIENT_SIZE = 256;
+
+// What the gradient position of a particle is driven by
+export const colorModes = ['static', 'displacement', 'speed', 'depth', 'cursor'];
+
+const registry = new Map();
+
+function createPalette(name, { colors, background = '#0a0a0a' }) {
+    const stops = colors.map(parseHexColor).filter(Boolean);
+    if (stops.length === 0) {
+        throw new Error(`Palette "${name}" has no valid colours`);
+    }
+    return { name, colors: stops, background: parseHexColor(background) || [10, 10, 10] };
+}
+
+// A palette is a list of gradient stops (hex strings) and the background it is meant for.
+// Registering an existing name replaces it.
+export function registerPalette(name, spec) {
+    registry.set(name, createPalette(name, spec));
+}
+
+export function unregisterPalette(name) {
+    registry.delete(name);
+}
+
+export function hasPalette(name) {
+    return registry.has(name);
+}
+
+export function getPalette(name) {
+    return registry.get(name) || null;
+}
+
+export function getPaletteNames() {
+    return Array.from(registry.keys());
+}
+
+// Palettes of one simulation (e.g. 'custom' from the customPalette setting) on top of
+// the global ones, which they shadow
+export class PaletteLibrary {
+    constructor() {
+        this.local = new Map();
+    }
+
+    register(name, spec) {
+        this.local.set(name, createPalette(name, spec));
+    }
+
+    unregister(name) {
+        this.local.delete(name);
+    }
+
+    has(name) {
+        return this.local.has(name) || registry.has(name);
+    }
+
+    get(name) {
+        return this.local.get(name) || getPalette(name);
+    }
+
+    names() {
+        return [...new Set([...registry.keys(), ...this.local.keys()])];
+    }
+}
+
+// '#rgb' or '#rrggbb' (the hash is optional) to [r, g, b] in 0-255, null when malformed
+export function parseHexColor(value) {
+    let hex = String(value).trim().replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.replace(/./g, '$&$&');
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+
+    const number = parseInt(hex, 16);
+    return [(number >> 16) & 255, (number >> 8) & 255, number & 255];
+}
+
+export function toHexColor([r, g, b]) {
+    return `#${((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1)}`;
+}
+
+// Comma or space separated hex colours, as typed into the settings panel or a link
+export function parseColorList(value) {
+    return String(value).split(/[\s,]+/).filter((part) => parseHexColor(part) !== null);
+}
+
+// Relative luminance, used to pick light or dark UI chrome for a background
+export function isLightColor([r, g, b]) {
+    return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255 > 0.5;
+}
+
+// Writes the evenly spaced stops of a palette into an RGBA row. The bytes are
+// stored as authored (sRGB), the particle shader outputs them unconverted.
+export function writeGradient(palette, data) {
+    const stops = palette.colors;
+
+    for (let i = 0; i < GRADIENT_SIZE; i++) {
+        const t = (i / (GRADIENT_SIZE - 1)) * (stops.length - 1);
+        const index = Math.min(Math.floor(t), stops.length - 1);
+        const next = Math.min(index + 1, stops.length - 1);
+        const f = t - index;
+
+        for (let c = 0; c < 3; c++) {
+            data[i * 4 + c] = Math.round(stops[index][c] + (stops[next][c] - stops[index][c]) * f);
+        }
+        data[i * 4 + 3] = 255;
+    }
+}
+
+export function createGradientTexture(palette) {
+    const texture = new THREE.DataTexture(new Uint8Array(GRADIENT_SIZE * 4), GRADIENT_SIZE, 1, THREE.RGBAFormat);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    writeGradient(palette, texture.image.data);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// ============================================
+// Built-in Palettes
+// ============================================
+
+// The original look: light greys on near black, and its inversion
+registerPalette('mono', { colors: ['#b3b3b3', '#ffffff'], background: '#0a0a0a' });
+registerPalette('inverted', { colors: ['#1a1a1a', '#4d4d4d'], background: '#ffffff' });
+registerPalette('contrast', { colors: ['#000000', '#000000'], background: '#ffffff' }); // Inverted under high contrast
+
+registerPalette('ember', { colors: ['#2b0a05', '#9c1f0b', '#f2600c', '#ffc94d', '#fff6d6'], background: '#070302' });
+registerPalette('ocean', { colors: ['#03142e', '#0b4f8a', '#1fa2c7', '#7fe3e0', '#f0fffd'], background: '#01060d' });
+registerPalette('aurora', { colors: ['#0d2b45', '#1b7f79', '#4ee08f', '#b8f36b', '#f5e7ff'], background: '#03080d' });
+registerPalette('sunset', { colors: ['#2d0b3a', '#8f1f5f', '#e2475c', '#f79c4b', '#fde4a0'], background: '#0b0410' });
+registerPalette('neon', { colors: ['#ff00a8', '#7b2bff', '#00c8ff', '#00ffb2'], background: '#050008' });
+registerPalette('viridis', { colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'], background: '#0a0a0a' });
+registerPalette('paper', { colors: ['#3a2f28', '#7a5c45', '#b0413e'], background: '#f3ede2' });
@@ -1,181 +1,85 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
-
-// ============================================
-// Sound Manager (Ambient Piano)
-// ============================================
-
-class SoundManager {
-    constructor() {
-        this.ctx = null;
-        this.masterGain = null;
-        this.reverbNode = null;
-        this.isInitialized = false;
-
-        // Scales
-        // Default: Pentatonic / Lydian feel (Bright/Dreamy)
-        this.scaleDefault = [60, 62, 64, 67, 69, 72, 74, 76, 79, 81];
-
-        // Inverted: Phrygian / Minor (Dark/Eerie) - Lower octave
-        this.scaleInverted = [48, 49, 52, 53, 55, 57, 58, 60, 64, 65];
-        // C3, Db3, E3, F3, G3, A3, Bb3, C4...
-
-        this.currentScale = this.scaleDefault;
-        this.isInverted = false;
-
-        this.lastNoteTime = 0;
-        this.noteDensity = 0.15; // Min time between notes
-
-        // Performance limits
-        this.maxVoices = 8;
-        this.activeVoices = 0;
-
-        this.isMuted = false;
-    }
-
-    setInverted(isInverted) {
-        this.isInverted = isInverted;
-        this.currentScale = isInverted ? this.scaleInverted : this.scaleDefault;
-    }
-
-    toggleMute() {
-        this.isMuted = !this.isMuted;
-        if (this.masterGain) {
-            // Smooth fade to avoid clicking
-            const t = this.ctx.currentTime;
-            this.masterGain.gain.cancelScheduledValues(t);
-            this.masterGain.gain.setTargetAtTime(this.isMuted ? 0 : 0.4, t, 0.1);
-        }
-        console.log(this.isMuted ? 'Audio Muted' : 'Audio Unmuted');
-        return this.isMuted;
-    }
-
-    init() {
-        if (this.isInitialized) return;
-
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.ctx = new AudioContext();
-
-        // Master Gain
-        this.masterGain = this.ctx.createGain();
-        this.masterGain.gain.value = 0.8;
-        this.masterGain.connect(this.ctx.destination);
-
-        // Reverb Convolver
-        this.reverbNode = this.ctx.createConvolver();
-        // Reduced duration from 3.0 to 2.0 for performance
-        this.reverbNode.buffer = this.createImpulseResponse(2.0, 2.0);
-        this.reverbNode.connect(this.masterGain);
-
-        this.isInitialized = true;
-        console.log('Audio Context Initialized');
-    }
-
-    createImpulseResponse(duration, decay) {
-        const rate = this.ctx.sampleRate;
-        const length = rate * duration;
-        const impulse = this.ctx.createBuffer(2, length, rate);
-        const left = impulse.getChannelData(0);
-        const right = impulse.getChannelData(1);
-
-        for (let i = 0; i < length; i++) {
-            const n = i / length;
-            // Exponential fade
-            const env = Math.pow(1 - n, decay);
-            // Randomized noise
-            left[i] = (Math.random() * 2 - 1) * env;
-            right[i] = (Math.random() * 2 - 1) * env;
-        }
-
-        return impulse;
-    }
-
-    triggerInteractionSound(intensity) {
-        if (!this.isInitialized || this.isMuted) return;
-
-        // Ensure context is running (sometimes it suspends on load)
-        if (this.ctx && this.ctx.state === 'suspended') {
-            this.ctx.resume();
-        }
-
-        if (this.activeVoices >= this.maxVoices) return;
-
-        const now = this.ctx.currentTime;
-
-        // Rate limiting based on previous note
-        if (now - this.lastNoteTime < this.noteDensity) return;
-
-        this.playNote();
-        this.lastNoteTime = now;
-    }
-
-    playNote() {
-        if (!this.ctx) return;
-
-        // Debug log
-        console.log(`Playing note: CTX State: ${this.ctx.state}, MasterGain: ${this.masterGain.gain.value}`);
-
-        this.activeVoices++;
-
-        // Pick a random note from current scale
-        const midiNote = this.currentScale[Math.floor(Math.random() * this.currentScale.length)];
-        const freq = 440 * Math.pow(2, (midiNote - 69) / 12);
-
-        // Create Oscillator (Keys)
-        const osc = this.ctx.createOscillator();
-        const osc2 = this.ctx.createOscillator(); // Detuned slightly for richness
-
-        osc.type = this.isInverted ? 'sawtooth' : 'sine'; // Sawtooth for harsher/darker sound when inverted
-        osc2.type = 'triangle';
-
-        osc.frequency.value = freq;
-        osc2.frequency.value = freq;
-        osc2.detune.value = this.isInverted ? -10 : 4; // More detuning for weirdness when inverted
-
-        // Envelope
-        const gain = this.ctx.createGain();
-        const t = this.ctx.currentTime;
-
-        // Attack
-        gain.gain.setValueAtTime(0, t);
-        gain.gain.linearRampToValueAtTime(0.5, t + 0.05); // Louder attack
-        // Decay/Release
-        const releaseTime = this.isInverted ? 4.0 : 2.5;
-        gain.gain.exponentialRampToValueAtTime(0.001, t + releaseTime);
-
-        // Connect graph
-        osc.connect(gain);
-        osc2.connect(gain);
-
-        // Split output: Dry (direct) + Wet (Reverb)
-        gain.connect(this.masterGain); // Direct
-        gain.connect(this.reverbNode); // To Reverb
-
-        osc.start(t);
-        osc2.start(t);
-
-        osc.stop(t + releaseTime + 0.5);
-        osc2.stop(t + releaseTime + 0.5);
-
-        // Garbage collection helpers
-        setTimeout(() => {
-            gain.disconnect();
-            this.activeVoices--;
-        }, (releaseTime + 0.5) * 1000);
-    }
-}
+import { GPUParticleCompute } from './gpuCompute.js';
+import { createRandom, hashSeed } from './random.js';
+import { SimplexNoise } from './noise.js';
+import { SessionRecorder, SessionPlayer } from './recorder.js';
+import { ShapeLibrary, hasShape } from './shapes.js';
+import { createTextGenerator, defaultTextOptions, loadTextFont } from './textShape.js';
+import { createImageGenerator, isImageFile, loadImageFile } from './imageImport.js';
+import { createMeshGenerator, isMeshFile, loadMeshFile } from './meshImport.js';
+import { ShapeTransition } from './transitions.js';
+import { SettingsPanel, parseState, serializeState, upgradeConfig } from './settingsPanel.js';
+import {
+    PaletteLibrary, colorModes, createGradientTexture, isLightColor, parseColorList, parseHexColor, writeGradient,
+} from './palettes.js';
+import { AudioReactive, isAudioFile, mapAudioLevels } from './audioReactive.js';
+import { MidiController } from './midi.js';
+import { SoundManager } from './soundManager.js';
+import { MAX_POINTERS, MOUSE_POINTER, PointerTracker } from './pointers.js';
+import { CameraRig, DEFAULT_CAMERA_DISTANCE, defaultCameraPath } from './cameraRig.js';
+import {
+    ForceFieldEditor, ForceFieldOverlay, MAX_FORCE_FIELDS, createFieldData, decodeFields,
+    encodeFields, normalizeField, packForceFields,
+} from './forceFields.js';
+import { DEPTH_LAYER, EffectStack, effectNames, qualityNames } from './postProcessing.js';
+import { Exporter } from './exporter.js';
+import { QualityGovernor, StatsOverlay, qualityTierNames } from './quality.js';
+import { Emitter } from './emitter.js';
+import { applyNeighborForces, behaviors, createNeighborState, stepParticles, windAt } from './simulationCore.js';
+import {
+    Announcer, KEYBOARD_POINTER, KeyboardCursor, REDUCED_MOTION, describeShape, resolvePreference, watchMediaQuery,
+} from './accessibility.js';
+import { SyncSession } from './sync.js';
+import { ConstellationLines, TrailLines, createDefaultSpriteAtlas, loadSpriteAtlas, renderModes } from './renderModes.js';
+
+// Seconds a palette change takes to blend into the next one
+const PALETTE_FADE = 0.6;
+
+// Live audio levels reach the physics (and the recording) every few steps, and only
+// when a band moved by more than AUDIO_LEVEL_CHANGE
+const AUDIO_LEVEL_FRAMES = 3;
+const AUDIO_LEVEL_CHANGE = 0.01;
+
+// Frames between GPU position readbacks for trails and links, each one stalls the GPU
+const LINE_READBACK_INTERVAL = 3;
 
 // ============================================
 // Particle Simulation Class
 // ============================================
 
-class ParticleSimulation {
-    constructor() {
+// Embeddable: several instances can share a page, each owns its canvas and listens
+// only there. container is the element the canvas fills. Options:
+//   config          overrides for any config key below, these become the defaults
+//   useHash         read and write the settings in the address bar (one instance per page)
+//   midi            connect to MIDI devices that were granted before
+//   keyboardTarget  element whose keys control this instance, the focusable container by default
+//   dropTarget      element files can be dropped on, the container by default
+//   uiRoot          element that gets the 'inverted' and 'dragging' classes, the container by default
+//   cursor, settingsPanel, textForm, textInput, help   optional page elements to drive
+//   sync            { transport, room, slice, yaw, ... } joins other screens, see sync.js
+// Events (see on()): 'shape', 'pointerdown', 'pointerup', 'interaction', 'freeze',
+// 'invert', 'mute', 'config', 'sync', 'destroy'.
+export class ParticleSimulation extends Emitter {
+    constructor(container, options = {}) {
+        super();
+        if (!container) throw new Error('ParticleSimulation needs a container element');
+
+        this.container = container;
+        this.options = options;
+        this.keyboardTarget = options.keyboardTarget || container;
+        this.dropTarget = options.dropTarget || container;
+        this.uiRoot = options.uiRoot || container;
+        this.useHash = Boolean(options.useHash);
+        this.domListeners = []; // [target, type, handler, options], removed by destroy()
+        this.frameId = null;
+        this.isDestroyed = false;
+
         // Configuration
         this.config = {
+            seed: 1337, // Drives every random decision, same seed + same input = same run
             particleCount: 90000,
+            gpuParticleCount: 500000, // Used instead of particleCount on the GPU path
+            computeMode: 'auto', // 'auto' | 'gpu' | 'cpu'
             particleSize: 2.5,
             mouseRadius: 150,
             mouseForce: 1.0,
@@ -186,43 +90,254 @@ class ParticleSimulation {
             windStrength: 0.09,
             windTurbulence: 0.2,
             damping: 0.96,
+
+            // Particles reacting to their neighbours (CPU only, see simulationCore.js)
+            behavior: 'none', // 'none' | 'flock' | 'fluid'
+            neighborRadius: 10,
+            separation: 1, // Flock weights
+            alignment: 0.5,
+            cohesion: 0.3,
+            fluidStiffness: 1,
+            fluidRestDensity: 5, // Crowding the fluid tolerates before it pushes back
+            fluidViscosity: 0.1,
+
+            // Shape morphs
+            morphDuration: 1.6, // Seconds, 0 = jump straight to the new shape
+            morphEasing: 'easeInOutCubic',
+            morphOrder: 'radial', // 'none' | 'height' | 'radial' | 'random' | 'wave'
+            morphStagger: 0.4,
+            morphExplode: 0, // Outward burst before reassembling
+            morphMatching: true, // Send particles to nearby targets
+
+            // Look
+            renderMode: 'points', // Or 'trails' | 'constellation' | 'sprites', see renderModes.js
+            lineParticles: 6000, // Particles that get trails or links, the lines cost CPU time
+            trailLength: 12, // Positions per trail
+            linkDistance: 28,
+            maxLinks: 3, // Per particle
+            spriteAtlas: '', // Image URL, empty = the built-in atlas
+            spriteColumns: 1, // Frames across and down the atlas image
+            spriteRows: 1,
+            spriteScale: 3, // Times the point size
+            focusOffset: 0, // Sharpest depth, relative to the point the camera looks at
+            depthFade: 200, // Half width of the fade around the focal distance
+            grainIntensity: 0.03,
+
+            // Effects, in the order they apply. Quality caps which ones may run.
+            effectQuality: 'high',
+            effectOrder: effectNames.join(','),
+            effectDof: false, // Replaces the per-point blur when on
+            effectAfterimage: false,
+            effectBloom: false,
+            effectChromatic: false,
+            effectVignette: false,
+            effectGrain: true,
+            dofBlur: 6, // px
+            dofRange: 150, // Distance from the focus that is fully blurred
+            afterimageDamp: 0.85,
+            bloomStrength: 0.8,
+            bloomRadius: 0.4,
+            bloomThreshold: 0.2,
+            chromaticAmount: 0.004,
+            vignetteAmount: 0.5,
+
+            // Export
+            exportScale: 2, // Times the window size, for stills and frame sequences
+            exportFrameRate: 30,
+            exportDuration: 10, // Seconds of frame sequence
+
+            // Performance
+            qualityTier: 'auto', // Or a pinned tier from quality.js
+            targetFps: 60,
+            showStats: false,
+
+            // Colour (see palettes.js)
+            palette: 'mono',
+            customPalette: '', // Hex stops for the 'custom' palette, e.g. "#ff0055,#ffd000"
+            backgroundColor: '', // Hex, empty = the palette's own background
+            colorMode: 'static', // 'static' | 'displacement' | 'speed' | 'depth' | 'cursor'
+            colorScale: 1, // Sensitivity of the data-driven modes
+
+            // Audio-reactive mapping, bands drive one target each (see audioReactive.js)
+            audioBass: 'pulse',
+            audioMids: 'windStrength',
+            audioHighs: 'noiseAmount',
+            audioGain: 1,
+            audioBeatShape: true, // Beats in the bass change the shape
+
+            // Sound (see music.js and midi.js)
+            musicalScale: 'auto', // 'auto' follows the shape, or any name in music.js
+            musicalKey: 'C',
+            pitchSource: 'height', // Cursor 'height' or 'distance' from the centre
+            panning: 'stereo', // 'stereo' | 'hrtf'
+            soundOutput: 'internal', // 'internal' | 'midi' | 'both'
+            midiChannel: 1,
+
+            // Camera
+            autoOrbitSpeed: 0.15, // Radians per second
+
+            // Accessibility (see accessibility.js)
+            reducedMotion: 'auto', // 'auto' follows prefers-reduced-motion, or 'on' / 'off'
+            highContrast: 'auto', // 'auto' follows prefers-contrast: more. Solid colours, no grain.
+            keyboardCursorSpeed: 0.6, // Screen heights per second for the arrow keys
+            showHelp: true,
+
+            // New force fields (Alt-click)
+            fieldType: 'attractor',
+            fieldRadius: 200,
+            fieldStrength: 1, // Times the type's default strength
+            fieldFalloff: 1,
+            fieldAnimation: 'none',
         };
 
+        // Embedders' settings replace the built-in defaults, so resets return to them
+        for (const [key, value] of Object.entries(upgradeConfig(options.config || {}))) {
+            if (key in this.config) this.config[key] = value;
+            else console.warn(`Unknown config key: ${key}`);
+        }
+
+        // Untouched copy for resets and for keeping shared links short
+        this.defaults = { ...this.config };
+
         // State
+        // Every pressed touch plus the mouse is a force point: id -> { x, y, world, isDown }.
+        // mouse / mouseWorld follow whichever pointer moved last (cursor colour, note panning).
+        this.pointers = new Map();
         this.mouse = new THREE.Vector2(9999, 9999);
         this.mouseWorld = new THREE.Vector3();
         this.raycaster = new THREE.Raycaster();
         this.clock = new THREE.Clock();
         this.isMouseDown = false;
+        this.pointerData = new Float32Array(MAX_POINTERS * 4);
 
         // Audio
         this.soundManager = new SoundManager();
         this.hasInteracted = false;
 
-        // Shape transformation state
-        this.currentShape = 'sphere';
-        this.shapeOrder = ['sphere', 'cube', 'pyramid'];
+        // Audio-reactive input, levels are 0-1 per band
+        this.audioReactive = new AudioReactive(this.soundManager);
+        this.audioLevels = { bass: 0, mids: 0, highs: 0 };
+
+        // MIDI in and out, inactive until access is granted
+        this.midi = new MidiController(this);
+        this.soundManager.midi = this.midi;
+
+        // Shape transformation state (shapes come from the registry in shapes.js, text
+        // and imports are registered on this simulation's ShapeLibrary)
+        this.currentShape = this.config.shape;
         this.isTransforming = false;
-        this.shapes = {
-            sphere: null,
-            cube: null,
-            pyramid: null
-        };
+        this.shapes = null;
+        this.palettes = new PaletteLibrary();
+        this.transition = null;
+        this.transitionListeners = [];
+        this.time = 0;
+        this.morphTime = 0; // Simulation time that stands still while frozen, morphs run on it
+
+        // GPU compute (null when running the CPU fallback)
+        this.gpuCompute = null;
+        this.useGPU = false;
+        this.neighborState = null; // Grid and scratch of the neighbour behaviours
 
         // Freeze time state
         this.isFrozen = false;
 
-        // Color inversion state
+        // Color inversion state (the 'inverted' palette)
         this.isInverted = false;
+        this.paletteBeforeInvert = null;
+
+        // Palette gradients, the previous one stays around to blend from
+        this.gradientTexture = null;
+        this.previousGradientTexture = null;
+        this.paletteKey = null;
+        this.paletteFadeStart = 0;
+        this.backgroundColor = [10, 10, 10];
+        this.backgroundFrom = new THREE.Color();
+        this.backgroundTo = new THREE.Color();
+
+        // Line overlays and sprite atlases of the non-point render modes
+        this.renderOverlay = null;
+        this.renderOverlayKey = null; // Mode and size it was built for
+        this.spriteTexture = null;
+        this.spriteGrid = new THREE.Vector2(1, 1);
+        this.spriteSource = null; // What spriteTexture was loaded from
+
+        // Session recording / replay
+        this.recorder = new SessionRecorder(this);
+        this.player = new SessionPlayer(this);
+        this.isReplaying = false;
+        this.fixedTimestep = null; // Set while recording or replaying
+        this.simFrame = 0;
+
+        // Other screens of an installation, see sync.js
+        this.sync = null;
+        this.viewSlice = null; // [column, row, columns, rows] of a video wall
+        this.aspect = this.width / this.height; // This screen's, a slice's camera spans the whole wall
+        this.rotationCorrection = new THREE.Quaternion(); // Left to turn towards the leader's cloud
+        this.rotationStep = new THREE.Quaternion();
+
+        // Stills, live video and offline frame sequences
+        this.exporter = new Exporter(this);
+
+        // Draw range, pixel ratio and effects follow the frame rate, see quality.js
+        this.governor = new QualityGovernor({ onChange: (tier, fps) => this.onQualityTierChange(tier, fps) });
+        this.renderTier = this.governor.tier;
+        this.activeParticleCount = 0;
+        this.statsOverlay = new StatsOverlay(container);
+
+        // Seeded randomness and coherent noise
+        this.seedRandomness();
+
+        // Persistent force fields in world space, see forceFields.js
+        this.forceFields = [];
+        this.nextFieldId = 1;
+        this.fieldsVersion = 0; // Bumped on every change, the overlay rebuilds on it
+        this.fieldData = createFieldData();
+        this.showFieldOverlay = false;
 
         // Custom cursor
-        this.customCursor = document.getElementById('custom-cursor');
+        this.customCursor = options.cursor || null;
+
+        // Arrow keys move a force point, the live region reads state changes out
+        this.keyboardCursor = new KeyboardCursor({
+            onMove: (x, y) => this.setPointer(x, y, null, KEYBOARD_POINTER),
+            onPress: (isDown) => this.setPointerDown(KEYBOARD_POINTER, isDown),
+            onShow: () => this.announce('Keyboard cursor: arrow keys move it, Enter pushes, Escape hides it'),
+        });
+        this.announcer = new Announcer(container);
+        this.help = options.help || null;
+
+        // Operating system preferences, behind the 'auto' settings
+        this.motionQuery = watchMediaQuery('(prefers-reduced-motion: reduce)', () => this.onPreferenceChange());
+        this.contrastQuery = watchMediaQuery('(prefers-contrast: more)', () => this.onPreferenceChange());
+
+        // Last imported image, kept so a heightmap can be dropped afterwards
+        this.lastImageImport = null;
+
+        // Text formation input
+        this.textForm = options.textForm || null;
+        this.textInput = options.textInput || null;
+        this.text = null;
+        this.textOptions = null;
+
+        // Settings from a shared link, applied before anything is built
+        this.hash = '';
+        this.hashTimeout = null;
+        const linkedState = this.useHash ? this.loadHashState() : {};
 
         // Initialize
         this.init();
+        this.applyPalette();
         this.createParticles();
         this.setupPostProcessing();
         this.setupEventListeners();
+        this.setupAnnouncements();
+        this.applyConfig();
+        this.setupSettingsPanel();
+        if (options.midi) {
+            this.midi.connectIfPermitted().then(() => this.settingsPanel && this.settingsPanel.refresh());
+        }
+        this.applyHashExtras(linkedState);
+        if (options.sync) this.sync = new SyncSession(this, options.sync);
         this.animate();
     }
 
@@ -238,72 +353,84 @@ class ParticleSimulation {
         // Camera
         this.camera = new THREE.PerspectiveCamera(
             75,
-            window.innerWidth / window.innerHeight,
+            this.width / this.height,
             0.1,
             2000
         );
-        this.camera.position.z = 400;
 
         // Renderer
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
             alpha: true
         });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(this.width, this.height);
+        this.renderer.setPixelRatio(this.pixelRatio);
         this.renderer.toneMapping = THREE.ReinhardToneMapping;
+        this.container.appendChild(this.renderer.domElement);
+
+        // Orbit, pan, zoom and scripted paths around the cloud
+        this.cameraRig = new CameraRig(this.camera, this.renderer.domElement);
+        this.cameraRig.onChange = (state) => this.recordEvent('camera', { state });
 
-        const container = document.getElementById('canvas-container');
-        container.appendChild(this.renderer.domElement);
+        this.fieldEditor = new ForceFieldEditor(this, this.renderer.domElement);
+        this.fieldOverlay = new ForceFieldOverlay(this.scene);
 
-        // Invisible plane for mouse interaction
+        // Invisible plane for mouse interaction, kept facing the camera through the cloud centre
         this.interactionPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        this.viewDirection = new THREE.Vector3();
+
+        // Pick the physics backend
+        this.useGPU = this.wantsGPU() && GPUParticleCompute.isSupported(this.renderer);
+        console.log(`Physics running on the ${this.useGPU ? 'GPU' : 'CPU'}`);
+    }
+
+    // Neighbour behaviours only exist in the CPU core, 'auto' moves to it for them
+    wantsGPU() {
+        const mode = this.config.computeMode;
+        return mode === 'gpu' || (mode === 'auto' && this.config.behavior === 'none');
+    }
+
+    // Everything random derives from config.seed. Audio gets its own stream, its
+    // note timing depends on the AudioContext clock and must not shift the physics.
+    seedRandomness() {
+        this.random = createRandom(this.config.seed);
+        this.noise = new SimplexNoise(this.random);
+        this.noiseOffset = new THREE.Vector3(this.random() * 100, this.random() * 100, this.random() * 100);
+        this.soundManager.random = createRandom(hashSeed(this.config.seed) ^ 0x9E3779B9);
+        this.frameCount = 0;
+    }
+
+    // Back to the state right after construction, used by recordings and replays
+    resetSimulation() {
+        this.isFrozen = false;
+        this.releasePointers();
+        this.pointers.clear();
+        this.keyboardCursor.hide();
+        this.mouse.set(9999, 9999);
+        this.mouseWorld.set(0, 0, 0);
+        this.cameraRig.reset();
+        this.audioLevels = { bass: 0, mids: 0, highs: 0 };
+
+        this.seedRandomness();
+        this.currentShape = this.config.shape;
+        // A replay's config may ask for the other backend
+        this.useGPU = this.wantsGPU() && GPUParticleCompute.isSupported(this.renderer);
+        this.createParticles();
+        this.particles.rotation.set(0, 0, 0);
+        this.simFrame = 0;
+        this.morphTime = 0;
+
+        // Replays bring their own config
+        this.applyConfig();
     }
 
     // ============================================
     // Post Processing
     // ============================================
 
+    // Effects are switched and parameterized from the config in applyConfig()
     setupPostProcessing() {
-        this.composer = new EffectComposer(this.renderer);
-        const renderPass = new RenderPass(this.scene, this.camera);
-        this.composer.addPass(renderPass);
-
-        // Film Grain Shader
-        const FilmGrainShader = {
-            uniforms: {
-                'tDiffuse': { value: null },
-                'time': { value: 0 },
-                'noiseIntensity': { value: 0.03 },
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                void main() {
-                    vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform sampler2D tDiffuse;
-                uniform float time;
-                uniform float noiseIntensity;
-                varying vec2 vUv;
-                
-                float random(vec2 co) {
-                    return fract(sin(dot(co.xy, vec2(12.9898, 78.233))) * 43758.5453);
-                }
-                
-                void main() {
-                    vec4 color = texture2D(tDiffuse, vUv);
-                    float noise = random(vUv + time) * 2.0 - 1.0;
-                    color.rgb += noise * noiseIntensity;
-                    gl_FragColor = color;
-                }
-            `
-        };
-
-        this.grainPass = new ShaderPass(FilmGrainShader);
-        this.composer.addPass(this.grainPass);
+        this.effects = new EffectStack(this.renderer, this.scene, this.camera);
     }
 
     // ============================================
@@ -315,104 +442,243 @@ class ParticleSimulation {
             this.scene.remove(this.particles);
             this.geometry.dispose();
             this.material.dispose();
+            this.depthMaterial.dispose();
+        }
+        this.disposeRenderOverlay();
+        if (this.gpuCompute) {
+            this.gpuCompute.dispose();
+            this.gpuCompute = null;
         }
 
-        this.geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(this.config.particleCount * 3);
-        const originalPositions = new Float32Array(this.config.particleCount * 3);
-        const velocities = new Float32Array(this.config.particleCount * 3);
-        const colors = new Float32Array(this.config.particleCount * 3);
-        const sizes = new Float32Array(this.config.particleCount);
-
-        // Generate positions for all shapes
-        this.shapes.sphere = new Float32Array(this.config.particleCount * 3);
-        this.shapes.cube = new Float32Array(this.config.particleCount * 3);
-        this.shapes.pyramid = new Float32Array(this.config.particleCount * 3);
+        // A morph in flight refers to the old buffers
+        this.isTransforming = false;
+        this.transition = null;
 
-        this.generateShapePositions(this.shapes.sphere, 'sphere');
-        this.generateShapePositions(this.shapes.cube, 'cube');
-        this.generateShapePositions(this.shapes.pyramid, 'pyramid');
+        this.particleCount = this.useGPU ? this.config.gpuParticleCount : this.config.particleCount;
 
-        // Initial positions (start as sphere)
-        for (let i = 0; i < this.config.particleCount * 3; i++) {
-            positions[i] = this.shapes.sphere[i];
-            originalPositions[i] = this.shapes.sphere[i];
+        this.geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(this.particleCount * 3);
+        const originalPositions = new Float32Array(this.particleCount * 3);
+        const velocities = new Float32Array(this.particleCount * 3);
+        const colors = new Float32Array(this.particleCount * 3);
+        const sizes = new Float32Array(this.particleCount);
+        // Cached curl noise per particle (CPU path only)
+        this.turbulence = this.useGPU ? null : new Float32Array(this.particleCount * 3);
+
+        // Shapes are generated lazily, the first time they are shown
+        this.shapes = new ShapeLibrary(this.particleCount, this.config.seed, this.shapes);
+        this.soundManager.setShape(this.currentShape);
+        const initialShape = this.shapes.get(this.currentShape);
+
+        // Initial positions
+        for (let i = 0; i < this.particleCount * 3; i++) {
+            positions[i] = initialShape[i];
+            originalPositions[i] = initialShape[i];
         }
 
         // Initialize velocities to zero
-        for (let i = 0; i < this.config.particleCount * 3; i++) {
+        for (let i = 0; i < this.particleCount * 3; i++) {
             velocities[i] = 0;
         }
 
-        // Set colors (very dark grey/white gradient)
-        for (let i = 0; i < this.config.particleCount; i++) {
-            const brightness = 0.7 + Math.random() * 0.3;
-            colors[i * 3] = brightness;
-            colors[i * 3 + 1] = brightness;
-            colors[i * 3 + 2] = brightness;
-            sizes[i] = 0.5 + Math.random() * 0.5;
+        // Each particle's place along the palette gradient in static colour mode
+        const shades = new Float32Array(this.particleCount);
+        for (let i = 0; i < this.particleCount; i++) {
+            shades[i] = this.random();
+            sizes[i] = 0.5 + this.random() * 0.5;
         }
 
+        // The color attribute only holds colours of shapes that bring their own
+        const shapeColors = this.shapes.getColors(this.currentShape);
+        if (shapeColors) colors.set(shapeColors);
+        this.hasShapeColors = Boolean(shapeColors);
+
         this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         this.geometry.setAttribute('originalPosition', new THREE.BufferAttribute(originalPositions, 3));
         this.geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
         this.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
         this.geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        this.geometry.setAttribute('shade', new THREE.BufferAttribute(shades, 1));
+
+        if (this.useGPU) {
+            this.gpuCompute = new GPUParticleCompute(this.renderer, this.particleCount);
+            this.gpuCompute.setInitialState(positions, velocities, originalPositions);
+            const error = this.gpuCompute.init();
+
+            if (error !== null) {
+                console.warn(`GPU compute unavailable (${error}), falling back to CPU`);
+                this.gpuCompute.dispose();
+                this.gpuCompute = null;
+                this.useGPU = false;
+                return this.createParticles();
+            }
 
-        // Shader Material
-        this.material = new THREE.ShaderMaterial({
-            uniforms: {
-                uTime: { value: 0 },
-                uSize: { value: this.config.particleSize },
-                uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
-                uFocalDistance: { value: 400.0 },
-                uDepthFade: { value: 200.0 },
-            },
-            vertexShader: `
+            // Texel lookup for each particle in the compute textures
+            const references = new Float32Array(this.particleCount * 2);
+            const size = this.gpuCompute.size;
+            for (let i = 0; i < this.particleCount; i++) {
+                references[i * 2] = ((i % size) + 0.5) / size;
+                references[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+            }
+            this.geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+        }
+
+        const vertexShader = `
                 attribute vec3 originalPosition;
                 attribute vec3 velocity;
                 attribute float size;
+                attribute float shade;
+                
+                #ifdef USE_GPGPU
+                attribute vec2 reference;
+                uniform sampler2D uPositionTexture;
+                uniform sampler2D uVelocityTexture;
+                #endif
                 
                 uniform float uTime;
                 uniform float uSize;
                 uniform float uPixelRatio;
+                uniform float uMorph;
                 uniform float uFocalDistance;
                 uniform float uDepthFade;
+                uniform float uPointBlur;
+                uniform float uBreathing;
+                uniform sampler2D uGradient;
+                uniform sampler2D uPreviousGradient;
+                uniform float uPaletteBlend;
+                uniform int uColorMode;
+                uniform float uColorScale;
+                uniform float uShapeColors;
+                uniform vec3 uCursor;
+                uniform float uCursorRadius;
+                
+                #ifdef USE_SPRITES
+                uniform vec2 uSpriteGrid;
+                uniform float uSpriteScale;
+                varying float vAngle;
+                varying float vFrame;
+                #endif
                 
                 varying vec3 vColor;
                 varying float vAlpha;
                 varying float vDepthBlur;
+                varying float vDistance;
                 
                 void main() {
-                    vColor = color;
+                    #ifdef USE_GPGPU
+                    vec3 particlePosition = texture2D(uPositionTexture, reference).xyz;
+                    vec3 particleVelocity = texture2D(uVelocityTexture, reference).xyz;
+                    #else
+                    vec3 particlePosition = position;
+                    vec3 particleVelocity = velocity;
+                    #endif
                     
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    vec4 mvPosition = modelViewMatrix * vec4(particlePosition, 1.0);
                     float distanceFromCamera = -mvPosition.z;
+                    vDistance = distanceFromCamera;
                     float depthFade = 1.0 - smoothstep(uFocalDistance - uDepthFade, uFocalDistance + uDepthFade, distanceFromCamera);
                     
-                    float displacement = length(position - originalPosition);
+                    float displacement = length(particlePosition - originalPosition);
                     float displacementAlpha = 1.0 - smoothstep(0.0, 100.0, displacement) * 0.3;
                     
+                    // Position along the palette gradient, from the selected simulation data
+                    float gradientPosition = shade;
+                    if (uColorMode == 1) {
+                        gradientPosition = displacement / 100.0;
+                    } else if (uColorMode == 2) {
+                        gradientPosition = length(particleVelocity) / 4.0;
+                    } else if (uColorMode == 3) {
+                        gradientPosition = 1.0 - depthFade;
+                    } else if (uColorMode == 4) {
+                        gradientPosition = 1.0 - distance(particlePosition, uCursor) / (uCursorRadius * 2.0);
+                    }
+                    if (uColorMode != 0) {
+                        // Keep some per-particle grain so flat regions do not band
+                        gradientPosition = gradientPosition * uColorScale + (shade - 0.5) * 0.1;
+                    }
+                    gradientPosition = clamp(gradientPosition, 0.0, 1.0);
+                    
+                    vec2 gradientUv = vec2(gradientPosition, 0.5);
+                    vec3 paletteColor = mix(texture2D(uPreviousGradient, gradientUv).rgb, texture2D(uGradient, gradientUv).rgb, uPaletteBlend);
+                    vColor = mix(paletteColor, color, uColorMode == 0 ? uShapeColors : 0.0);
+                    
                     vAlpha = depthFade * displacementAlpha;
                     
                     float distanceFromFocus = abs(distanceFromCamera - uFocalDistance);
-                    vDepthBlur = smoothstep(0.0, 150.0, distanceFromFocus);
+                    vDepthBlur = smoothstep(0.0, 150.0, distanceFromFocus) * uPointBlur;
                     
                     float depthSizeFactor = 1.0 - vDepthBlur * 0.5;
-                    float breathe = 1.0 + sin(uTime * 1.5) * 0.03;
+                    float breathe = 1.0 + (sin(uTime * 1.5) * 0.03 + uMorph * 0.15) * uBreathing;
                     
                     gl_PointSize = size * uSize * uPixelRatio * (300.0 / -mvPosition.z) * depthSizeFactor * breathe;
                     gl_PointSize = max(gl_PointSize, 0.5);
                     
+                    #ifdef USE_SPRITES
+                    // The velocity's direction in view space is close enough to the screen's for a sprite
+                    vec3 ahead = (modelViewMatrix * vec4(particlePosition + particleVelocity, 1.0)).xyz - mvPosition.xyz;
+                    vAngle = atan(ahead.y, ahead.x + 1e-6);
+                    float frames = uSpriteGrid.x * uSpriteGrid.y;
+                    vFrame = min(floor(shade * frames), frames - 1.0);
+                    gl_PointSize *= uSpriteScale;
+                    #endif
+                    
                     gl_Position = projectionMatrix * mvPosition;
                 }
-            `,
+            `;
+
+        // Shader Material
+        this.material = new THREE.ShaderMaterial({
+            defines: this.useGPU ? { USE_GPGPU: '' } : {},
+            uniforms: {
+                uPositionTexture: { value: null },
+                uTime: { value: 0 },
+                uSize: { value: this.config.particleSize },
+                uPixelRatio: { value: this.pixelRatio },
+                uMorph: { value: 0 },
+                uFocalDistance: { value: DEFAULT_CAMERA_DISTANCE + this.config.focusOffset },
+                uDepthFade: { value: this.config.depthFade },
+                uVelocityTexture: { value: null },
+                uGradient: { value: this.gradientTexture },
+                uPreviousGradient: { value: this.previousGradientTexture },
+                uPaletteBlend: { value: 1 },
+                uColorMode: { value: Math.max(colorModes.indexOf(this.config.colorMode), 0) },
+                uColorScale: { value: this.config.colorScale },
+                uShapeColors: { value: this.hasShapeColors ? 1 : 0 },
+                uCursor: { value: new THREE.Vector3(9999, 9999, 9999) },
+                uCursorRadius: { value: this.config.mouseRadius },
+                uPointBlur: { value: 1 },
+                uBreathing: { value: this.isReducedMotion ? 0 : 1 },
+                uSpriteAtlas: { value: this.spriteTexture },
+                uSpriteGrid: { value: this.spriteGrid },
+                uSpriteScale: { value: this.config.spriteScale },
+            },
+            vertexShader,
             fragmentShader: `
+                #ifdef USE_SPRITES
+                uniform sampler2D uSpriteAtlas;
+                uniform vec2 uSpriteGrid;
+                varying float vAngle;
+                varying float vFrame;
+                #endif
+                
                 varying vec3 vColor;
                 varying float vAlpha;
                 varying float vDepthBlur;
                 
                 void main() {
+                    #ifdef USE_SPRITES
+                    // Turned so the frame's right-hand side points along the velocity, y up
+                    vec2 center = vec2(gl_PointCoord.x - 0.5, 0.5 - gl_PointCoord.y);
+                    float c = cos(vAngle);
+                    float s = sin(vAngle);
+                    vec2 spriteUv = vec2(c * center.x + s * center.y, c * center.y - s * center.x);
+                    if (abs(spriteUv.x) > 0.5 || abs(spriteUv.y) > 0.5) discard;
+                    
+                    // Frames run left to right, top to bottom
+                    vec2 cell = vec2(mod(vFrame, uSpriteGrid.x), uSpriteGrid.y - 1.0 - floor(vFrame / uSpriteGrid.x));
+                    vec4 sprite = texture2D(uSpriteAtlas, (cell + spriteUv + 0.5) / uSpriteGrid);
+                    gl_FragColor = vec4(vColor * sprite.rgb, sprite.a * vAlpha);
+                    #else
                     vec2 center = gl_PointCoord - 0.5;
                     float dist = length(center);
                     
@@ -421,6 +687,7 @@ class ParticleSimulation {
                     alpha *= vAlpha;
                     
                     gl_FragColor = vec4(vColor, alpha);
+                    #endif
                 }
             `,
             transparent: true,
@@ -429,363 +696,1668 @@ class ParticleSimulation {
             depthWrite: false
         });
 
+        if (this.gpuCompute) {
+            this.material.uniforms.uPositionTexture.value = this.gpuCompute.positionTextureCurrent;
+            this.material.uniforms.uVelocityTexture.value = this.gpuCompute.velocityTextureCurrent;
+        }
+
         this.particles = new THREE.Points(this.geometry, this.material);
+        // Positions live in a texture on the GPU path, the bounding sphere is meaningless
+        this.particles.frustumCulled = !this.useGPU;
         this.scene.add(this.particles);
-    }
 
-    // ============================================
-    // Shape Generation
-    // ============================================
-
-    generateShapePositions(targetArray, shapeType) {
-        const radius = 150;
-
-        for (let i = 0; i < this.config.particleCount; i++) {
-            let x, y, z;
-
-            switch (shapeType) {
-                case 'sphere':
-                    const phi = Math.acos(2 * Math.random() - 1);
-                    const theta = Math.random() * Math.PI * 2;
-                    const r = radius * Math.cbrt(Math.random());
-                    x = r * Math.sin(phi) * Math.cos(theta);
-                    y = r * Math.sin(phi) * Math.sin(theta);
-                    z = r * Math.cos(phi);
-                    break;
-
-                case 'cube':
-                    x = (Math.random() - 0.5) * radius * 1.5;
-                    y = (Math.random() - 0.5) * radius * 1.5;
-                    z = (Math.random() - 0.5) * radius * 1.5;
-                    break;
-
-                case 'pyramid':
-                    const height = 180;
-                    const baseWidth = 180;
-
-                    // More uniform distribution - linear height sampling
-                    const hRand = Math.random();
-                    const uPyramid = hRand; // Linear distribution for more uniform feel
-
-                    y = (0.5 - uPyramid) * height; // Tip at top, base at bottom
-
-                    const scale = uPyramid; // Scale increases toward base
-
-                    x = (Math.random() - 0.5) * baseWidth * scale;
-                    z = (Math.random() - 0.5) * baseWidth * scale;
-                    break;
-
-                default:
-                    x = y = z = 0;
-            }
+        // Same points again for the depth of field's depth render, as view distance over the far plane
+        this.depthMaterial = new THREE.ShaderMaterial({
+            defines: this.material.defines,
+            // Shared uniform objects, so updates to the main material carry over
+            uniforms: { ...this.material.uniforms, uFar: { value: this.camera.far } },
+            vertexShader,
+            fragmentShader: `
+                uniform float uFar;
+                varying float vAlpha;
+                varying float vDistance;
+                
+                void main() {
+                    if (length(gl_PointCoord - 0.5) > 0.5 || vAlpha < 0.05) discard;
+                    gl_FragColor = vec4(vDistance / uFar, 0.0, 0.0, 1.0);
+                }
+            `,
+            vertexColors: true,
+            blending: THREE.NoBlending,
+        });
+        const depthPoints = new THREE.Points(this.geometry, this.depthMaterial);
+        depthPoints.frustumCulled = this.particles.frustumCulled;
+        depthPoints.layers.set(DEPTH_LAYER);
+        this.particles.add(depthPoints);
 
-            targetArray[i * 3] = x;
-            targetArray[i * 3 + 1] = y;
-            targetArray[i * 3 + 2] = z;
-        }
+        this.updateDrawRange();
+        this.applyRenderMode();
     }
 
-
     // ============================================
     // Event Listeners
     // ============================================
 
+    // Registered through here so destroy() can take them off again
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push([target, type, handler, options]);
+    }
+
     setupEventListeners() {
-        // Mouse move
-        window.addEventListener('mousemove', (e) => {
-            this.mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+        const canvas = this.renderer.domElement;
+
+        // Mouse, pen and touch share one pointer model, every pressed pointer pushes particles
+        this.pointerTracker = new PointerTracker(canvas, {
+            isIgnored: (e) => this.isUIEvent(e) || this.cameraRig.isNavigationEvent(e) || this.fieldEditor.isEditEvent(e),
+            onMove: (id, clientX, clientY) => {
+                if (this.isReplaying || this.exporter.isRenderingOffline || this.cameraRig.isDragging || this.fieldEditor.isDragging) return;
+                const [x, y] = this.toNDC(clientX, clientY);
+                this.setPointer(x, y, null, id);
+            },
+            onDown: (id, pointerType) => {
+                this.unlockAudio();
+                if (this.isReplaying || this.exporter.isRenderingOffline) return;
+
+                this.setPointerDown(id, true);
+                this.emit('pointerdown', { id, pointerType });
+                // Click to change shape, touches change it on tap instead
+                if (pointerType === 'mouse') this.toggleShape();
+            },
+            onUp: (id, pointerType) => {
+                if (this.isReplaying) return;
+                if (pointerType === 'mouse') this.setPointerDown(id, false);
+                else this.removePointer(id);
+                this.emit('pointerup', { id, pointerType });
+            },
+            onTap: (id, pointerType) => {
+                if (this.isReplaying || pointerType === 'mouse') return;
+                this.toggleShape();
+            },
+            onPinch: (scale) => {
+                if (!this.isReplaying) this.zoomCamera(1 / scale);
+            },
+            onTwist: (angle) => {
+                // Screen angles run clockwise, the cloud turns with the fingers
+                if (!this.isReplaying) this.twistCloud(-angle);
+            },
+        });
+        this.pointerTracker.attach();
 
-            // Update custom cursor position
-            if (this.customCursor) {
-                this.customCursor.style.left = e.clientX + 'px';
-                this.customCursor.style.top = e.clientY + 'px';
-            }
+        // Right / shift drag orbits, middle / ctrl drag pans, wheel zooms
+        this.cameraRig.attach();
 
-            this.raycaster.setFromCamera(this.mouse, this.camera);
-            const intersectPoint = new THREE.Vector3();
-            this.raycaster.ray.intersectPlane(this.interactionPlane, intersectPoint);
-            this.mouseWorld.copy(intersectPoint);
-        });
+        // Alt-click places and drags force fields
+        this.fieldEditor.attach();
 
-        // Mouse down/up - Click to change shape
-        window.addEventListener('mousedown', () => {
-            if (!this.hasInteracted) {
-                this.soundManager.init();
-                this.hasInteracted = true;
+        // Keyboard controls, the container takes focus when clicked so each instance has its own keys
+        if (this.keyboardTarget === this.container && !this.container.hasAttribute('tabindex')) {
+            this.container.tabIndex = 0;
+        }
+        this.listen(this.keyboardTarget, 'keydown', (e) => {
+            // Typing into a form field must not trigger shortcuts
+            if (e.target.closest && e.target.closest('input, textarea, select')) {
+                if (e.code === 'Escape') e.target.blur();
+                return;
             }
+            // Enter and Space belong to the focused button or link
+            if ((e.code === 'Enter' || e.code === 'Space') && e.target.closest && e.target.closest('button, a, summary')) {
+                return;
+            }
+            this.unlockAudio();
 
-            this.isMouseDown = true;
-            if (this.customCursor) this.customCursor.classList.add('active');
-            this.toggleShape();
-        });
-        window.addEventListener('mouseup', () => {
-            this.isMouseDown = false;
-            if (this.customCursor) this.customCursor.classList.remove('active');
-        });
-
-        // Touch support
-        window.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            this.mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
+            if (this.exporter.isRenderingOffline) {
+                if (e.code === 'Escape') this.exporter.cancel();
+                return;
+            }
 
-            this.raycaster.setFromCamera(this.mouse, this.camera);
-            const intersectPoint = new THREE.Vector3();
-            this.raycaster.ray.intersectPlane(this.interactionPlane, intersectPoint);
-            this.mouseWorld.copy(intersectPoint);
-        }, { passive: false });
-
-        window.addEventListener('touchstart', (e) => {
-            this.isMouseDown = true;
-            const touch = e.touches[0];
-            this.mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-        });
+            if (this.isReplaying) {
+                if (e.code === 'Escape') this.player.stop();
+                return;
+            }
 
-        window.addEventListener('touchend', () => this.isMouseDown = false);
+            // Arrows and Enter drive the keyboard cursor
+            if (this.keyboardCursor.handleKeyDown(e)) {
+                e.preventDefault();
+                return;
+            }
+            if (e.code === 'Escape') {
+                if (this.help && this.help.contains(document.activeElement)) this.toggleHelp(false);
+                else if (this.keyboardCursor.isActive) this.hideKeyboardCursor();
+                return;
+            }
 
-        // Keyboard controls
-        window.addEventListener('keydown', (e) => {
             if (e.code === 'Space') {
                 e.preventDefault();
                 this.toggleShape();
             }
             if (e.code === 'KeyF') {
                 e.preventDefault();
-                this.isFrozen = !this.isFrozen;
-                console.log(this.isFrozen ? 'Time frozen' : 'Time unfrozen');
+                this.toggleFreeze();
             }
             if (e.code === 'KeyI') {
                 e.preventDefault();
-                this.toggleInvert();
+                if (e.shiftKey) this.toggleHighContrast();
+                else this.toggleInvert();
+            }
+            if (e.code === 'KeyH') {
+                e.preventDefault();
+                this.toggleHelp();
+            }
+            if (e.code === 'KeyC') {
+                e.preventDefault();
+                this.nextPalette();
             }
             if (e.code === 'KeyM') {
                 e.preventDefault();
-                if (this.soundManager) {
-                    this.soundManager.toggleMute();
-                }
+                this.toggleMute();
+            }
+            if (e.code === 'KeyA') {
+                e.preventDefault();
+                this.toggleAudioInput();
+            }
+            if (e.code === 'KeyR') {
+                e.preventDefault();
+                this.toggleRecording();
+            }
+            if (e.code === 'KeyP') {
+                e.preventDefault();
+                this.openSessionFile();
+            }
+            if (e.code === 'KeyL') {
+                e.preventDefault();
+                this.openImportFile();
+            }
+            if (e.code === 'KeyT' && this.textInput) {
+                e.preventDefault();
+                this.textInput.focus();
+                this.textInput.select();
+            }
+            if (e.code === 'KeyO') {
+                e.preventDefault();
+                this.toggleAutoOrbit();
+            }
+            if (e.code === 'KeyK') {
+                e.preventDefault();
+                if (e.shiftKey) this.clearCameraKeyframes();
+                else this.addCameraKeyframe();
+            }
+            if (e.code === 'KeyV') {
+                e.preventDefault();
+                this.toggleCameraPath();
+            }
+            if (e.code === 'KeyG') {
+                e.preventDefault();
+                if (e.shiftKey) this.setForceFields([]);
+                else this.toggleFieldOverlay();
+            }
+            if (e.code === 'KeyE') {
+                e.preventDefault();
+                if (e.shiftKey) this.toggleVideoRecording();
+                else this.saveStill();
+            }
+            if (e.code === 'KeyQ') {
+                e.preventDefault();
+                if (e.shiftKey) this.setConfig({ showStats: !this.config.showStats });
+                else this.cycleQualityTier();
+            }
+            if (e.code === 'KeyW') {
+                e.preventDefault();
+                this.cycleBehavior();
+            }
+            if (e.code === 'KeyN') {
+                e.preventDefault();
+                this.cycleRenderMode();
+            }
+            if (e.code === 'KeyS' && this.settingsPanel) {
+                e.preventDefault();
+                this.settingsPanel.toggle();
             }
         });
 
-        // Window resize
-        window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-            this.material.uniforms.uPixelRatio.value = Math.min(window.devicePixelRatio, 2);
-            this.composer.setSize(window.innerWidth, window.innerHeight);
-        });
-    }
+        this.listen(this.keyboardTarget, 'keyup', (e) => this.keyboardCursor.handleKeyUp(e));
+        // Keys released while focus is elsewhere never report a keyup
+        this.listen(this.keyboardTarget, 'blur', () => this.keyboardCursor.releaseKeys());
 
+        // Links pasted into the address bar of an open tab
+        if (this.useHash) {
+            this.listen(window, 'hashchange', () => {
+                if (window.location.hash.replace(/^#/, '') === this.hash || this.isReplaying) return;
+                this.applyHashState(window.location.hash);
+            });
+        }
 
+        // Text formation
+        if (this.textForm && this.textInput) {
+            this.listen(this.textForm, 'submit', (e) => {
+                e.preventDefault();
+                const text = this.textInput.value.trim();
+                if (text && !this.isReplaying) this.showText(text);
+                this.textInput.blur();
+            });
+        }
 
-    // ============================================
-    // Simplex Noise
-    // ============================================
+        // Drag & drop import (models, images, sessions)
+        this.listen(this.dropTarget, 'dragover', (e) => {
+            e.preventDefault();
+            this.uiRoot.classList.add('dragging');
+        });
+        this.listen(this.dropTarget, 'dragleave', (e) => {
+            // Moving onto a child also fires dragleave
+            const target = this.dropTarget;
+            const isInside = e.relatedTarget && (target.contains ? target.contains(e.relatedTarget) : true);
+            if (!isInside) this.uiRoot.classList.remove('dragging');
+        });
+        this.listen(this.dropTarget, 'drop', (e) => {
+            e.preventDefault();
+            this.uiRoot.classList.remove('dragging');
+            if (this.isReplaying) return;
+            this.handleDroppedFiles(Array.from(e.dataTransfer.files), { heightmap: e.shiftKey });
+        });
 
-    noise3D(x, y, z) {
-        const dot = x * 12.9898 + y * 78.233 + z * 37.719;
-        return Math.sin(dot) * 43758.5453 % 1;
+        // The canvas follows its container, whatever resizes it
+        this.resizeObserver = new ResizeObserver(() => this.handleContainerResize());
+        this.resizeObserver.observe(this.container);
     }
 
-    // ============================================
-    // Animation Loop
-    // ============================================
-
-    animate() {
-        requestAnimationFrame(() => this.animate());
-
-        const time = this.clock.getElapsedTime();
-
-        // Update uniforms
-        this.material.uniforms.uTime.value = time;
-
-
-
-        // Always rotate particles (even when frozen) - reverse direction when inverted
-        const spinDirection = this.isInverted ? -1 : 1;
-        this.particles.rotation.y += this.config.rotationSpeed * spinDirection;
-
-        // Only update particle physics if not frozen
-        if (!this.isFrozen) {
-            this.updateParticles(time);
+    handleContainerResize() {
+        if (this.isReplaying) {
+            // Keep the recorded aspect, only follow the canvas size
+            this.resize(this.aspect * this.height, this.height);
+            return;
         }
+        this.resize(this.width, this.height);
+    }
 
-        // Render with post-processing
-        this.composer.render();
+    // Size of the container in CSS pixels, never zero so the aspect stays finite
+    get width() {
+        return Math.max(this.container.clientWidth, 1);
     }
 
-    updateParticles(time) {
-        const positions = this.geometry.attributes.position.array;
-        const originalPositions = this.geometry.attributes.originalPosition.array;
-        const velocities = this.geometry.attributes.velocity.array;
+    get height() {
+        return Math.max(this.container.clientHeight, 1);
+    }
 
-        const mouseRadius = this.config.mouseRadius;
-        const mouseForce = this.config.mouseForce * (this.isMouseDown ? 2.5 : 1);
-        const returnSpeed = this.config.returnSpeed;
-        const noiseAmount = this.config.noiseAmount;
-        const windStrength = this.config.windStrength;
-        const windTurbulence = this.config.windTurbulence;
-        const damping = this.config.damping;
+    // Client coordinates to normalized device coordinates (-1 to 1) on this canvas
+    toNDC(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return [
+            ((clientX - rect.left) / Math.max(rect.width, 1)) * 2 - 1,
+            -((clientY - rect.top) / Math.max(rect.height, 1)) * 2 + 1,
+        ];
+    }
 
-        const windAngle = time * 0.1;
-        const windX = Math.cos(windAngle) * windStrength;
-        const windY = Math.sin(windAngle * 0.7) * windStrength * 0.5;
-        const windZ = Math.sin(windAngle * 0.5) * windStrength * 0.3;
+    toClient(x, y) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return [rect.left + ((x + 1) / 2) * rect.width, rect.top + ((1 - y) / 2) * rect.height];
+    }
 
+    // Browsers only start audio from a user gesture, the first click or key press
+    unlockAudio() {
+        if (this.hasInteracted) return;
+        this.soundManager.init();
+        this.hasInteracted = true;
+    }
 
+    // Clicks on panels and form fields are not meant for the particles
+    isUIEvent(e) {
+        return Boolean(e.target.closest && e.target.closest('[data-ui]'));
+    }
 
-        const mousePos = this.mouseWorld.clone();
-        mousePos.applyMatrix4(this.particles.matrixWorld.clone().invert());
+    // ============================================
+    // Inputs (shared by live listeners and replays)
+    // ============================================
 
-        // Performance: Accumulate interaction energy instead of checking audio per particle
-        let totalInteractionForce = 0;
+    // Every input goes to the session recording and, when synced, to the other screens
+    recordEvent(type, data = {}) {
+        this.recorder.record(type, data);
+        if (this.sync) this.sync.share(type, data);
+    }
 
-        for (let i = 0; i < this.config.particleCount; i++) {
-            const i3 = i * 3;
+    // Sessions recorded before multi-touch have no id, those are the mouse
+    setPointer(x, y, world, id = MOUSE_POINTER) {
+        let pointer = this.pointers.get(id);
+        if (!pointer) {
+            // Extra fingers beyond the physics limit are ignored
+            if (this.pointers.size >= MAX_POINTERS) return;
+            pointer = { x, y, world: new THREE.Vector3(), isDown: false };
+            this.pointers.set(id, pointer);
+        }
 
-            const x = positions[i3];
-            const y = positions[i3 + 1];
-            const z = positions[i3 + 2];
+        pointer.x = x;
+        pointer.y = y;
+        this.mouse.set(x, y);
 
-            const ox = originalPositions[i3];
-            const oy = originalPositions[i3 + 1];
-            const oz = originalPositions[i3 + 2];
+        // Update custom cursor position
+        if (this.customCursor && (id === MOUSE_POINTER || id === KEYBOARD_POINTER)) {
+            const [left, top] = this.toClient(x, y);
+            this.customCursor.style.left = left + 'px';
+            this.customCursor.style.top = top + 'px';
+        }
+
+        if (world) {
+            pointer.world.fromArray(world);
+        } else {
+            this.raycaster.setFromCamera(this.mouse, this.camera);
+            const intersectPoint = new THREE.Vector3();
+            this.raycaster.ray.intersectPlane(this.interactionPlane, intersectPoint);
+            pointer.world.copy(intersectPoint);
+        }
+        this.mouseWorld.copy(pointer.world);
 
-            const dispX = x - ox;
-            const dispY = y - oy;
-            const dispZ = z - oz;
-            const displacement = Math.sqrt(dispX * dispX + dispY * dispY + dispZ * dispZ);
+        this.recordEvent('pointer', { id, x, y, world: pointer.world.toArray() });
+    }
 
-            const dx = x - mousePos.x;
-            const dy = y - mousePos.y;
-            const dz = z - mousePos.z;
-            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    setPointerDown(id, isDown) {
+        const pointer = this.pointers.get(id);
+        if (!pointer || pointer.isDown === isDown) return;
 
-            if (dist < mouseRadius && dist > 0) {
-                const force = (1 - dist / mouseRadius) * (1 - dist / mouseRadius) * mouseForce;
-                const tangentX = -dy * 0.3;
-                const tangentY = dx * 0.3;
+        pointer.isDown = isDown;
+        if (id === MOUSE_POINTER) this.isMouseDown = isDown;
+        if (this.customCursor && (id === MOUSE_POINTER || id === KEYBOARD_POINTER)) {
+            this.customCursor.classList.toggle('active', isDown);
+        }
+        this.recordEvent('pointerDown', { id, down: isDown });
+    }
 
-                velocities[i3] += (dx / dist) * force + tangentX * force * 0.2;
-                velocities[i3 + 1] += (dy / dist) * force + tangentY * force * 0.2;
-                velocities[i3 + 2] += (dz / dist) * force;
+    setMouseDown(isDown) {
+        this.setPointerDown(MOUSE_POINTER, isDown);
+    }
 
-                // Accumulate energy for audio
-                if (force > 0.1) {
-                    totalInteractionForce += force;
-                }
+    // Lifted fingers stop pushing, only the mouse stays around while hovering
+    removePointer(id) {
+        if (!this.pointers.delete(id)) return;
+        this.recordEvent('pointerRemove', { id });
+    }
+
+    releasePointers() {
+        for (const id of Array.from(this.pointers.keys())) {
+            if (id === MOUSE_POINTER) this.setPointerDown(id, false);
+            else this.removePointer(id);
+        }
+    }
+
+    // Pinch zoom, factor > 1 moves the camera away
+    zoomCamera(factor) {
+        this.cameraRig.stopAutomation();
+        this.cameraRig.zoom(factor);
+        this.recordEvent('zoom', { factor });
+    }
+
+    // Two-finger twist turns the cloud around the view axis
+    twistCloud(angle) {
+        this.particles.rotateOnWorldAxis(new THREE.Vector3(0, 0, 1), angle);
+        this.recordEvent('twist', { angle });
+    }
+
+    toggleFreeze() {
+        if (this.sync && this.sync.defer('freeze', { frozen: !this.isFrozen })) return;
+
+        this.isFrozen = !this.isFrozen;
+        this.recordEvent('freeze');
+        this.emit('freeze', { frozen: this.isFrozen });
+        console.log(this.isFrozen ? 'Time frozen' : 'Time unfrozen');
+    }
+
+    toggleMute() {
+        if (!this.soundManager) return;
+        this.soundManager.toggleMute();
+        this.recordEvent('mute');
+        this.emit('mute', { muted: this.soundManager.isMuted });
+    }
+
+    // Explicit versions of the toggles for embedders, they do nothing when already in that state
+    freeze(frozen = true) {
+        if (this.isFrozen !== Boolean(frozen)) this.toggleFreeze();
+    }
+
+    invert(inverted = true) {
+        if (this.isInverted !== Boolean(inverted)) this.toggleInvert();
+    }
+
+    mute(muted = true) {
+        if (this.soundManager.isMuted !== Boolean(muted)) this.toggleMute();
+    }
+
+    // ============================================
+    // Accessibility
+    // ============================================
+
+    get isReducedMotion() {
+        return resolvePreference(this.config.reducedMotion, this.motionQuery);
+    }
+
+    get isHighContrast() {
+        return resolvePreference(this.config.highContrast, this.contrastQuery);
+    }
+
+    // 1, or the share of the motion kind left with reduced motion on
+    motionScale(kind) {
+        return this.isReducedMotion ? REDUCED_MOTION[kind] : 1;
+    }
+
+    // The operating system setting changed, 'auto' follows it
+    onPreferenceChange() {
+        if (this.isDestroyed) return;
+        this.applyConfig();
+    }
+
+    announce(message) {
+        this.announcer.say(message);
+    }
+
+    // Opening moves focus into the help, so screen readers read it and Escape closes it
+    toggleHelp(visible = !this.config.showHelp) {
+        this.setConfig({ showHelp: visible });
+        if (!this.help) return;
+        const target = this.keyboardTarget;
+        if (visible) {
+            if (target === window || target.contains(this.help)) this.help.focus();
+        } else if (this.help.contains(document.activeElement)) {
+            if (target.focus) target.focus();
+            else document.activeElement.blur();
+        }
+    }
+
+    toggleHighContrast() {
+        this.setConfig({ highContrast: this.isHighContrast ? 'off' : 'on' });
+    }
+
+    hideKeyboardCursor() {
+        this.keyboardCursor.hide();
+        this.removePointer(KEYBOARD_POINTER);
+        this.announce('Keyboard cursor hidden');
+    }
+
+    // Screen reader messages for what keys and the settings change
+    setupAnnouncements() {
+        this.on('shape', ({ name }) => this.announce(`Shape: ${describeShape(name)}`));
+        this.on('freeze', ({ frozen }) => this.announce(frozen ? 'Time frozen' : 'Time running'));
+        this.on('invert', ({ inverted }) => this.announce(inverted ? 'Colors inverted' : 'Colors normal'));
+        this.on('mute', ({ muted }) => this.announce(muted ? 'Sound off' : 'Sound on'));
+        this.on('config', ({ changes }) => {
+            // Inverting is announced by the invert event
+            if ('palette' in changes && changes.palette !== 'inverted') {
+                this.announce(`Palette: ${changes.palette}`);
             }
+            if ('reducedMotion' in changes) this.announce(`Reduced motion ${this.isReducedMotion ? 'on' : 'off'}`);
+            if ('highContrast' in changes) this.announce(`High contrast ${this.isHighContrast ? 'on' : 'off'}`);
+            if ('showHelp' in changes) this.announce(changes.showHelp ? 'Help shown' : 'Help hidden');
+        });
+    }
 
-            const windInfluence = Math.min(displacement / 50, 1) * 0.5;
+    // ============================================
+    // Camera
+    // ============================================
 
-            const turbX = this.noise3D(x * 0.01 + time * 0.2, y * 0.01, z * 0.01);
-            const turbY = this.noise3D(x * 0.01, y * 0.01 + time * 0.2, z * 0.01);
-            const turbZ = this.noise3D(x * 0.01, y * 0.01, z * 0.01 + time * 0.2);
+    // Replays restore the camera from recorded navigation
+    setCameraState(state) {
+        this.cameraRig.stopAutomation();
+        this.cameraRig.setState(state);
+    }
+
+    toggleAutoOrbit() {
+        const rig = this.cameraRig;
+        if (rig.mode === 'orbit') rig.stopAutomation();
+        else rig.startAutoOrbit();
+
+        this.recordEvent('autoOrbit', { on: rig.mode === 'orbit' });
+        console.log(rig.mode === 'orbit' ? 'Auto-orbit on' : 'Auto-orbit off');
+    }
+
+    addCameraKeyframe() {
+        const count = this.cameraRig.addKeyframe();
+        console.log(`Camera keyframe ${count} added`);
+    }
 
-            velocities[i3] += (windX + turbX * windTurbulence) * windInfluence * 0.05;
-            velocities[i3 + 1] += (windY + turbY * windTurbulence) * windInfluence * 0.05;
-            velocities[i3 + 2] += (windZ + turbZ * windTurbulence) * windInfluence * 0.05;
+    clearCameraKeyframes() {
+        this.cameraRig.clearKeyframes();
+        console.log('Camera keyframes cleared');
+    }
+
+    // Plays the recorded keyframes, or the built-in fly-through with fewer than two
+    toggleCameraPath(keyframes = null) {
+        const rig = this.cameraRig;
+        if (rig.mode === 'path' && keyframes === null) {
+            rig.stopAutomation();
+            this.recordEvent('cameraPath', { keyframes: null });
+            console.log('Camera path stopped');
+            return;
+        }
+
+        const path = keyframes || (rig.keyframes.length >= 2 ? rig.keyframes : defaultCameraPath);
+        rig.playPath(path);
+        this.recordEvent('cameraPath', { keyframes: path });
+        console.log(`Camera path playing (${path.length} keyframes)`);
+    }
 
-            if (displacement > 0.1) {
-                const pullStrength = returnSpeed * (1 + displacement * 0.01);
-                velocities[i3] += (ox - x) * pullStrength;
-                velocities[i3 + 1] += (oy - y) * pullStrength;
-                velocities[i3 + 2] += (oz - z) * pullStrength;
+    updateCamera(delta) {
+        this.cameraRig.update(delta);
+
+        this.camera.getWorldDirection(this.viewDirection).negate();
+        this.interactionPlane.setFromNormalAndCoplanarPoint(this.viewDirection, this.cameraRig.target);
+        this.material.uniforms.uFocalDistance.value = this.cameraRig.distance + this.config.focusOffset;
+    }
+
+    // ============================================
+    // Force Fields
+    // ============================================
+
+    // Returns the placed field, or null when the scene is full
+    addForceField(data) {
+        if (this.forceFields.length >= MAX_FORCE_FIELDS) {
+            console.warn(`At most ${MAX_FORCE_FIELDS} force fields`);
+            return null;
+        }
+
+        // Replays and links bring their ids along, so later events find the same field
+        const id = Number.isInteger(data.id) ? data.id : this.nextFieldId;
+        this.nextFieldId = Math.max(this.nextFieldId, id + 1);
+
+        const field = { id, ...normalizeField(data) };
+        this.forceFields.push(field);
+        this.recordEvent('fieldAdd', { field: structuredClone(field) });
+        this.onFieldsChanged();
+        return field;
+    }
+
+    updateForceField(id, changes) {
+        const index = this.forceFields.findIndex((field) => field.id === id);
+        if (index === -1) return;
+
+        const current = this.forceFields[index];
+        this.forceFields[index] = { id, ...normalizeField({ ...current, ...changes }) };
+        this.recordEvent('fieldUpdate', { id, changes });
+        this.onFieldsChanged();
+    }
+
+    removeForceField(id) {
+        const count = this.forceFields.length;
+        this.forceFields = this.forceFields.filter((field) => field.id !== id);
+        if (this.forceFields.length === count) return;
+
+        this.recordEvent('fieldRemove', { id });
+        this.onFieldsChanged();
+    }
+
+    // Replaces every field, e.g. from a link or a session. Invalid entries are skipped.
+    setForceFields(fields) {
+        this.forceFields = [];
+        for (const data of fields.slice(0, MAX_FORCE_FIELDS)) {
+            try {
+                const id = Number.isInteger(data.id) ? data.id : this.nextFieldId;
+                this.nextFieldId = Math.max(this.nextFieldId, id + 1);
+                this.forceFields.push({ id, ...normalizeField(data) });
+            } catch (error) {
+                console.warn(error.message);
             }
+        }
+
+        this.recordEvent('fields', { fields: structuredClone(this.forceFields) });
+        this.onFieldsChanged();
+    }
+
+    onFieldsChanged() {
+        this.fieldsVersion++;
+        this.scheduleHashUpdate();
+    }
 
-            if (noiseAmount > 0) {
-                const noiseScale = 0.01;
-                const noiseTime = time * 0.2;
-                velocities[i3] += this.noise3D(x * noiseScale + noiseTime, y * noiseScale, z * noiseScale) * noiseAmount * 0.01;
-                velocities[i3 + 1] += this.noise3D(x * noiseScale, y * noiseScale + noiseTime, z * noiseScale) * noiseAmount * 0.01;
-                velocities[i3 + 2] += this.noise3D(x * noiseScale, y * noiseScale, z * noiseScale + noiseTime) * noiseAmount * 0.01;
+    toggleFieldOverlay() {
+        this.showFieldOverlay = !this.showFieldOverlay;
+        console.log(`Force field overlay ${this.showFieldOverlay ? 'on' : 'off'} (${this.forceFields.length} fields)`);
+    }
+
+    // ============================================
+    // Audio-Reactive Input
+    // ============================================
+
+    async toggleAudioInput() {
+        if (this.audioReactive.isActive) {
+            this.stopAudioInput();
+            return;
+        }
+
+        try {
+            await this.audioReactive.startMicrophone();
+        } catch (error) {
+            console.error('Microphone unavailable:', error);
+        }
+    }
+
+    async startAudioFile(file) {
+        try {
+            await this.audioReactive.startFile(file);
+        } catch (error) {
+            console.error('Audio file failed:', error);
+        }
+    }
+
+    stopAudioInput() {
+        this.audioReactive.stop();
+        this.setAudioLevels(0, 0, 0);
+        console.log('Audio-reactive off');
+    }
+
+    // Samples the analyser once per frame. Replays get the levels from the session instead.
+    updateAudioInput() {
+        if (this.isReplaying || !this.audioReactive.isActive) return;
+
+        this.audioReactive.gain = this.config.audioGain;
+        const { bass, mids, highs, beat } = this.audioReactive.sample();
+        const levels = this.audioLevels;
+        const moved = Math.max(Math.abs(bass - levels.bass), Math.abs(mids - levels.mids), Math.abs(highs - levels.highs));
+        if (this.simFrame % AUDIO_LEVEL_FRAMES === 0 && moved > AUDIO_LEVEL_CHANGE) {
+            this.setAudioLevels(bass, mids, highs);
+        }
+
+        // Wait for the running morph, a shape per beat would never settle
+        if (beat && this.config.audioBeatShape && !this.transition && !this.isFrozen) {
+            this.toggleShape();
+        }
+    }
+
+    // Levels are quantized so a recording replays exactly what the physics saw
+    setAudioLevels(bass, mids, highs) {
+        const quantize = (level) => Math.round(level * 1000) / 1000;
+        this.audioLevels.bass = quantize(bass);
+        this.audioLevels.mids = quantize(mids);
+        this.audioLevels.highs = quantize(highs);
+        this.recordEvent('audio', { ...this.audioLevels });
+    }
+
+    // Width and height only define the aspect, the canvas always fills the container.
+    // A wall slice renders its part of a camera that spans all screens.
+    resize(width, height) {
+        this.aspect = width / height;
+        if (this.viewSlice) {
+            const [column, row, columns, rows] = this.viewSlice;
+            this.camera.aspect = this.aspect * columns / rows;
+            this.camera.setViewOffset(width * columns, height * rows, width * column, height * row, width, height);
+        } else {
+            this.camera.aspect = this.aspect;
+            this.camera.clearViewOffset();
+        }
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(this.width, this.height);
+        this.renderer.setPixelRatio(this.pixelRatio);
+        this.material.uniforms.uPixelRatio.value = this.pixelRatio;
+        this.effects.setSize(this.width, this.height, this.pixelRatio);
+        this.recordEvent('resize', { width, height });
+    }
+
+    // ============================================
+    // File Import
+    // ============================================
+
+    openImportFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.accept = '.obj,.ply,.gltf,.glb,.bin,.png,.jpg,.jpeg,.gif,.webp,.svg,audio/*';
+        input.addEventListener('change', () => this.handleDroppedFiles(Array.from(input.files)));
+        input.click();
+    }
+
+    // With heightmap set (Shift held while dropping) an image is the heightmap of the
+    // image imported before
+    handleDroppedFiles(files, { heightmap = false } = {}) {
+        const model = files.find((file) => isMeshFile(file));
+        const images = files.filter((file) => isImageFile(file));
+        const session = files.find((file) => /\.json$/i.test(file.name));
+        const audio = files.find((file) => isAudioFile(file));
+
+        if (model) {
+            // The other files may be external glTF buffers
+            this.importMesh(model, files.filter((file) => file !== model));
+        } else if (session) {
+            this.replaySessionFile(session);
+        } else if (audio) {
+            this.startAudioFile(audio);
+        } else if (images.length > 0) {
+            if (heightmap) this.importImage(null, images[0]);
+            else this.importImage(images[0]);
+        }
+    }
+
+    // A heightmap dropped on its own applies to the previously imported image
+    async importImage(imageFile, heightmapFile = null, options = {}) {
+        try {
+            let image;
+            let name;
+            if (imageFile) {
+                image = await loadImageFile(imageFile);
+                name = `image:${imageFile.name}`;
+            } else if (this.lastImageImport) {
+                ({ image, name } = this.lastImageImport);
+            } else {
+                console.warn('Drop an image before its heightmap (Shift + drop)');
+                return;
             }
 
-            positions[i3] += velocities[i3];
-            positions[i3 + 1] += velocities[i3 + 1];
-            positions[i3 + 2] += velocities[i3 + 2];
+            const heightmap = heightmapFile ? await loadImageFile(heightmapFile) : null;
+            const settings = { ...options };
+            const generator = createImageGenerator(image, heightmap, settings);
+
+            this.shapes.register(name, generator, { colors: settings.useColors !== false, shared: false });
+            this.lastImageImport = { image, name };
 
-            velocities[i3] *= damping;
-            velocities[i3 + 1] *= damping;
-            velocities[i3 + 2] *= damping;
+            this.setShape(name);
+            console.log(`Imported ${name}${heightmap ? ' with heightmap' : ''}`);
+        } catch (error) {
+            console.error('Image import failed:', error);
         }
+    }
+
+    async importMesh(file, companionFiles = [], options = {}) {
+        try {
+            const mesh = await loadMeshFile(file, companionFiles);
+            const { generator, hasColors, sampling } = createMeshGenerator(mesh, options);
+            const name = `model:${file.name}`;
+
+            this.shapes.register(name, generator, { colors: hasColors, shared: false });
+
+            this.setShape(name);
+            console.log(`Imported ${name} (${mesh.indices.length / 3} triangles, ${sampling} sampling)`);
+        } catch (error) {
+            console.error('Model import failed:', error);
+        }
+    }
+
+    // ============================================
+    // Performance
+    // ============================================
+
+    get pixelRatio() {
+        return Math.min(window.devicePixelRatio, this.renderTier.pixelRatio);
+    }
+
+    onQualityTierChange(tier, fps) {
+        const reason = this.governor.isAuto ? `at ${fps.toFixed(0)} fps` : 'pinned';
+        console.log(`Quality tier ${tier.name} (${reason}): ${Math.round(tier.particles * 100)}% particles, `
+            + `pixel ratio ≤ ${tier.pixelRatio}, ${tier.effects} effects`);
+        this.applyQualityTier(tier);
+    }
+
+    // Exports render with the best tier and put the governor's back afterwards
+    applyQualityTier(tier = this.governor.tier) {
+        this.renderTier = tier;
+        this.updateDrawRange();
+
+        const pixelRatio = this.pixelRatio;
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(this.width, this.height);
+        this.effects.setSize(this.width, this.height, pixelRatio);
+        this.material.uniforms.uPixelRatio.value = pixelRatio;
+        this.applyEffectQuality();
+    }
+
+    // Shapes store their points in a spread order (see shapes.js), so the first
+    // particles cover the whole shape at every tier
+    updateDrawRange() {
+        this.activeParticleCount = Math.max(1, Math.floor(this.particleCount * this.renderTier.particles));
+        this.geometry.setDrawRange(0, this.activeParticleCount);
+    }
+
+    // The configured effect quality, lowered further by the tier
+    applyEffectQuality() {
+        const allowed = Math.min(
+            qualityNames.indexOf(this.config.effectQuality),
+            qualityNames.indexOf(this.renderTier.effects)
+        );
+        this.effects.configure({ quality: qualityNames[Math.max(allowed, 0)] });
+
+        // The cheap per-point blur only stands in while the real depth of field is off
+        this.material.uniforms.uPointBlur.value = this.effects.isActive('dof') ? 0 : 1;
+    }
+
+    // Auto, then each tier from the cheapest
+    cycleQualityTier() {
+        const options = ['auto', ...qualityTierNames];
+        const next = options[(options.indexOf(this.config.qualityTier) + 1) % options.length];
+        this.setConfig({ qualityTier: next });
+        this.announce(`Quality: ${next}`);
+        console.log(`Quality: ${next}`);
+    }
+
+    updateStats(now) {
+        if (!this.statsOverlay.visible) return;
+
+        const governor = this.governor;
+        this.statsOverlay.update(now, [
+            ['FPS', `${governor.fps.toFixed(0)} / ${governor.effectiveTargetFps.toFixed(0)}`],
+            ['Frame', `${governor.timer.frameTime.toFixed(1)} ms`],
+            ['Tier', `${this.renderTier.name}${governor.isAuto ? ' (auto)' : ' (pinned)'}`],
+            ['Particles', `${this.activeParticleCount.toLocaleString('en-US')} / ${this.particleCount.toLocaleString('en-US')}`],
+            ['Pixel ratio', this.pixelRatio.toFixed(2)],
+            ['Effects', this.effects.quality],
+            ['Physics', this.useGPU ? 'GPU' : 'CPU'],
+        ]);
+    }
+
+    // ============================================
+    // Export
+    // ============================================
+
+    saveStill() {
+        this.exporter.captureStill(this.config.exportScale);
+    }
+
+    toggleVideoRecording() {
+        this.exporter.toggleVideo();
+        if (this.settingsPanel) this.settingsPanel.refreshExport();
+    }
+
+    renderFrameSequence() {
+        this.exporter.renderFrames({
+            frameRate: this.config.exportFrameRate,
+            duration: this.config.exportDuration,
+            scale: this.config.exportScale,
+        });
+    }
+
+    // ============================================
+    // Recording & Replay
+    // ============================================
+
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            const session = this.recorder.stop();
+            this.recorder.export(session);
+            this.announce('Recording stopped, session saved');
+        } else {
+            this.recorder.start();
+            this.announce('Recording');
+        }
+    }
+
+    openSessionFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (file) this.replaySessionFile(file);
+        });
+        input.click();
+    }
+
+    async replaySessionFile(file) {
+        try {
+            const session = SessionPlayer.parse(await file.text());
+            if (this.recorder.isRecording) this.recorder.stop();
+            this.player.start(session);
+        } catch (error) {
+            console.error('Could not load session:', error);
+        }
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+
+    animate() {
+        this.frameId = requestAnimationFrame(() => this.animate());
+
+        // Offline exports step and render frames themselves
+        if (this.exporter.isRenderingOffline) return;
+
+        // Recordings, replays and videos keep one tier, the draw range changes the CPU physics
+        const now = performance.now();
+        this.governor.isHeld = this.fixedTimestep !== null || this.exporter.isRecordingVideo;
+        this.governor.sample(now);
+
+        this.advance();
+        this.renderFrame();
+        this.updateStats(now);
+    }
+
+    // One simulation step, without drawing
+    advance() {
+        if (this.sync) this.sync.update();
+        // Recordings and replays advance on a fixed timestep
+        this.player.step(this.simFrame);
+        this.updateAudioInput();
+        const time = this.fixedTimestep ? this.simFrame * this.fixedTimestep : this.clock.getElapsedTime();
+        // Capped so a backgrounded tab does not jump the camera on return
+        const delta = Math.min(Math.max(time - this.time, 0), 0.1);
+        this.time = time;
+
+        // The camera keeps moving while frozen
+        this.updateCamera(delta);
+        if (!this.isReplaying) this.keyboardCursor.update(delta);
+
+        // Shown while dragging a field even when toggled off
+        this.fieldOverlay.visible = this.showFieldOverlay || this.fieldEditor.isDragging;
+        this.fieldOverlay.update(this.forceFields, this.fieldsVersion, time);
+
+        // Update uniforms
+        this.material.uniforms.uTime.value = time;
+        this.updatePaletteFade();
+
+        // Always rotate particles (even when frozen) - reverse direction when inverted
+        const spinDirection = this.isInverted ? -1 : 1;
+        this.particles.rotation.y += this.config.rotationSpeed * spinDirection * this.motionScale('rotation');
+        if (this.sync) this.applyRotationCorrection();
+
+        // Only update particle physics (and morphs) if not frozen
+        if (!this.isFrozen) {
+            this.morphTime += delta;
+            this.updateTransition(this.morphTime);
+            this.updateParticles(time);
+            this.updateRenderOverlay();
+        }
+
+        this.simFrame++;
+    }
+
+    // Render with post-processing
+    renderFrame() {
+        this.effects.update(this.time, this.material.uniforms.uFocalDistance.value);
+        this.effects.render();
+    }
+
+    updateParticles(time) {
+        // Audio-reactive offsets on top of the configured values
+        const audio = mapAudioLevels(this.audioLevels, {
+            bass: this.config.audioBass,
+            mids: this.config.audioMids,
+            highs: this.config.audioHighs,
+        });
+        this.material.uniforms.uSize.value = this.config.particleSize + audio.particleSize;
+
+        const windStrength = this.config.windStrength + audio.windStrength;
+        const wind = windAt(time, windStrength, new THREE.Vector3());
+
+        // Force points in the particles' local space, packed as x, y, z, force
+        const worldToLocal = this.particles.matrixWorld.clone().invert();
+        const pointerData = this.pointerData;
+        const local = new THREE.Vector3();
+        const mouseForce = (this.config.mouseForce + audio.mouseForce) * this.motionScale('force');
+        let pointerCount = 0;
+        for (const pointer of this.pointers.values()) {
+            local.copy(pointer.world).applyMatrix4(worldToLocal);
+            pointerData[pointerCount * 4] = local.x;
+            pointerData[pointerCount * 4 + 1] = local.y;
+            pointerData[pointerCount * 4 + 2] = local.z;
+            pointerData[pointerCount * 4 + 3] = mouseForce * (pointer.isDown ? 2.5 : 1);
+            pointerCount++;
+        }
+
+        const fieldCount = packForceFields(this.forceFields, time, worldToLocal, this.fieldData);
+
+        const mousePos = this.mouseWorld.clone().applyMatrix4(worldToLocal);
+        this.material.uniforms.uCursor.value.copy(mousePos);
+
+        const params = {
+            time,
+            noiseOffset: this.noiseOffset,
+            pointers: pointerData,
+            pointerCount,
+            mouseRadius: this.config.mouseRadius,
+            returnSpeed: this.config.returnSpeed,
+            noiseAmount: this.config.noiseAmount + audio.noiseAmount,
+            wind,
+            windTurbulence: this.config.windTurbulence + audio.windTurbulence,
+            damping: this.config.damping,
+            pulse: audio.pulse * this.motionScale('force'),
+            fields: this.fieldData,
+            fieldCount,
+        };
+
+        let totalInteractionForce;
+        if (this.gpuCompute) {
+            // Energy comes back from the GPU through a small reduction target
+            totalInteractionForce = this.gpuCompute.update(params);
+            this.material.uniforms.uPositionTexture.value = this.gpuCompute.positionTextureCurrent;
+            this.material.uniforms.uVelocityTexture.value = this.gpuCompute.velocityTextureCurrent;
+        } else {
+            totalInteractionForce = this.updateParticlesCPU(params);
+        }
+        this.frameCount++;
 
         // Trigger audio once per frame based on total energy
         if (totalInteractionForce > 5.0) { // Threshold for "meaningful" interaction
+            this.emit('interaction', { energy: totalInteractionForce, x: this.mouse.x, y: this.mouse.y });
             // Normalize probability: more force = higher chance, but capped
             // This is drastically cheaper than Math.random() * 90000 times
-            if (Math.random() < Math.min(totalInteractionForce * 0.005, 0.5)) {
-                this.soundManager.triggerInteractionSound(totalInteractionForce);
+            if (this.soundManager.random() < Math.min(totalInteractionForce * 0.005, 0.5)) {
+                this.soundManager.triggerInteractionSound(totalInteractionForce, this.mouse.x, this.mouse.y);
             }
         }
 
-        this.geometry.attributes.position.needsUpdate = true;
-        this.geometry.attributes.velocity.needsUpdate = true;
-
         if (this.isTransforming) {
             this.geometry.attributes.originalPosition.needsUpdate = true;
+            if (this.gpuCompute) {
+                this.gpuCompute.setOriginalPositions(this.geometry.attributes.originalPosition.array);
+            }
             this.isTransforming = false;
         }
     }
 
+    // CPU physics: the fallback when float render targets are unavailable, and the
+    // only backend with neighbour behaviours
+    updateParticlesCPU(params) {
+        const attributes = this.geometry.attributes;
+        const buffers = {
+            positions: attributes.position.array,
+            originalPositions: attributes.originalPosition.array,
+            velocities: attributes.velocity.array,
+            turbulence: this.turbulence,
+        };
+
+        if (this.config.behavior !== 'none') {
+            if (!this.neighborState || this.neighborState.capacity !== this.particleCount) {
+                this.neighborState = createNeighborState(this.particleCount);
+            }
+            const c = this.config;
+            applyNeighborForces(buffers, this.neighborState, {
+                behavior: c.behavior,
+                frame: this.frameCount,
+                count: this.activeParticleCount,
+                radius: c.neighborRadius,
+                separation: c.separation,
+                alignment: c.alignment,
+                cohesion: c.cohesion,
+                stiffness: c.fluidStiffness,
+                restDensity: c.fluidRestDensity,
+                viscosity: c.fluidViscosity,
+            });
+        } else {
+            // Cached forces would be stale when a behaviour comes back
+            this.neighborState = null;
+        }
+
+        const energy = stepParticles(buffers, {
+            ...params,
+            // Particles beyond the quality tier's draw range stay where they are
+            count: this.activeParticleCount,
+            frame: this.frameCount,
+            noise: this.noise,
+        });
+
+        attributes.position.needsUpdate = true;
+        attributes.velocity.needsUpdate = true;
+        return energy;
+    }
+
     toggleShape() {
-        const currentIndex = this.shapeOrder.indexOf(this.currentShape);
-        const nextIndex = (currentIndex + 1) % this.shapeOrder.length;
-        this.currentShape = this.shapeOrder[nextIndex];
+        this.setShape(this.shapes.next(this.currentShape));
+    }
 
-        const newTarget = this.shapes[this.currentShape];
-        const originalPositions = this.geometry.attributes.originalPosition.array;
+    // None, flock, fluid. Switching between none and the others in 'auto' compute mode
+    // moves the physics between GPU and CPU, which rebuilds the particles.
+    cycleBehavior() {
+        const next = behaviors[(behaviors.indexOf(this.config.behavior) + 1) % behaviors.length];
+        this.setConfig({ behavior: next });
+        this.announce(`Behaviour: ${next}`);
+        console.log(`Behaviour: ${next}`);
+    }
 
-        for (let i = 0; i < this.config.particleCount * 3; i++) {
-            originalPositions[i] = newTarget[i];
+    setShape(name) {
+        if (!this.shapes.has(name)) {
+            console.warn(`Unknown shape: ${name}`);
+            return;
         }
+        // Synced screens start the morph together. Imported shapes only exist here.
+        const isShared = this.shapes.isShared(name);
+        if (isShared && this.sync && this.sync.defer('shape', { name })) return;
+
+        this.currentShape = name;
+        this.soundManager.setShape(name);
+
+        // Starting from the current targets makes morphs interruptible
+        this.transition = new ShapeTransition(
+            this.geometry.attributes.originalPosition.array,
+            this.shapes.get(name),
+            this.particleCount,
+            {
+                duration: this.config.morphDuration,
+                easing: this.config.morphEasing,
+                order: this.config.morphOrder,
+                stagger: this.config.morphStagger,
+                // Reduced motion reassembles without the outward burst
+                explode: this.isReducedMotion ? 0 : this.config.morphExplode,
+                matchByProximity: this.config.morphMatching,
+            },
+            this.random,
+            this.morphTime
+        );
 
-        this.isTransforming = true;
+        this.applyShapeColors();
+
+        if (isShared) {
+            this.recordEvent('shape', { name });
+        } else if (this.recorder.isRecording || this.sync) {
+            console.warn(`${name} stays on this screen, recordings and other screens keep the previous shape`);
+        }
+        this.scheduleHashUpdate();
+        this.emit('shape', { name });
         console.log(`Transformed to ${this.currentShape}`);
     }
 
+    // Moves the return targets along the running morph
+    updateTransition(time) {
+        if (!this.transition) return;
+
+        const originalPositions = this.geometry.attributes.originalPosition.array;
+        const progress = this.transition.update(time, originalPositions);
+        this.isTransforming = true;
+
+        this.material.uniforms.uMorph.value = Math.sin(Math.PI * progress);
+        for (const listener of this.transitionListeners) {
+            listener(progress, this.currentShape);
+        }
+
+        if (this.transition.isComplete) {
+            this.transition = null;
+            this.material.uniforms.uMorph.value = 0;
+        }
+    }
+
+    // listener(progress, shapeName) is called every frame while a morph runs
+    onTransitionProgress(listener) {
+        this.transitionListeners.push(listener);
+        return () => {
+            this.transitionListeners = this.transitionListeners.filter((l) => l !== listener);
+        };
+    }
+
+    // Registers the 'text' shape, the glyphs are sampled when the shape is first shown
+    registerTextShape(text, options = {}) {
+        this.shapes.register('text', createTextGenerator(text, options), { cycle: false });
+        this.text = text;
+        this.textOptions = options;
+        this.recordEvent('text', { text, options });
+    }
+
+    // Never rejects, callers fire and forget. A font that fails to load falls back to
+    // the default one.
+    async showText(text, options = {}) {
+        try {
+            let textOptions = options;
+            try {
+                await loadTextFont(textOptions);
+            } catch (error) {
+                console.warn('Font failed to load, using the default font:', error);
+                this.announce('Font not available, using the default font');
+                const { fontFamily, fontWeight } = defaultTextOptions;
+                textOptions = { ...options, fontFamily, fontWeight };
+                // Without it the canvas still draws with sans-serif
+                await loadTextFont(textOptions).catch(() => {});
+            }
+            if (this.isDestroyed) return;
+
+            this.registerTextShape(text, textOptions);
+            this.setShape('text');
+        } catch (error) {
+            console.error('Text shape failed:', error);
+            this.announce('Text could not be shown');
+        }
+    }
+
+    // Shapes with their own colours (e.g. imported images) override the palette
+    // in static colour mode
+    applyShapeColors() {
+        const shapeColors = this.shapes.getColors(this.currentShape);
+        this.hasShapeColors = Boolean(shapeColors);
+        this.material.uniforms.uShapeColors.value = shapeColors ? 1 : 0;
+        if (!shapeColors) return;
+
+        const colors = this.geometry.attributes.color.array;
+        const mapping = this.transition && this.transition.mapping;
+
+        if (mapping) {
+            // Follow the particle-to-target pairing of the morph
+            for (let i = 0; i < this.particleCount; i++) {
+                colors[i * 3] = shapeColors[mapping[i] * 3];
+                colors[i * 3 + 1] = shapeColors[mapping[i] * 3 + 1];
+                colors[i * 3 + 2] = shapeColors[mapping[i] * 3 + 2];
+            }
+        } else {
+            colors.set(shapeColors);
+        }
+        this.geometry.attributes.color.needsUpdate = true;
+    }
+
+    // Inversion is the 'inverted' palette, toggling again restores the one before
     toggleInvert() {
-        this.isInverted = !this.isInverted;
-
-        if (this.isInverted) {
-            // Invert: white background, black particles
-            this.scene.background = new THREE.Color(0xffffff);
-            const colors = this.geometry.attributes.color.array;
-            for (let i = 0; i < this.config.particleCount; i++) {
-                colors[i * 3] = 0.1 + Math.random() * 0.2;
-                colors[i * 3 + 1] = 0.1 + Math.random() * 0.2;
-                colors[i * 3 + 2] = 0.1 + Math.random() * 0.2;
-            }
-            this.geometry.attributes.color.needsUpdate = true;
-            document.body.classList.add('inverted');
+        if (this.config.palette === 'inverted') {
+            this.setConfig({ palette: this.paletteBeforeInvert || this.defaults.palette });
         } else {
-            // Normal: dark background, white particles
-            this.scene.background = new THREE.Color(0x0a0a0a);
-            const colors = this.geometry.attributes.color.array;
-            for (let i = 0; i < this.config.particleCount; i++) {
-                const brightness = 0.7 + Math.random() * 0.3;
-                colors[i * 3] = brightness;
-                colors[i * 3 + 1] = brightness;
-                colors[i * 3 + 2] = brightness;
-            }
-            this.geometry.attributes.color.needsUpdate = true;
-            document.body.classList.remove('inverted');
+            this.paletteBeforeInvert = this.config.palette;
+            this.setConfig({ palette: 'inverted' });
+        }
+
+        console.log(this.isInverted ? 'Colors inverted' : 'Colors normal');
+    }
+
+    // ============================================
+    // Palettes
+    // ============================================
+
+    nextPalette() {
+        const names = this.palettes.names();
+        const index = names.indexOf(this.config.palette);
+        this.setConfig({ palette: names[(index + 1) % names.length] });
+    }
+
+    // Points the gradient and background at the configured palette, blending over
+    // from the previous one. Unchanged palettes are left alone.
+    applyPalette() {
+        const { customPalette, backgroundColor } = this.config;
+        if (customPalette) {
+            const colors = parseColorList(customPalette);
+            if (colors.length > 0) this.palettes.register('custom', { colors });
         }
 
-        // Update Sound Manager
+        const name = this.palettes.has(this.config.palette) ? this.config.palette : this.defaults.palette;
+        // High contrast inverts to solid black on white instead of greys
+        const shown = name === 'inverted' && this.isHighContrast ? 'contrast' : name;
+        const key = `${shown}|${customPalette}|${backgroundColor}`;
+        if (key === this.paletteKey) return;
+        this.paletteKey = key;
+
+        const palette = this.palettes.get(shown);
+        this.backgroundColor = parseHexColor(backgroundColor) || palette.background;
+
+        if (!this.gradientTexture) {
+            this.gradientTexture = createGradientTexture(palette);
+            this.previousGradientTexture = createGradientTexture(palette);
+            this.scene.background = new THREE.Color(...this.backgroundColor.map((c) => c / 255));
+            this.paletteFadeStart = -Infinity;
+        } else {
+            this.previousGradientTexture.image.data.set(this.gradientTexture.image.data);
+            this.previousGradientTexture.needsUpdate = true;
+            writeGradient(palette, this.gradientTexture.image.data);
+            this.gradientTexture.needsUpdate = true;
+            this.paletteFadeStart = performance.now();
+        }
+        this.backgroundFrom.copy(this.scene.background);
+        this.backgroundTo.setRGB(...this.backgroundColor.map((c) => c / 255));
+
+        // Panels and the cursor follow the background brightness
+        this.uiRoot.classList.toggle('inverted', isLightColor(this.backgroundColor));
+
+        const wasInverted = this.isInverted;
+        this.isInverted = name === 'inverted';
         if (this.soundManager) {
             this.soundManager.setInverted(this.isInverted);
         }
+        if (this.isInverted !== wasInverted) this.emit('invert', { inverted: this.isInverted });
+    }
 
-        console.log(this.isInverted ? 'Colors inverted' : 'Colors normal');
+    // Runs on the wall clock, so replays and frozen scenes blend as well
+    updatePaletteFade() {
+        const blend = Math.min((performance.now() - this.paletteFadeStart) / (PALETTE_FADE * 1000), 1);
+        if (this.material.uniforms.uPaletteBlend.value === 1 && blend === 1) return;
+
+        this.material.uniforms.uPaletteBlend.value = blend;
+        this.scene.background.lerpColors(this.backgroundFrom, this.backgroundTo, blend);
+    }
+
+    // ============================================
+    // Render Modes
+    // ============================================
+
+    cycleRenderMode() {
+        const next = renderModes[(renderModes.indexOf(this.config.renderMode) + 1) % renderModes.length];
+        this.setConfig({ renderMode: next });
+        this.announce(`Render mode: ${next}`);
+        console.log(`Render mode: ${next}`);
+    }
+
+    // Points the shader variant and line overlay at config.renderMode. Only the drawing
+    // changes, positions and velocities carry on.
+    applyRenderMode() {
+        const mode = renderModes.includes(this.config.renderMode) ? this.config.renderMode : 'points';
+
+        // The defines object is shared with the depth material
+        const useSprites = mode === 'sprites';
+        const defines = this.material.defines;
+        if (useSprites !== ('USE_SPRITES' in defines)) {
+            if (useSprites) defines.USE_SPRITES = '';
+            else delete defines.USE_SPRITES;
+            this.material.needsUpdate = true;
+            this.depthMaterial.needsUpdate = true;
+        }
+        this.material.uniforms.uSpriteScale.value = this.config.spriteScale;
+        if (useSprites) this.applySpriteAtlas();
+
+        // Trails and links are children of the points, so they turn with the cloud
+        const count = Math.min(this.config.lineParticles, this.particleCount);
+        const key = mode === 'trails' ? `trails:${count}:${this.config.trailLength}`
+            : mode === 'constellation' ? `constellation:${count}` : null;
+        if (key === this.renderOverlayKey) return;
+
+        this.disposeRenderOverlay();
+        if (key === null) return;
+        const uniforms = this.material.uniforms;
+        const shades = this.geometry.attributes.shade.array;
+        this.renderOverlay = mode === 'trails'
+            ? new TrailLines(uniforms, shades, count, this.config.trailLength)
+            : new ConstellationLines(uniforms, shades, count);
+        this.renderOverlayKey = key;
+        this.particles.add(this.renderOverlay.object);
+    }
+
+    disposeRenderOverlay() {
+        if (!this.renderOverlay) return;
+        this.renderOverlay.object.removeFromParent();
+        this.renderOverlay.dispose();
+        this.renderOverlay = null;
+        this.renderOverlayKey = null;
+    }
+
+    // Lines follow the first particles of the draw range. On the GPU path their
+    // positions are read back, a few texture rows every LINE_READBACK_INTERVAL frames,
+    // and the lines move on then.
+    updateRenderOverlay() {
+        if (!this.renderOverlay) return;
+        const count = Math.min(this.renderOverlay.maxParticles, this.activeParticleCount);
+        if (this.gpuCompute) {
+            if (this.frameCount % LINE_READBACK_INTERVAL !== 0) return;
+            this.renderOverlay.update(this.gpuCompute.readPositions(count), 4, count, this.config);
+        } else {
+            this.renderOverlay.update(this.geometry.attributes.position.array, 3, count, this.config);
+        }
+    }
+
+    // An atlas image for the sprite mode, frames in a columns x rows grid, read left to
+    // right and top to bottom. URLs go through the config, so links and other screens
+    // get them too; images, canvases and textures stay with this instance.
+    setSpriteAtlas(source, columns = 1, rows = 1) {
+        if (typeof source === 'string') {
+            this.setConfig({ spriteAtlas: source, spriteColumns: columns, spriteRows: rows, renderMode: 'sprites' });
+            return;
+        }
+
+        this.spriteSource = source;
+        loadSpriteAtlas(source).then((texture) => {
+            if (!this.isDestroyed && this.spriteSource === source) this.setSpriteTexture(texture, columns, rows);
+        });
+        this.setConfig({ spriteAtlas: '', renderMode: 'sprites' });
     }
-}
 
+    // The built-in atlas unless config.spriteAtlas names an image. One handed to
+    // setSpriteAtlas() directly stays until the config names another.
+    applySpriteAtlas() {
+        const source = this.config.spriteAtlas;
+        const keepsOwn = this.spriteSource !== null && typeof this.spriteSource !== 'string' && !source;
+        if (source === this.spriteSource || keepsOwn) {
+            if (source) this.spriteGrid.set(Math.max(1, this.config.spriteColumns), Math.max(1, this.config.spriteRows));
+            return;
+        }
+
+        this.spriteSource = source;
+        if (!source) {
+            this.setSpriteTexture(createDefaultSpriteAtlas(), 2, 2);
+            return;
+        }
+        loadSpriteAtlas(source).then((texture) => {
+            // A newer atlas may have been asked for meanwhile
+            if (this.isDestroyed || this.spriteSource !== source) {
+                texture.dispose();
+                return;
+            }
+            this.setSpriteTexture(texture, this.config.spriteColumns, this.config.spriteRows);
+        }, () => {
+            console.warn(`Sprite atlas ${source} could not be loaded, using the built-in one`);
+            if (!this.isDestroyed && this.spriteSource === source) this.setSpriteTexture(createDefaultSpriteAtlas(), 2, 2);
+        });
+    }
+
+    setSpriteTexture(texture, columns, rows) {
+        if (this.spriteTexture && this.spriteTexture !== texture) this.spriteTexture.dispose();
+        this.spriteTexture = texture;
+        this.spriteGrid.set(Math.max(1, Math.round(columns)), Math.max(1, Math.round(rows)));
+        this.material.uniforms.uSpriteAtlas.value = texture;
+    }
+
+    // ============================================
+    // Settings & Shareable Links
+    // ============================================
+
+    setupSettingsPanel() {
+        const container = this.options.settingsPanel;
+        this.settingsPanel = container ? new SettingsPanel(this, container) : null;
+    }
+
+    // Live config changes. Count, seed and backend changes rebuild the particles,
+    // everything else is picked up on the next frame.
+    setConfig(changes) {
+        const changed = {};
+        for (const [key, value] of Object.entries(upgradeConfig(changes))) {
+            if (key in this.defaults && this.config[key] !== value) changed[key] = value;
+        }
+        const keys = Object.keys(changed);
+        if (keys.length === 0) return;
+
+        Object.assign(this.config, changed);
+        this.recordEvent('config', { changes: changed });
+
+        // Typing a custom palette selects it
+        if (changed.customPalette && parseColorList(changed.customPalette).length > 0) {
+            this.config.palette = 'custom';
+        }
+
+        // Neighbour behaviours move 'auto' physics to the CPU and back
+        let backendChanged = false;
+        if ('computeMode' in changed || 'behavior' in changed) {
+            const useGPU = this.wantsGPU() && GPUParticleCompute.isSupported(this.renderer);
+            backendChanged = useGPU !== this.useGPU;
+            this.useGPU = useGPU;
+            if (useGPU && this.config.behavior !== 'none') {
+                console.warn('Neighbour behaviours need the CPU physics, set computeMode to auto or cpu');
+            }
+        }
+        if ('seed' in changed) {
+            this.seedRandomness();
+        }
+
+        const rebuildKeys = ['seed', 'computeMode', this.useGPU ? 'gpuParticleCount' : 'particleCount'];
+        if (backendChanged || keys.some((key) => rebuildKeys.includes(key))) {
+            // Keep the current shape and orientation, only the buffers change
+            const rotation = this.particles.rotation.clone();
+            this.createParticles();
+            this.particles.rotation.copy(rotation);
+        }
+
+        this.applyConfig();
+        this.scheduleHashUpdate();
+        this.emit('config', { changes: changed });
+    }
+
+    resetConfig() {
+        this.setConfig({ ...this.defaults });
+    }
+
+    // Pushes the config into the uniforms that do not read it every frame
+    applyConfig() {
+        const uniforms = this.material.uniforms;
+        uniforms.uSize.value = this.config.particleSize;
+        uniforms.uDepthFade.value = this.config.depthFade;
+        uniforms.uColorMode.value = Math.max(colorModes.indexOf(this.config.colorMode), 0);
+        uniforms.uColorScale.value = this.config.colorScale;
+        uniforms.uCursorRadius.value = this.config.mouseRadius;
+        this.applyPalette();
+
+        this.cameraRig.orbitSpeed = this.config.autoOrbitSpeed * this.motionScale('rotation');
+        this.keyboardCursor.speed = this.config.keyboardCursorSpeed;
+        uniforms.uBreathing.value = this.isReducedMotion ? 0 : 1;
+        this.applyRenderMode();
+        this.uiRoot.classList.toggle('high-contrast', this.isHighContrast);
+        if (this.help) this.help.hidden = !this.config.showHelp;
+
+        this.soundManager.configure({
+            scale: this.config.musicalScale,
+            key: this.config.musicalKey,
+            pitchSource: this.config.pitchSource,
+            panning: this.config.panning,
+        });
+        this.soundManager.outputMode = this.config.soundOutput;
+        this.midi.channel = this.config.midiChannel;
+
+        if (this.effects) {
+            const c = this.config;
+            this.effects.configure({
+                order: c.effectOrder,
+                enabled: {
+                    dof: c.effectDof,
+                    afterimage: c.effectAfterimage,
+                    bloom: c.effectBloom,
+                    // Both smear edges, high contrast keeps them crisp
+                    chromatic: c.effectChromatic && !this.isHighContrast,
+                    vignette: c.effectVignette,
+                    grain: c.effectGrain && !this.isHighContrast,
+                },
+                params: c, // Effect parameters share their config key names
+            });
+            this.applyEffectQuality();
+        }
+        this.governor.targetFps = this.config.targetFps;
+        this.governor.pin(this.config.qualityTier);
+        this.statsOverlay.visible = this.config.showStats;
+        if (this.settingsPanel) {
+            this.settingsPanel.refresh();
+        }
+    }
+
+    // Reads the link before the first build. Returns the parts that need a running scene.
+    loadHashState() {
+        const { config, extra } = parseState(window.location.hash, this.defaults);
+        Object.assign(this.config, config);
+
+        // Palettes registered from code at runtime may not exist yet
+        if (!this.palettes.has(this.config.palette) && this.config.palette !== 'custom') {
+            this.config.palette = this.defaults.palette;
+        }
+
+        // Imported shapes do not survive a reload
+        if (!hasShape(this.config.shape)) this.config.shape = this.defaults.shape;
+        this.currentShape = this.config.shape;
+        this.hash = window.location.hash.replace(/^#/, '');
+        return extra;
+    }
+
+    applyHashExtras(extra) {
+        if (extra.text) this.showText(extra.text);
+        if (extra.fields || this.forceFields.length > 0) this.setForceFields(decodeFields(extra.fields || ''));
+    }
+
+    // A link opened in a running tab: unlisted settings go back to their defaults
+    applyHashState(hash) {
+        const { config, extra } = parseState(hash, this.defaults);
+        this.setConfig({ ...this.defaults, ...config });
+
+        const shape = config.shape || this.defaults.shape;
+        if (!extra.text && shape !== this.currentShape && this.shapes.has(shape)) this.setShape(shape);
+        this.applyHashExtras(extra);
+    }
+
+    // The address bar is rewritten at most a few times a second while sliders move
+    scheduleHashUpdate() {
+        if (!this.useHash) return;
+        clearTimeout(this.hashTimeout);
+        this.hashTimeout = setTimeout(() => this.updateHash(), 250);
+    }
+
+    updateHash() {
+        const isText = this.currentShape === 'text';
+        const shareable = !isText && this.shapes.isShared(this.currentShape);
+        const state = { ...this.config, shape: shareable ? this.currentShape : this.defaults.shape };
+
+        this.hash = serializeState(state, this.defaults, {
+            text: isText ? this.text : null,
+            fields: encodeFields(this.forceFields),
+        });
+
+        const url = `${window.location.pathname}${window.location.search}${this.hash ? `#${this.hash}` : ''}`;
+        window.history.replaceState(null, '', url);
+    }
+
+    // ============================================
+    // Multi-Screen Sync
+    // ============================================
+
+    // slice: [column, row, columns, rows] of a video wall, yaw: degrees around the cloud
+    setView({ slice = null, yaw = 0 } = {}) {
+        this.viewSlice = slice;
+        this.cameraRig.yaw = THREE.MathUtils.degToRad(yaw);
+        this.cameraRig.apply();
+        this.resize(this.aspect * this.height, this.height);
+    }
+
+    // Catches up with the leader: the time jumps, the cloud turns over a few frames
+    alignTo(drift, rotation) {
+        if (drift !== 0) this.clock.elapsedTime += drift;
+        const current = this.particles.quaternion.clone().invert();
+        this.rotationCorrection.fromArray(rotation).multiply(current);
+    }
+
+    applyRotationCorrection() {
+        this.rotationStep.identity().slerp(this.rotationCorrection, 0.1);
+        this.particles.quaternion.premultiply(this.rotationStep);
+        this.rotationCorrection.multiply(this.rotationStep.invert());
+    }
+
+    // ============================================
+    // Teardown
+    // ============================================
+
+    // Stops the loop and releases everything the instance holds: listeners, GPU memory,
+    // the audio context and the canvas. The instance cannot be used afterwards.
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+
+        cancelAnimationFrame(this.frameId);
+        clearTimeout(this.hashTimeout);
+        if (this.sync) this.sync.destroy();
+
+        this.pointerTracker.detach();
+        this.cameraRig.detach();
+        this.fieldEditor.detach();
+        this.resizeObserver.disconnect();
+        for (const [target, type, handler, options] of this.domListeners) {
+            target.removeEventListener(type, handler, options);
+        }
+        this.domListeners = [];
+        this.uiRoot.classList.remove('inverted', 'dragging', 'high-contrast');
+        this.motionQuery.stop();
+        this.contrastQuery.stop();
+        this.announcer.destroy();
+
+        // A session recording is dropped, a running video still downloads
+        this.player.stop();
+        this.recorder.stop();
+        this.exporter.cancel();
+        this.exporter.stopVideo();
+        this.audioReactive.stop();
+        this.midi.disconnect();
+        this.soundManager.dispose();
+
+        if (this.settingsPanel) this.settingsPanel.destroy();
+        this.statsOverlay.destroy();
+
+        this.fieldOverlay.clear();
+        this.scene.remove(this.particles);
+        this.geometry.dispose();
+        this.material.dispose();
+        this.depthMaterial.dispose();
+        this.disposeRenderOverlay();
+        if (this.spriteTexture) this.spriteTexture.dispose();
+        if (this.gpuCompute) this.gpuCompute.dispose();
+        this.gradientTexture.dispose();
+        this.previousGradientTexture.dispose();
+        this.effects.dispose();
+
+        const canvas = this.renderer.domElement;
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        canvas.remove();
+
+        this.emit('destroy');
+        this.removeAllListeners();
+    }
+}
 
-document.addEventListener('DOMContentLoaded', () => {
-    new ParticleSimulation();
-});
@@ -0,0 +1,175 @@
+// ============================================
+// Pointer Tracking (mouse, pen, multi-touch)
+// ============================================
+
+// Force points the physics handles at once (GPU uniform array size)
+export const MAX_POINTERS = 10;
+
+// The mouse keeps one id, so hovering and pressing are the same force point
+export const MOUSE_POINTER = 'mouse';
+
+const TAP_DURATION = 250; // ms
+const TAP_DISTANCE = 10; // px
+
+// Two fingers only form a pinch/twist when they land together and close by,
+// so two people touching the table at once are not mistaken for a gesture
+const GESTURE_START_WINDOW = 400; // ms
+const GESTURE_MAX_SPREAD = 0.45; // Share of the target's diagonal
+
+// Reports pointer movement to the handlers and recognises taps, pinches and twists:
+//   onMove(id, clientX, clientY)   every move, including mouse hover
+//   onDown(id, pointerType)        pointer pressed
+//   onUp(id, pointerType)          pointer released (also after cancel)
+//   onTap(id, pointerType)         short press without movement
+//   onPinch(scale)                 ratio of the finger distance since the last call
+//   onTwist(angle)                 finger rotation since the last call, radians clockwise
+//   isIgnored(event)               presses on UI elements
+export class PointerTracker {
+    constructor(target, handlers) {
+        this.target = target;
+        this.handlers = handlers;
+        this.pressed = new Map();
+        this.gesture = null;
+
+        this.onPointerDown = (e) => this.handleDown(e);
+        this.onPointerMove = (e) => this.handleMove(e);
+        this.onPointerUp = (e) => this.handleUp(e, false);
+        this.onPointerCancel = (e) => this.handleUp(e, true);
+    }
+
+    attach() {
+        this.target.addEventListener('pointerdown', this.onPointerDown);
+        this.target.addEventListener('pointermove', this.onPointerMove);
+        this.target.addEventListener('pointerup', this.onPointerUp);
+        this.target.addEventListener('pointercancel', this.onPointerCancel);
+    }
+
+    detach() {
+        this.target.removeEventListener('pointerdown', this.onPointerDown);
+        this.target.removeEventListener('pointermove', this.onPointerMove);
+        this.target.removeEventListener('pointerup', this.onPointerUp);
+        this.target.removeEventListener('pointercancel', this.onPointerCancel);
+        this.pressed.clear();
+        this.gesture = null;
+    }
+
+    idFor(e) {
+        return e.pointerType === 'mouse' ? MOUSE_POINTER : e.pointerId;
+    }
+
+    handleDown(e) {
+        if (this.handlers.isIgnored(e)) return;
+
+        const id = this.idFor(e);
+        this.pressed.set(id, {
+            type: e.pointerType,
+            startX: e.clientX,
+            startY: e.clientY,
+            x: e.clientX,
+            y: e.clientY,
+            startTime: e.timeStamp,
+            moved: false,
+            inGesture: false,
+        });
+
+        // Keep receiving moves when a finger slides over a panel
+        if (e.target.setPointerCapture) e.target.setPointerCapture(e.pointerId);
+
+        this.handlers.onMove(id, e.clientX, e.clientY);
+        this.handlers.onDown(id, e.pointerType);
+        this.updateGesture();
+    }
+
+    handleMove(e) {
+        const id = this.idFor(e);
+        const pointer = this.pressed.get(id);
+
+        // Hovering only exists for the mouse, stray touches belong to the UI
+        if (!pointer) {
+            if (id === MOUSE_POINTER) this.handlers.onMove(id, e.clientX, e.clientY);
+            return;
+        }
+
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        if (Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > TAP_DISTANCE) {
+            pointer.moved = true;
+        }
+
+        this.handlers.onMove(id, e.clientX, e.clientY);
+        if (this.gesture) this.updateGestureMotion();
+    }
+
+    handleUp(e, isCancel) {
+        const id = this.idFor(e);
+        const pointer = this.pressed.get(id);
+        if (!pointer) return;
+
+        this.pressed.delete(id);
+        this.handlers.onUp(id, pointer.type);
+
+        const isTap = !isCancel && !pointer.moved && !pointer.inGesture
+            && e.timeStamp - pointer.startTime < TAP_DURATION;
+        if (isTap) this.handlers.onTap(id, pointer.type);
+
+        this.updateGesture();
+    }
+
+    // ============================================
+    // Pinch & Twist
+    // ============================================
+
+    updateGesture() {
+        const touches = Array.from(this.pressed.entries()).filter(([, pointer]) => pointer.type !== 'mouse');
+
+        if (touches.length !== 2) {
+            this.gesture = null;
+            return;
+        }
+        if (this.gesture) return;
+
+        const [[, a], [, b]] = touches;
+        const diagonal = this.targetDiagonal();
+        const together = Math.abs(a.startTime - b.startTime) < GESTURE_START_WINDOW;
+        const close = Math.hypot(a.x - b.x, a.y - b.y) < diagonal * GESTURE_MAX_SPREAD;
+        if (!together || !close) return;
+
+        a.inGesture = true;
+        b.inGesture = true;
+        this.gesture = { a, b, distance: this.fingerDistance(a, b), angle: this.fingerAngle(a, b) };
+    }
+
+    // Gestures are measured against the element the pointers land on
+    targetDiagonal() {
+        if (!this.target.getBoundingClientRect) return Math.hypot(window.innerWidth, window.innerHeight);
+        const rect = this.target.getBoundingClientRect();
+        return Math.hypot(rect.width, rect.height);
+    }
+
+    updateGestureMotion() {
+        const { a, b } = this.gesture;
+        const distance = this.fingerDistance(a, b);
+        const angle = this.fingerAngle(a, b);
+
+        if (this.gesture.distance > 0 && distance > 0) {
+            this.handlers.onPinch(distance / this.gesture.distance);
+        }
+
+        // Shortest way round, atan2 wraps at ±π
+        let twist = angle - this.gesture.angle;
+        if (twist > Math.PI) twist -= Math.PI * 2;
+        if (twist < -Math.PI) twist += Math.PI * 2;
+        if (twist !== 0) this.handlers.onTwist(twist);
+
+        this.gesture.distance = distance;
+        this.gesture.angle = angle;
+    }
+
+    fingerDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    fingerAngle(a, b) {
+        return Math.atan2(b.y - a.y, b.x - a.x);
+    }
+}
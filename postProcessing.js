@@ -0,0 +1,326 @@
+// ============================================
+// Post-Processing Effect Stack
+// ============================================
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { FullScreenQuad, Pass } from 'three/addons/postprocessing/Pass.js';
+
+// Objects on this layer only show up in the depth-of-field depth render
+export const DEPTH_LAYER = 1;
+
+// Default order, each effect works on the output of the one before
+export const effectNames = ['dof', 'afterimage', 'bloom', 'chromatic', 'vignette', 'grain'];
+
+// Effects each quality level allows, cheapest first
+export const qualityLevels = {
+    low: ['vignette', 'grain'],
+    medium: ['afterimage', 'bloom', 'chromatic', 'vignette', 'grain'],
+    high: effectNames,
+};
+
+export const qualityNames = Object.keys(qualityLevels);
+
+// "grain, bloom" → ['grain', 'bloom', ...the rest in default order]. Unknown names are dropped.
+export function parseEffectOrder(text) {
+    const listed = String(text).split(',').map((name) => name.trim()).filter((name) => effectNames.includes(name));
+    const order = [...new Set(listed)];
+    for (const name of effectNames) {
+        if (!order.includes(name)) order.push(name);
+    }
+    return order;
+}
+
+const fullscreenVertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const GrainShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        time: { value: 0 },
+        noiseIntensity: { value: 0.03 },
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float time;
+        uniform float noiseIntensity;
+        varying vec2 vUv;
+
+        float random(vec2 co) {
+            return fract(sin(dot(co.xy, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            // fract keeps the hash precise however long the scene runs
+            float noise = random(vUv + fract(time * 7.31)) * 2.0 - 1.0;
+            color.rgb += noise * noiseIntensity;
+            gl_FragColor = color;
+        }
+    `,
+};
+
+// Red and blue drift apart towards the edges, like a cheap lens
+const ChromaticAberrationShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        amount: { value: 0.004 },
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+
+        void main() {
+            vec2 offset = (vUv - 0.5) * amount;
+            vec4 color = texture2D(tDiffuse, vUv);
+            color.r = texture2D(tDiffuse, vUv + offset).r;
+            color.b = texture2D(tDiffuse, vUv - offset).b;
+            gl_FragColor = color;
+        }
+    `,
+};
+
+const VignetteShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        amount: { value: 0.5 },
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            float edge = smoothstep(0.3, 0.85, distance(vUv, vec2(0.5)));
+            color.rgb *= 1.0 - edge * amount;
+            gl_FragColor = color;
+        }
+    `,
+};
+
+// Gathers neighbours whose blur disc reaches this pixel (scatter-as-gather),
+// so out-of-focus points spread over sharp ones but not the other way round
+const DepthOfFieldShader = {
+    defines: { SAMPLES: 32 },
+    uniforms: {
+        tDiffuse: { value: null },
+        tDepth: { value: null },
+        uResolution: { value: new THREE.Vector2(1, 1) },
+        uFar: { value: 2000 },
+        uFocus: { value: 400 },
+        uRange: { value: 150 },
+        uMaxBlur: { value: 6 },
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tDepth;
+        uniform vec2 uResolution;
+        uniform float uFar;
+        uniform float uFocus;
+        uniform float uRange;
+        uniform float uMaxBlur;
+        varying vec2 vUv;
+
+        // Blur radius in pixels
+        float circleOfConfusion(vec2 uv) {
+            float depth = texture2D(tDepth, uv).r * uFar;
+            return clamp(abs(depth - uFocus) / uRange, 0.0, 1.0) * uMaxBlur;
+        }
+
+        void main() {
+            vec4 sum = texture2D(tDiffuse, vUv);
+            float total = 1.0;
+
+            for (int i = 0; i < SAMPLES; i++) {
+                // Golden-angle spiral fills the disc evenly
+                float r = sqrt((float(i) + 0.5) / float(SAMPLES)) * uMaxBlur;
+                float theta = float(i) * 2.39996323;
+                vec2 uv = vUv + vec2(cos(theta), sin(theta)) * r / uResolution;
+
+                float weight = smoothstep(r - 1.0, r, circleOfConfusion(uv));
+                sum += texture2D(tDiffuse, uv) * weight;
+                total += weight;
+            }
+
+            gl_FragColor = sum / total;
+        }
+    `,
+};
+
+// Renders the DEPTH_LAYER objects' view distance into a target, then blurs by it
+export class DepthOfFieldPass extends Pass {
+    constructor(scene, camera) {
+        super();
+        this.scene = scene;
+        this.camera = camera;
+
+        this.depthTarget = new THREE.WebGLRenderTarget(1, 1, {
+            type: THREE.HalfFloatType,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+        });
+
+        this.uniforms = THREE.UniformsUtils.clone(DepthOfFieldShader.uniforms);
+        this.uniforms.tDepth.value = this.depthTarget.texture;
+        this.material = new THREE.ShaderMaterial({
+            defines: { ...DepthOfFieldShader.defines },
+            uniforms: this.uniforms,
+            vertexShader: DepthOfFieldShader.vertexShader,
+            fragmentShader: DepthOfFieldShader.fragmentShader,
+        });
+        this.fsQuad = new FullScreenQuad(this.material);
+        this.clearColor = new THREE.Color();
+    }
+
+    setSize(width, height) {
+        this.depthTarget.setSize(width, height);
+        this.uniforms.uResolution.value.set(width, height);
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        const camera = this.camera;
+        const scene = this.scene;
+
+        // Depth: nothing drawn reads as the far plane
+        const layerMask = camera.layers.mask;
+        const background = scene.background;
+        renderer.getClearColor(this.clearColor);
+        const clearAlpha = renderer.getClearAlpha();
+
+        camera.layers.set(DEPTH_LAYER);
+        scene.background = null;
+        renderer.setClearColor(0xffffff, 1);
+        renderer.setRenderTarget(this.depthTarget);
+        renderer.clear();
+        renderer.render(scene, camera);
+
+        camera.layers.mask = layerMask;
+        scene.background = background;
+        renderer.setClearColor(this.clearColor, clearAlpha);
+
+        this.uniforms.uFar.value = camera.far;
+        this.uniforms.tDiffuse.value = readBuffer.texture;
+
+        renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+        if (this.clear) renderer.clear();
+        this.fsQuad.render(renderer);
+    }
+
+    dispose() {
+        this.depthTarget.dispose();
+        this.material.dispose();
+        this.fsQuad.dispose();
+    }
+}
+
+// Owns the composer. Every effect stays in it, disabled ones are skipped,
+// so all of them follow setSize and can be switched on without a rebuild.
+export class EffectStack {
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+        this.composer = new EffectComposer(renderer);
+        this.renderPass = new RenderPass(scene, camera);
+
+        const size = renderer.getSize(new THREE.Vector2());
+        this.passes = {
+            dof: new DepthOfFieldPass(scene, camera),
+            afterimage: new AfterimagePass(0.85),
+            bloom: new UnrealBloomPass(size, 0.8, 0.4, 0.2),
+            chromatic: new ShaderPass(ChromaticAberrationShader),
+            vignette: new ShaderPass(VignetteShader),
+            grain: new ShaderPass(GrainShader),
+        };
+
+        this.order = [...effectNames];
+        this.enabled = new Set(['dof', 'grain']);
+        this.quality = 'high';
+        this.rebuild();
+    }
+
+    rebuild() {
+        for (const pass of [...this.composer.passes]) this.composer.removePass(pass);
+
+        this.composer.addPass(this.renderPass);
+        for (const name of this.order) {
+            const pass = this.passes[name];
+            pass.enabled = this.isActive(name);
+            this.composer.addPass(pass);
+        }
+    }
+
+    // Enabled and allowed at the current quality level
+    isActive(name) {
+        return this.enabled.has(name) && qualityLevels[this.quality].includes(name);
+    }
+
+    // { order, quality, enabled: { bloom: true, ... }, params: { bloomStrength, ... } }
+    configure({ order, quality, enabled, params }) {
+        if (order) {
+            const parsed = parseEffectOrder(order);
+            if (parsed.join() !== this.order.join()) {
+                this.order = parsed;
+                this.rebuild();
+            }
+        }
+        if (quality && qualityLevels[quality]) this.quality = quality;
+        if (enabled) {
+            for (const [name, on] of Object.entries(enabled)) {
+                if (on) this.enabled.add(name);
+                else this.enabled.delete(name);
+            }
+        }
+        for (const name of effectNames) this.passes[name].enabled = this.isActive(name);
+
+        if (params) this.setParams(params);
+    }
+
+    setParams(params) {
+        const { bloom, afterimage, chromatic, vignette, grain, dof } = this.passes;
+
+        if (params.bloomStrength !== undefined) bloom.strength = params.bloomStrength;
+        if (params.bloomRadius !== undefined) bloom.radius = params.bloomRadius;
+        if (params.bloomThreshold !== undefined) bloom.threshold = params.bloomThreshold;
+        if (params.dofRange !== undefined) dof.uniforms.uRange.value = Math.max(params.dofRange, 1);
+        if (params.dofBlur !== undefined) dof.uniforms.uMaxBlur.value = params.dofBlur;
+        if (params.afterimageDamp !== undefined) afterimage.uniforms.damp.value = params.afterimageDamp;
+        if (params.chromaticAmount !== undefined) chromatic.uniforms.amount.value = params.chromaticAmount;
+        if (params.vignetteAmount !== undefined) vignette.uniforms.amount.value = params.vignetteAmount;
+        if (params.grainIntensity !== undefined) grain.uniforms.noiseIntensity.value = params.grainIntensity;
+    }
+
+    // Per frame: grain animates with simulation time, depth of field follows the camera
+    update(time, focusDistance) {
+        this.passes.grain.uniforms.time.value = time;
+        this.passes.dof.uniforms.uFocus.value = focusDistance;
+    }
+
+    setSize(width, height, pixelRatio = this.renderer.getPixelRatio()) {
+        this.composer.setPixelRatio(pixelRatio);
+        this.composer.setSize(width, height);
+    }
+
+    render() {
+        this.composer.render();
+    }
+
+    dispose() {
+        for (const pass of Object.values(this.passes)) pass.dispose();
+        this.renderPass.dispose();
+        this.composer.dispose();
+    }
+}
@@ -0,0 +1,203 @@
+// ============================================
+// Adaptive Quality (frame timing, tiers, stats)
+// ============================================
+
+// Cheapest first. particles is the share of the configured count that is drawn,
+// pixelRatio caps the device pixel ratio, effects caps the effect stack's quality.
+export const qualityTiers = [
+    { name: 'minimal', particles: 0.25, pixelRatio: 0.75, effects: 'low' },
+    { name: 'low', particles: 0.5, pixelRatio: 1, effects: 'low' },
+    { name: 'medium', particles: 0.75, pixelRatio: 1.5, effects: 'medium' },
+    { name: 'high', particles: 1, pixelRatio: 2, effects: 'high' },
+    { name: 'ultra', particles: 1, pixelRatio: 3, effects: 'high' },
+];
+
+export const qualityTierNames = qualityTiers.map((tier) => tier.name);
+
+// The 'high' tier is what the simulation always ran at before
+const START_TIER = qualityTierNames.indexOf('high');
+
+const SAMPLE_COUNT = 120;
+const MAX_FRAME_GAP = 250; // ms, longer gaps are hidden tabs or stalls, not slow frames
+const EVALUATION_INTERVAL = 2000; // ms
+const UPGRADE_DELAY = 8000; // ms of holding the target before trying a better tier
+const RETRY_DELAY = 60000; // ms before retrying a tier that could not hold the target
+
+// Rolling window of frame durations
+export class FrameTimer {
+    constructor(sampleCount = SAMPLE_COUNT) {
+        this.samples = new Float32Array(sampleCount);
+        this.index = 0;
+        this.filled = 0;
+        this.lastTime = null;
+    }
+
+    // Called once per frame with performance.now()
+    tick(now) {
+        if (this.lastTime !== null) {
+            const duration = now - this.lastTime;
+            if (duration > 0 && duration < MAX_FRAME_GAP) {
+                this.samples[this.index] = duration;
+                this.index = (this.index + 1) % this.samples.length;
+                this.filled = Math.min(this.filled + 1, this.samples.length);
+            }
+        }
+        this.lastTime = now;
+    }
+
+    get frameTime() {
+        if (this.filled === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < this.filled; i++) sum += this.samples[i];
+        return sum / this.filled;
+    }
+
+    get fps() {
+        const frameTime = this.frameTime;
+        return frameTime > 0 ? 1000 / frameTime : 0;
+    }
+
+    reset() {
+        this.index = 0;
+        this.filled = 0;
+        this.lastTime = null;
+    }
+}
+
+// Steps down a tier when the frame rate falls clearly below the target, and tries
+// the next tier up after holding the target for a while. Displays cap the frame
+// rate at their refresh, so headroom cannot be measured; a tier that fails is not
+// retried for a minute instead. A step down that gains no frames means the display
+// is the limit: its rate becomes the cap of the target and the tier comes back.
+// CPU-bound stretches look the same, so the cap is dropped again when the frame
+// rate rises above it, after the retry delay and on pin().
+export class QualityGovernor {
+    constructor({ targetFps = 60, onChange = null } = {}) {
+        this.targetFps = targetFps;
+        this.onChange = onChange; // Called with (tier, fps) whenever the tier changes
+        this.timer = new FrameTimer();
+        this.tierIndex = START_TIER;
+        this.pinned = null;
+        this.isHeld = false; // Set while recordings, replays and exports need a steady tier
+        this.lastEvaluation = 0;
+        this.lastChange = 0;
+        this.failedAt = new Map();
+        this.refreshRate = Infinity; // Measured once a step down gains nothing
+        this.refreshRateAt = 0;
+        this.stepDown = null; // { index, fps } of the last step down, until its frames are in
+    }
+
+    get effectiveTargetFps() {
+        return Math.min(this.targetFps, this.refreshRate);
+    }
+
+    get tier() {
+        return qualityTiers[this.tierIndex];
+    }
+
+    get fps() {
+        return this.timer.fps;
+    }
+
+    get isAuto() {
+        return this.pinned === null;
+    }
+
+    // name is a tier name or 'auto'
+    pin(name) {
+        const index = qualityTierNames.indexOf(name);
+        this.pinned = index === -1 ? null : index;
+        this.stepDown = null;
+        this.refreshRate = Infinity;
+        if (this.pinned !== null) this.setTier(this.pinned);
+    }
+
+    sample(now) {
+        this.timer.tick(now);
+        if (now - this.lastEvaluation < EVALUATION_INTERVAL) return;
+        this.lastEvaluation = now;
+
+        // A full window since the last change, so the new tier is judged on its own frames
+        if (!this.isAuto || this.isHeld || this.timer.filled < this.timer.samples.length) return;
+
+        const fps = this.timer.fps;
+        if (fps > this.refreshRate * 1.05 || now - this.refreshRateAt > RETRY_DELAY) {
+            this.refreshRate = Infinity;
+        }
+
+        const index = this.tierIndex;
+        const stepDown = this.stepDown;
+        this.stepDown = null;
+        if (stepDown && fps < stepDown.fps * 1.05) {
+            this.refreshRate = Math.max(fps, stepDown.fps);
+            this.refreshRateAt = now;
+            this.failedAt.delete(stepDown.index);
+            this.setTier(stepDown.index, now);
+            return;
+        }
+
+        const target = this.effectiveTargetFps;
+        if (fps < target * 0.85 && index > 0) {
+            this.failedAt.set(index, now);
+            this.stepDown = { index, fps };
+            this.setTier(index - 1, now);
+        } else if (fps >= target * 0.95 && index < qualityTiers.length - 1
+            && now - this.lastChange > UPGRADE_DELAY
+            && now - (this.failedAt.get(index + 1) ?? -Infinity) > RETRY_DELAY) {
+            this.setTier(index + 1, now);
+        }
+    }
+
+    setTier(index, now = performance.now()) {
+        if (index === this.tierIndex) return;
+
+        const fps = this.timer.fps;
+        this.tierIndex = index;
+        this.lastChange = now;
+        this.timer.reset();
+        if (this.onChange) this.onChange(this.tier, fps);
+    }
+}
+
+// ============================================
+// Stats Overlay
+// ============================================
+
+const OVERLAY_INTERVAL = 250; // ms between text updates
+
+export class StatsOverlay {
+    constructor(container = document.body) {
+        this.element = document.createElement('div');
+        this.element.className = 'stats-overlay';
+        this.element.setAttribute('data-ui', '');
+        this.element.hidden = true;
+        container.appendChild(this.element);
+        this.lastUpdate = 0;
+    }
+
+    get visible() {
+        return !this.element.hidden;
+    }
+
+    set visible(value) {
+        this.element.hidden = !value;
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+
+    // lines: [label, value] pairs
+    update(now, lines) {
+        if (!this.visible || now - this.lastUpdate < OVERLAY_INTERVAL) return;
+        this.lastUpdate = now;
+
+        this.element.replaceChildren(...lines.map(([label, value]) => {
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            name.textContent = label;
+            row.append(name, ` ${value}`);
+            return row;
+        }));
+    }
+}
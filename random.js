@@ -0,0 +1,34 @@
+// ============================================
+// Seeded PRNG (Mulberry32)
+// ============================================
+
+// Returns a function behaving like Math.random(), driven by a 32-bit seed
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return random;
+}
+
+// Seeds may be numbers or strings (e.g. from the URL)
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    // FNV-1a
+    const text = String(seed);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
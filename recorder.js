@@ -0,0 +1,213 @@
+// ============================================
+// Session Recording & Replay
+// ============================================
+
+import { sanitizeConfig } from './settingsPanel.js';
+import { download } from './exporter.js';
+
+const SESSION_VERSION = 1;
+
+// Recordings and replays step the simulation on this fixed timestep
+export const FIXED_TIMESTEP = 1 / 60;
+
+export class SessionRecorder {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.isRecording = false;
+        this.session = null;
+    }
+
+    start() {
+        const sim = this.simulation;
+
+        // Replays start from a freshly seeded simulation, so the recording has to as well
+        sim.resetSimulation();
+        sim.fixedTimestep = FIXED_TIMESTEP;
+
+        this.session = {
+            version: SESSION_VERSION,
+            recordedAt: new Date().toISOString(),
+            fixedTimestep: FIXED_TIMESTEP,
+            // Reduced motion changes the physics, so 'auto' is stored as what the system said
+            config: { ...sim.config, reducedMotion: sim.isReducedMotion ? 'on' : 'off' },
+            forceFields: structuredClone(sim.forceFields),
+            viewport: { width: sim.width, height: sim.height },
+            events: [],
+            frameCount: 0,
+        };
+
+        this.isRecording = true;
+        console.log('Recording started');
+    }
+
+    stop() {
+        if (!this.isRecording) return null;
+
+        this.isRecording = false;
+        this.session.frameCount = this.simulation.simFrame;
+        this.simulation.fixedTimestep = null;
+
+        console.log(`Recording stopped (${this.session.events.length} events, ${this.session.frameCount} frames)`);
+        return this.session;
+    }
+
+    // Events are stamped with the frame they will be applied before
+    record(type, data = {}) {
+        if (!this.isRecording) return;
+
+        this.session.events.push({
+            frame: this.simulation.simFrame,
+            type,
+            ...data,
+        });
+    }
+
+    export(session = this.session) {
+        if (!session) return;
+
+        const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+        download(blob, `session-${session.recordedAt.replace(/[:.]/g, '-')}.json`);
+    }
+}
+
+export class SessionPlayer {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.isPlaying = false;
+        this.session = null;
+        this.eventIndex = 0;
+        this.previousConfig = null;
+    }
+
+    static parse(text) {
+        const session = JSON.parse(text);
+        if (session.version !== SESSION_VERSION || !Array.isArray(session.events)) {
+            throw new Error('Unsupported session file');
+        }
+        return session;
+    }
+
+    start(session) {
+        const sim = this.simulation;
+
+        this.session = session;
+        this.eventIndex = 0;
+        this.previousConfig = { ...sim.config };
+
+        // Keys missing from older sessions start from their defaults
+        Object.assign(sim.config, sim.defaults, sanitizeConfig(session.config, sim.defaults));
+        sim.resetSimulation();
+        sim.setForceFields(session.forceFields || []);
+        sim.fixedTimestep = session.fixedTimestep;
+        sim.resize(session.viewport.width, session.viewport.height);
+
+        this.isPlaying = true;
+        sim.isReplaying = true;
+        console.log(`Replaying session from ${session.recordedAt}`);
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+
+        const sim = this.simulation;
+        this.isPlaying = false;
+        sim.isReplaying = false;
+        sim.fixedTimestep = null;
+        sim.releasePointers();
+        sim.resize(sim.width, sim.height);
+
+        // The visitor's own settings come back once the replay is over
+        sim.setConfig(this.previousConfig);
+        this.previousConfig = null;
+        console.log('Replay finished');
+    }
+
+    // Apply every event stamped with the given frame, called before the physics step
+    step(frame) {
+        if (!this.isPlaying) return;
+
+        const events = this.session.events;
+        while (this.eventIndex < events.length && events[this.eventIndex].frame <= frame) {
+            this.apply(events[this.eventIndex]);
+            this.eventIndex++;
+        }
+
+        if (frame >= this.session.frameCount) {
+            this.stop();
+        }
+    }
+
+    apply(event) {
+        const sim = this.simulation;
+
+        switch (event.type) {
+            case 'pointer':
+                sim.setPointer(event.x, event.y, event.world, event.id);
+                break;
+            case 'pointerDown':
+                sim.setPointerDown(event.id, event.down);
+                break;
+            case 'pointerRemove':
+                sim.removePointer(event.id);
+                break;
+            case 'mouseDown':
+                // Sessions recorded before multi-touch
+                sim.setMouseDown(event.down);
+                break;
+            case 'zoom':
+                sim.zoomCamera(event.factor);
+                break;
+            case 'twist':
+                sim.twistCloud(event.angle);
+                break;
+            case 'fieldAdd':
+                sim.addForceField(event.field);
+                break;
+            case 'fieldUpdate':
+                sim.updateForceField(event.id, event.changes);
+                break;
+            case 'fieldRemove':
+                sim.removeForceField(event.id);
+                break;
+            case 'fields':
+                sim.setForceFields(event.fields);
+                break;
+            case 'camera':
+                sim.setCameraState(event.state);
+                break;
+            case 'autoOrbit':
+                if ((sim.cameraRig.mode === 'orbit') !== event.on) sim.toggleAutoOrbit();
+                break;
+            case 'cameraPath':
+                if (event.keyframes) sim.toggleCameraPath(event.keyframes);
+                else if (sim.cameraRig.mode === 'path') sim.toggleCameraPath();
+                break;
+            case 'shape':
+                sim.setShape(event.name);
+                break;
+            case 'text':
+                sim.registerTextShape(event.text, event.options);
+                break;
+            case 'invert':
+                sim.toggleInvert();
+                break;
+            case 'freeze':
+                sim.toggleFreeze();
+                break;
+            case 'mute':
+                sim.toggleMute();
+                break;
+            case 'resize':
+                sim.resize(event.width, event.height);
+                break;
+            case 'config':
+                sim.setConfig(event.changes);
+                break;
+            case 'audio':
+                sim.setAudioLevels(event.bass, event.mids, event.highs);
+                break;
+            default:
+                console.warn(`Unknown session event: ${event.type}`);
+        }
+    }
+}
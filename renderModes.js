@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+import { SpatialGrid } from './spatialGrid.js';
+
+// ============================================
+// Render Modes (how the particles are drawn, the simulation is the same)
+// ============================================
+
+// 'points' are the soft dots, 'trails' add fading strips of each particle's last
+// positions, 'constellation' links nearby particles and 'sprites' draws an image
+// per particle, turned along its velocity.
+export const renderModes = ['points', 'trails', 'constellation', 'sprites'];
+
+// Candidates looked at per particle when linking, caps the cost in dense regions
+const MAX_CANDIDATES = 128;
+
+const lineVertexShader = `
+    attribute float shade;
+    attribute float alpha;
+
+    uniform sampler2D uGradient;
+    uniform sampler2D uPreviousGradient;
+    uniform float uPaletteBlend;
+    uniform float uFocalDistance;
+    uniform float uDepthFade;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        float depthFade = 1.0 - smoothstep(uFocalDistance - uDepthFade, uFocalDistance + uDepthFade, -mvPosition.z);
+
+        vec2 gradientUv = vec2(shade, 0.5);
+        vColor = mix(texture2D(uPreviousGradient, gradientUv).rgb, texture2D(uGradient, gradientUv).rgb, uPaletteBlend);
+        vAlpha = alpha * depthFade;
+
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const lineFragmentShader = `
+    uniform float uLineOpacity;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        gl_FragColor = vec4(vColor, vAlpha * uLineOpacity);
+    }
+`;
+
+// Lines coloured from the points' palette gradient, so palette fades and the inverted
+// look carry over. uniforms are the points material's, shared by reference.
+function createLineMaterial(uniforms, opacity) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uGradient: uniforms.uGradient,
+            uPreviousGradient: uniforms.uPreviousGradient,
+            uPaletteBlend: uniforms.uPaletteBlend,
+            uFocalDistance: uniforms.uFocalDistance,
+            uDepthFade: uniforms.uDepthFade,
+            uLineOpacity: { value: opacity },
+        },
+        vertexShader: lineVertexShader,
+        fragmentShader: lineFragmentShader,
+        transparent: true,
+        blending: THREE.NormalBlending,
+        depthWrite: false,
+    });
+}
+
+function createLineSegments(vertexCount, material) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geometry.setAttribute('shade', new THREE.BufferAttribute(new Float32Array(vertexCount), 1));
+    geometry.setAttribute('alpha', new THREE.BufferAttribute(new Float32Array(vertexCount), 1));
+    geometry.setDrawRange(0, 0);
+
+    const lines = new THREE.LineSegments(geometry, material);
+    // Filled in the particles' local space every frame, there is no useful bounding sphere
+    lines.frustumCulled = false;
+    return lines;
+}
+
+// ============================================
+// Motion Trails
+// ============================================
+
+// A ring buffer of the last `length` positions of up to maxParticles particles,
+// drawn as length - 1 segments each that fade out with age
+export class TrailLines {
+    constructor(uniforms, shades, maxParticles, length) {
+        this.maxParticles = maxParticles;
+        this.length = Math.max(2, Math.round(length));
+        this.history = new Float32Array(maxParticles * this.length * 3);
+        this.head = 0;
+        this.filled = 0; // Particles with a valid history, the rest start over
+
+        const segments = this.length - 1;
+        this.object = createLineSegments(maxParticles * segments * 2, createLineMaterial(uniforms, 0.6));
+
+        // Colour and fade never change, the segments are written oldest last every frame
+        const attributes = this.object.geometry.attributes;
+        for (let i = 0; i < maxParticles; i++) {
+            for (let s = 0; s < segments; s++) {
+                const vertex = (i * segments + s) * 2;
+                attributes.shade.array[vertex] = shades[i];
+                attributes.shade.array[vertex + 1] = shades[i];
+                attributes.alpha.array[vertex] = 1 - s / segments;
+                attributes.alpha.array[vertex + 1] = 1 - (s + 1) / segments;
+            }
+        }
+    }
+
+    // positions as x, y, z at every stride-th float
+    update(positions, stride, count) {
+        const n = Math.min(count, this.maxParticles);
+        const { history, length } = this;
+        this.head = (this.head + 1) % length;
+
+        for (let i = 0; i < n; i++) {
+            const p = i * stride;
+            const base = i * length * 3;
+            if (i >= this.filled) {
+                // New to the trail: the whole history starts where the particle is
+                for (let k = 0; k < length; k++) {
+                    history[base + k * 3] = positions[p];
+                    history[base + k * 3 + 1] = positions[p + 1];
+                    history[base + k * 3 + 2] = positions[p + 2];
+                }
+            } else {
+                const h = base + this.head * 3;
+                history[h] = positions[p];
+                history[h + 1] = positions[p + 1];
+                history[h + 2] = positions[p + 2];
+            }
+        }
+        this.filled = n;
+
+        const output = this.object.geometry.attributes.position.array;
+        let o = 0;
+        for (let i = 0; i < n; i++) {
+            const base = i * length * 3;
+            for (let s = 0; s < length - 1; s++) {
+                const newer = base + ((this.head - s + length) % length) * 3;
+                const older = base + ((this.head - s - 1 + length) % length) * 3;
+                output[o++] = history[newer];
+                output[o++] = history[newer + 1];
+                output[o++] = history[newer + 2];
+                output[o++] = history[older];
+                output[o++] = history[older + 1];
+                output[o++] = history[older + 2];
+            }
+        }
+
+        this.object.geometry.attributes.position.needsUpdate = true;
+        this.object.geometry.setDrawRange(0, n * (length - 1) * 2);
+    }
+
+    dispose() {
+        this.object.geometry.dispose();
+        this.object.material.dispose();
+    }
+}
+
+// ============================================
+// Constellation
+// ============================================
+
+// Links each of up to maxParticles particles to at most maxLinks others closer than
+// linkDistance. Links fade out towards that distance, so they appear and vanish smoothly.
+export class ConstellationLines {
+    constructor(uniforms, shades, maxParticles) {
+        this.maxParticles = maxParticles;
+        this.maxSegments = maxParticles * 2;
+        this.shades = shades;
+        this.grid = new SpatialGrid(1, maxParticles);
+        this.candidates = new Int32Array(MAX_CANDIDATES);
+        this.links = new Uint8Array(maxParticles);
+        this.object = createLineSegments(this.maxSegments * 2, createLineMaterial(uniforms, 0.5));
+    }
+
+    update(positions, stride, count, { linkDistance, maxLinks }) {
+        const n = Math.min(count, this.maxParticles);
+        const { grid, candidates, links, shades } = this;
+        const attributes = this.object.geometry.attributes;
+        const output = attributes.position.array;
+        const outputShades = attributes.shade.array;
+        const outputAlphas = attributes.alpha.array;
+        const maxDistanceSq = linkDistance * linkDistance;
+
+        grid.cellSize = linkDistance;
+        grid.build(positions, n, stride);
+        links.fill(0);
+
+        let segments = 0;
+        for (let i = 0; i < n && segments < this.maxSegments; i++) {
+            if (links[i] >= maxLinks) continue;
+            const x = positions[i * stride];
+            const y = positions[i * stride + 1];
+            const z = positions[i * stride + 2];
+            const found = grid.query(x, y, z, candidates);
+
+            for (let k = 0; k < found && links[i] < maxLinks && segments < this.maxSegments; k++) {
+                const j = candidates[k];
+                // Each pair once
+                if (j <= i || links[j] >= maxLinks) continue;
+                const dx = positions[j * stride] - x;
+                const dy = positions[j * stride + 1] - y;
+                const dz = positions[j * stride + 2] - z;
+                const distanceSq = dx * dx + dy * dy + dz * dz;
+                if (distanceSq >= maxDistanceSq) continue;
+
+                const alpha = 1 - Math.sqrt(distanceSq) / linkDistance;
+                const vertex = segments * 2;
+                output[vertex * 3] = x;
+                output[vertex * 3 + 1] = y;
+                output[vertex * 3 + 2] = z;
+                output[vertex * 3 + 3] = x + dx;
+                output[vertex * 3 + 4] = y + dy;
+                output[vertex * 3 + 5] = z + dz;
+                outputShades[vertex] = shades[i];
+                outputShades[vertex + 1] = shades[j];
+                outputAlphas[vertex] = alpha;
+                outputAlphas[vertex + 1] = alpha;
+
+                links[i]++;
+                links[j]++;
+                segments++;
+            }
+        }
+
+        attributes.position.needsUpdate = true;
+        attributes.shade.needsUpdate = true;
+        attributes.alpha.needsUpdate = true;
+        this.object.geometry.setDrawRange(0, segments * 2);
+    }
+
+    dispose() {
+        this.object.geometry.dispose();
+        this.object.material.dispose();
+    }
+}
+
+// ============================================
+// Sprite Atlases
+// ============================================
+
+// Four white frames in a 2 x 2 grid, each pointing right (+x) like the velocity
+// they get turned along: a comet, a chevron, a four-point star and a ring
+export function createDefaultSpriteAtlas() {
+    const frame = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = frame * 2;
+    canvas.height = frame * 2;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#fff';
+
+    const draw = (column, row, paint) => {
+        ctx.save();
+        ctx.translate(column * frame + frame / 2, row * frame + frame / 2);
+        paint(frame / 2);
+        ctx.restore();
+    };
+
+    draw(0, 0, (r) => {
+        const glow = ctx.createRadialGradient(r * 0.4, 0, 0, r * 0.4, 0, r * 0.5);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.beginPath();
+        ctx.moveTo(-r * 0.95, 0);
+        ctx.lineTo(r * 0.4, -r * 0.3);
+        ctx.lineTo(r * 0.4, r * 0.3);
+        ctx.closePath();
+        ctx.globalAlpha = 0.5;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = glow;
+        ctx.fillRect(-r, -r, r * 2, r * 2);
+    });
+    draw(1, 0, (r) => {
+        ctx.lineWidth = r * 0.22;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(-r * 0.35, -r * 0.6);
+        ctx.lineTo(r * 0.45, 0);
+        ctx.lineTo(-r * 0.35, r * 0.6);
+        ctx.stroke();
+    });
+    draw(0, 1, (r) => {
+        ctx.beginPath();
+        for (let k = 0; k < 8; k++) {
+            const radius = k % 2 === 0 ? r * 0.9 : r * 0.2;
+            const angle = (k / 8) * Math.PI * 2;
+            ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+        }
+        ctx.closePath();
+        ctx.fill();
+    });
+    draw(1, 1, (r) => {
+        ctx.lineWidth = r * 0.18;
+        ctx.beginPath();
+        ctx.arc(0, 0, r * 0.6, 0, Math.PI * 2);
+        ctx.stroke();
+    });
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+// Image URLs, images, canvases and textures all become a texture. Colours are used
+// as stored, like the palette gradients: a white atlas takes the palette's colours.
+export function loadSpriteAtlas(source) {
+    if (source instanceof THREE.Texture) return Promise.resolve(source);
+    if (typeof source === 'string') return new THREE.TextureLoader().loadAsync(source);
+
+    const texture = new THREE.Texture(source);
+    texture.needsUpdate = true;
+    return Promise.resolve(texture);
+}
@@ -0,0 +1,210 @@
+// ============================================
+// Sync Relay (WebSocket fan-out for sync.js, no dependencies)
+// ============================================
+//
+//   node server/relay.js [port]      (or npm run relay, PORT works too)
+//
+// Screens connect to ws://host:port/<room>. Every text message is passed on to the
+// other sockets in the same room unchanged; the relay knows nothing about the
+// simulation, leader election and snapshots happen between the screens.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1 << 20; // Snapshots with many force fields stay far below this
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// ============================================
+// Frames (RFC 6455)
+// ============================================
+
+// Servers send unmasked frames, clients must mask theirs (mask: 4 bytes)
+export function encodeFrame(opcode, payload = Buffer.alloc(0), mask = null) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const length = data.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+    header[0] = 0x80 | opcode; // FIN, never fragmented
+    header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+    if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+    if (!mask) return Buffer.concat([header, data]);
+
+    mask.copy(header, 2 + lengthBytes);
+    const masked = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) masked[i] = data[i] ^ mask[i % 4];
+    return Buffer.concat([header, masked]);
+}
+
+// Collects bytes from a socket and hands out whole messages: onMessage(opcode, payload).
+// Fragments are joined, so only complete text messages and control frames come out.
+export class FrameDecoder {
+    constructor(onMessage) {
+        this.onMessage = onMessage;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+    }
+
+    // Throws on frames the relay does not accept
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const isMasked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                const long = this.buffer.readBigUInt64BE(2);
+                if (long > BigInt(MAX_MESSAGE_SIZE)) throw new Error('Message too large');
+                length = Number(long);
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE_SIZE) throw new Error('Message too large');
+
+            const maskOffset = offset;
+            if (isMasked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (isMasked) {
+                for (let i = 0; i < length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode >= OPCODE_CLOSE) {
+                this.onMessage(opcode, payload);
+            } else {
+                this.collect(fin, opcode, payload);
+            }
+        }
+    }
+
+    collect(fin, opcode, payload) {
+        if (opcode !== OPCODE_CONTINUATION) {
+            this.fragmentOpcode = opcode;
+            this.fragments = [];
+        } else if (this.fragmentOpcode === null) {
+            throw new Error('Continuation without a message');
+        }
+
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+        if (size > MAX_MESSAGE_SIZE) throw new Error('Message too large');
+        if (!fin) return;
+
+        const message = Buffer.concat(this.fragments);
+        const messageOpcode = this.fragmentOpcode;
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.onMessage(messageOpcode, message);
+    }
+}
+
+// ============================================
+// Relay
+// ============================================
+
+// The room is the request path, null when it is not valid percent-encoding
+function readRoom(url) {
+    try {
+        return decodeURIComponent(new URL(url, 'http://relay').pathname.slice(1)) || 'default';
+    } catch {
+        return null;
+    }
+}
+
+export function createRelay({ log = console.log } = {}) {
+    const rooms = new Map(); // name -> Set of sockets
+
+    const leave = (room, socket) => {
+        const members = rooms.get(room);
+        if (!members || !members.delete(socket)) return;
+        if (members.size === 0) rooms.delete(room);
+        log(`${room}: ${members.size} connected`);
+    };
+
+    const server = createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+        res.end('Particle sync relay, connect with a WebSocket to /<room>\n');
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        const key = req.headers['sec-websocket-key'];
+        const room = readRoom(req.url);
+        if (!key || room === null || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', '',
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        const members = rooms.get(room);
+        members.add(socket);
+        log(`${room}: ${members.size} connected`);
+
+        const decoder = new FrameDecoder((opcode, payload) => {
+            if (opcode === OPCODE_TEXT) {
+                const frame = encodeFrame(OPCODE_TEXT, payload);
+                for (const other of members) {
+                    if (other !== socket && other.writable) other.write(frame);
+                }
+            } else if (opcode === OPCODE_PING) {
+                socket.write(encodeFrame(OPCODE_PONG, payload));
+            } else if (opcode === OPCODE_CLOSE) {
+                socket.end(encodeFrame(OPCODE_CLOSE, payload.subarray(0, 2)));
+            }
+        });
+
+        const receive = (chunk) => {
+            try {
+                decoder.push(chunk);
+            } catch (error) {
+                log(`${room}: dropped a client (${error.message})`);
+                socket.destroy();
+            }
+        };
+
+        // Frames sent right behind the handshake arrive with it, not as data
+        if (head.length > 0) receive(head);
+        socket.on('data', receive);
+        socket.on('close', () => leave(room, socket));
+        socket.on('error', () => socket.destroy());
+    });
+
+    return server;
+}
+
+// Run directly: node server/relay.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.argv[2] || process.env.PORT) || DEFAULT_PORT;
+    createRelay().listen(port, () => {
+        console.log(`Sync relay on ws://localhost:${port}/<room>`);
+    });
+}
@@ -0,0 +1,550 @@
+// ============================================
+// Settings Panel & URL Hash State
+// ============================================
+
+import { easings, transitionOrders } from './transitions.js';
+import { colorModes, toHexColor } from './palettes.js';
+import { audioTargets } from './audioReactive.js';
+import { noteNames, scaleNames } from './music.js';
+import { fieldAnimations, fieldTypeNames } from './forceFields.js';
+import { effectNames, qualityNames } from './postProcessing.js';
+import { qualityTierNames } from './quality.js';
+import { preferenceModes } from './accessibility.js';
+import { renderModes } from './renderModes.js';
+import { behaviors } from './simulationCore.js';
+import { DEFAULT_CAMERA_DISTANCE } from './cameraRig.js';
+
+// Every editable config key. `rebuild` keys recreate the particle or line buffers,
+// `gpu` / `cpu` rows only show for the active physics backend. Select options
+// given as a function are called with the simulation on every refresh.
+export const settingsSchema = [
+    {
+        group: 'Particles',
+        items: [
+            { key: 'particleCount', label: 'Count', type: 'range', min: 1000, max: 300000, step: 1000, cpu: true, rebuild: true },
+            { key: 'gpuParticleCount', label: 'Count', type: 'range', min: 10000, max: 1000000, step: 10000, gpu: true, rebuild: true },
+            { key: 'particleSize', label: 'Size', type: 'range', min: 0.5, max: 8, step: 0.1 },
+            { key: 'seed', label: 'Seed', type: 'number', min: 0, max: 4294967295, step: 1, rebuild: true },
+        ],
+    },
+    {
+        group: 'Forces',
+        items: [
+            { key: 'mouseRadius', label: 'Cursor radius', type: 'range', min: 10, max: 400, step: 1 },
+            { key: 'mouseForce', label: 'Cursor force', type: 'range', min: 0, max: 5, step: 0.05 },
+            { key: 'returnSpeed', label: 'Return speed', type: 'range', min: 0, max: 0.01, step: 0.0001 },
+            { key: 'windStrength', label: 'Wind', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'windTurbulence', label: 'Turbulence', type: 'range', min: 0, max: 2, step: 0.01 },
+            { key: 'noiseAmount', label: 'Noise', type: 'range', min: 0, max: 2, step: 0.01 },
+            { key: 'damping', label: 'Damping', type: 'range', min: 0.8, max: 0.999, step: 0.001 },
+            { key: 'rotationSpeed', label: 'Rotation', type: 'range', min: -0.02, max: 0.02, step: 0.0005 },
+        ],
+    },
+    {
+        // Neighbour behaviours run on the CPU physics
+        group: 'Behaviour',
+        items: [
+            { key: 'behavior', label: 'Neighbours', type: 'select', options: behaviors },
+            { key: 'neighborRadius', label: 'Radius', type: 'range', min: 2, max: 40, step: 0.5 },
+            { key: 'separation', label: 'Separation', type: 'range', min: 0, max: 4, step: 0.05 },
+            { key: 'alignment', label: 'Alignment', type: 'range', min: 0, max: 4, step: 0.05 },
+            { key: 'cohesion', label: 'Cohesion', type: 'range', min: 0, max: 4, step: 0.05 },
+            { key: 'fluidStiffness', label: 'Stiffness', type: 'range', min: 0, max: 4, step: 0.05 },
+            { key: 'fluidRestDensity', label: 'Rest density', type: 'range', min: 0, max: 20, step: 0.1 },
+            { key: 'fluidViscosity', label: 'Viscosity', type: 'range', min: 0, max: 1, step: 0.01 },
+        ],
+    },
+    {
+        // What Alt-click places, fields keep their own values once placed
+        group: 'New force field',
+        items: [
+            { key: 'fieldType', label: 'Type', type: 'select', options: fieldTypeNames },
+            { key: 'fieldRadius', label: 'Radius', type: 'range', min: 20, max: 600, step: 1 },
+            { key: 'fieldStrength', label: 'Strength', type: 'range', min: 0, max: 4, step: 0.05 },
+            { key: 'fieldFalloff', label: 'Falloff', type: 'range', min: 0, max: 4, step: 0.1 },
+            { key: 'fieldAnimation', label: 'Animation', type: 'select', options: fieldAnimations },
+        ],
+    },
+    {
+        group: 'Morph',
+        items: [
+            { key: 'morphDuration', label: 'Duration', type: 'range', min: 0, max: 8, step: 0.1 },
+            { key: 'morphEasing', label: 'Easing', type: 'select', options: Object.keys(easings) },
+            { key: 'morphOrder', label: 'Order', type: 'select', options: transitionOrders },
+            { key: 'morphStagger', label: 'Stagger', type: 'range', min: 0, max: 0.9, step: 0.01 },
+            { key: 'morphExplode', label: 'Explode', type: 'range', min: 0, max: 200, step: 1 },
+            { key: 'morphMatching', label: 'Match nearby', type: 'checkbox' },
+        ],
+    },
+    {
+        group: 'Colour',
+        items: [
+            { key: 'palette', label: 'Palette', type: 'select', options: (sim) => sim.palettes.names() },
+            { key: 'customPalette', label: 'Custom stops', type: 'text', placeholder: '#ff0055, #ffd000' },
+            { key: 'backgroundColor', label: 'Background', type: 'color' },
+            { key: 'colorMode', label: 'Colour by', type: 'select', options: colorModes },
+            { key: 'colorScale', label: 'Sensitivity', type: 'range', min: 0.1, max: 4, step: 0.05 },
+        ],
+    },
+    {
+        group: 'Audio',
+        items: [
+            { key: 'audioBass', label: 'Bass drives', type: 'select', options: audioTargets },
+            { key: 'audioMids', label: 'Mids drive', type: 'select', options: audioTargets },
+            { key: 'audioHighs', label: 'Highs drive', type: 'select', options: audioTargets },
+            { key: 'audioGain', label: 'Input gain', type: 'range', min: 0, max: 4, step: 0.05 },
+            { key: 'audioBeatShape', label: 'Beat → shape', type: 'checkbox' },
+        ],
+    },
+    {
+        group: 'Sound',
+        items: [
+            { key: 'musicalScale', label: 'Scale', type: 'select', options: ['auto', ...scaleNames] },
+            { key: 'musicalKey', label: 'Key', type: 'select', options: noteNames },
+            { key: 'pitchSource', label: 'Pitch from', type: 'select', options: ['height', 'distance'] },
+            { key: 'panning', label: 'Panning', type: 'select', options: ['stereo', 'hrtf'] },
+            { key: 'soundOutput', label: 'Notes to', type: 'select', options: ['internal', 'midi', 'both'] },
+            { key: 'midiChannel', label: 'Out channel', type: 'range', min: 1, max: 16, step: 1 },
+        ],
+    },
+    {
+        group: 'Camera',
+        items: [
+            { key: 'autoOrbitSpeed', label: 'Orbit speed', type: 'range', min: -1, max: 1, step: 0.01 },
+        ],
+    },
+    {
+        group: 'Look',
+        items: [
+            { key: 'focusOffset', label: 'Focus offset', type: 'range', min: -300, max: 300, step: 1 },
+            { key: 'depthFade', label: 'Depth fade', type: 'range', min: 10, max: 600, step: 1 },
+        ],
+    },
+    {
+        group: 'Render',
+        items: [
+            { key: 'renderMode', label: 'Mode', type: 'select', options: renderModes },
+            { key: 'lineParticles', label: 'Line particles', type: 'range', min: 500, max: 20000, step: 500, rebuild: true },
+            { key: 'trailLength', label: 'Trail length', type: 'range', min: 2, max: 40, step: 1, rebuild: true },
+            { key: 'linkDistance', label: 'Link distance', type: 'range', min: 5, max: 80, step: 1 },
+            { key: 'maxLinks', label: 'Links each', type: 'range', min: 1, max: 4, step: 1 },
+            { key: 'spriteAtlas', label: 'Sprite atlas', type: 'text', placeholder: 'Image URL, empty = built-in' },
+            { key: 'spriteColumns', label: 'Atlas columns', type: 'range', min: 1, max: 16, step: 1 },
+            { key: 'spriteRows', label: 'Atlas rows', type: 'range', min: 1, max: 16, step: 1 },
+            { key: 'spriteScale', label: 'Sprite size', type: 'range', min: 1, max: 8, step: 0.1 },
+        ],
+    },
+    {
+        group: 'Effects',
+        items: [
+            { key: 'effectQuality', label: 'Quality', type: 'select', options: qualityNames },
+            { key: 'effectOrder', label: 'Order', type: 'text', placeholder: effectNames.join(',') },
+            { key: 'effectDof', label: 'Depth of field', type: 'checkbox' },
+            { key: 'dofBlur', label: 'Max blur', type: 'range', min: 0, max: 16, step: 0.5 },
+            { key: 'dofRange', label: 'Blur range', type: 'range', min: 20, max: 600, step: 1 },
+            { key: 'effectAfterimage', label: 'Trails', type: 'checkbox' },
+            { key: 'afterimageDamp', label: 'Trail length', type: 'range', min: 0.5, max: 0.98, step: 0.01 },
+            { key: 'effectBloom', label: 'Bloom', type: 'checkbox' },
+            { key: 'bloomStrength', label: 'Strength', type: 'range', min: 0, max: 3, step: 0.05 },
+            { key: 'bloomRadius', label: 'Radius', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'bloomThreshold', label: 'Threshold', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'effectChromatic', label: 'Chromatic', type: 'checkbox' },
+            { key: 'chromaticAmount', label: 'Amount', type: 'range', min: 0, max: 0.03, step: 0.0005 },
+            { key: 'effectVignette', label: 'Vignette', type: 'checkbox' },
+            { key: 'vignetteAmount', label: 'Amount', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'effectGrain', label: 'Grain', type: 'checkbox' },
+            { key: 'grainIntensity', label: 'Amount', type: 'range', min: 0, max: 0.2, step: 0.005 },
+        ],
+    },
+    {
+        group: 'Performance',
+        items: [
+            { key: 'qualityTier', label: 'Tier', type: 'select', options: ['auto', ...qualityTierNames] },
+            { key: 'targetFps', label: 'Target fps', type: 'range', min: 24, max: 144, step: 1 },
+            { key: 'showStats', label: 'Stats overlay', type: 'checkbox' },
+        ],
+    },
+    {
+        group: 'Accessibility',
+        items: [
+            { key: 'reducedMotion', label: 'Reduced motion', type: 'select', options: preferenceModes },
+            { key: 'highContrast', label: 'High contrast', type: 'select', options: preferenceModes },
+            { key: 'keyboardCursorSpeed', label: 'Arrow key speed', type: 'range', min: 0.1, max: 2, step: 0.05 },
+            { key: 'showHelp', label: 'Shortcut help', type: 'checkbox' },
+        ],
+    },
+    {
+        group: 'Export',
+        items: [
+            { key: 'exportScale', label: 'Resolution ×', type: 'range', min: 1, max: 4, step: 0.5 },
+            { key: 'exportFrameRate', label: 'Frame rate', type: 'range', min: 10, max: 60, step: 1 },
+            { key: 'exportDuration', label: 'Seconds', type: 'range', min: 1, max: 120, step: 1 },
+        ],
+    },
+];
+
+// ============================================
+// URL Hash
+// ============================================
+
+// Renamed config keys, still read from old links, sessions and embeds. focalDistance
+// was measured from the camera, which always stood at the default distance.
+export function upgradeConfig(config) {
+    if (!config || !('focalDistance' in config)) return config;
+    const { focalDistance, ...rest } = config;
+    if ('focusOffset' in rest) return rest;
+    return { ...rest, focusOffset: Number(focalDistance) - DEFAULT_CAMERA_DISTANCE };
+}
+
+// Only values that differ from the defaults end up in the link
+export function serializeState(config, defaults, extra = {}) {
+    const params = new URLSearchParams();
+
+    for (const key of Object.keys(defaults)) {
+        if (config[key] === defaults[key]) continue;
+        const value = config[key];
+        if (value !== null && typeof value === 'object') continue;
+        params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+    }
+
+    for (const [key, value] of Object.entries(extra)) {
+        if (value !== undefined && value !== null) params.set(key, String(value));
+    }
+
+    return params.toString();
+}
+
+// Schema rows by key, hash values are checked against them
+const schemaItems = new Map(settingsSchema.flatMap((group) => group.items).map((item) => [item.key, item]));
+
+// Clamps a number to its schema range and checks a select value against its options.
+// Returns undefined for values that don't fit. Options that depend on the simulation aren't checked here.
+function checkValue(key, value) {
+    const item = schemaItems.get(key);
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return undefined;
+        return item && item.min !== undefined ? Math.min(Math.max(value, item.min), item.max) : value;
+    }
+    if (item && item.type === 'select' && Array.isArray(item.options) && !item.options.includes(value)) return undefined;
+    return value;
+}
+
+// Values are parsed with the type of their default, unknown keys are returned as strings.
+// Numbers outside their schema range are clamped, non-finite ones and unknown select options are dropped.
+export function parseState(hash, defaults) {
+    const params = upgradeConfig(Object.fromEntries(new URLSearchParams(hash.replace(/^#/, ''))));
+    const config = {};
+    const extra = {};
+
+    for (const [key, raw] of Object.entries(params)) {
+        if (!(key in defaults)) {
+            extra[key] = raw;
+            continue;
+        }
+
+        const type = typeof defaults[key];
+        let value;
+        if (type === 'number') {
+            value = Number(raw);
+        } else if (type === 'boolean') {
+            value = raw === '1' || raw === 'true';
+        } else if (type === 'string') {
+            value = raw;
+        }
+
+        value = checkValue(key, value);
+        if (value !== undefined) config[key] = value;
+    }
+
+    return { config, extra };
+}
+
+// Session files arrive typed. Unknown keys and values of the wrong type are dropped,
+// the rest are checked like hash values.
+export function sanitizeConfig(config, defaults) {
+    const sanitized = {};
+
+    for (const [key, raw] of Object.entries(upgradeConfig(config || {}))) {
+        if (!(key in defaults) || typeof raw !== typeof defaults[key]) continue;
+        const value = checkValue(key, raw);
+        if (value !== undefined) sanitized[key] = value;
+    }
+
+    return sanitized;
+}
+
+// ============================================
+// Panel
+// ============================================
+
+export class SettingsPanel {
+    constructor(simulation, container) {
+        this.simulation = simulation;
+        this.container = container;
+        this.inputs = new Map();
+        this.isOpen = false;
+        this.isLearning = false;
+
+        this.build();
+        this.refresh();
+    }
+
+    build() {
+        const root = this.container;
+        root.classList.add('settings-panel');
+        root.setAttribute('data-ui', '');
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'settings-toggle';
+        toggle.textContent = 'Settings';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.addEventListener('click', () => this.toggle());
+        root.appendChild(toggle);
+        this.toggleButton = toggle;
+
+        const body = document.createElement('div');
+        body.className = 'settings-body';
+        body.hidden = true;
+        root.appendChild(body);
+        this.body = body;
+
+        for (const section of settingsSchema) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = section.group;
+            fieldset.appendChild(legend);
+
+            for (const item of section.items) {
+                fieldset.appendChild(this.buildRow(item));
+            }
+            body.appendChild(fieldset);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-actions';
+
+        const copyLink = document.createElement('button');
+        copyLink.type = 'button';
+        copyLink.textContent = 'Copy link';
+        copyLink.addEventListener('click', () => this.copyLink());
+        // Only the address bar's instance has a link to share
+        copyLink.hidden = !this.simulation.useHash;
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', () => {
+            if (!this.simulation.isReplaying) this.simulation.resetConfig();
+        });
+
+        // MIDI learn: click a slider, then move a knob
+        const learn = document.createElement('button');
+        learn.type = 'button';
+        learn.textContent = 'MIDI learn';
+        learn.hidden = !this.simulation.midi.isSupported;
+        learn.addEventListener('click', () => this.toggleLearn());
+        this.learnButton = learn;
+        this.stopLearnListener = this.simulation.midi.onLearnChange(() => this.refreshLearn());
+
+        actions.append(copyLink, learn, reset);
+        body.appendChild(actions);
+
+        // Export: still at the chosen resolution, live video, offline frame sequence
+        const exports = document.createElement('div');
+        exports.className = 'settings-actions';
+        const exportButton = (label, action) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', action);
+            exports.appendChild(button);
+            return button;
+        };
+        const sim = this.simulation;
+        exportButton('Save PNG', () => sim.saveStill());
+        this.videoButton = exportButton('Record video', () => sim.toggleVideoRecording());
+        exportButton('Render frames', () => sim.renderFrameSequence());
+        body.appendChild(exports);
+    }
+
+    buildRow(item) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        row.dataset.key = item.key;
+
+        const name = document.createElement('span');
+        name.className = 'settings-label';
+        name.textContent = item.label;
+        row.appendChild(name);
+
+        let input;
+        if (item.type === 'select') {
+            input = document.createElement('select');
+            this.fillOptions(input, this.readOptions(item));
+        } else {
+            input = document.createElement('input');
+            input.type = item.type;
+            if (item.type === 'text') {
+                input.placeholder = item.placeholder || '';
+                input.spellcheck = false;
+            } else if (item.type === 'range' || item.type === 'number') {
+                input.min = item.min;
+                input.max = item.max;
+                input.step = item.step;
+            }
+        }
+        row.appendChild(input);
+
+        const output = document.createElement('output');
+        output.className = 'settings-value';
+        if (item.type === 'range') row.appendChild(output);
+
+        // Rebuilding the buffers is expensive, so those only apply on release
+        const eventName = item.rebuild || item.type !== 'range' ? 'change' : 'input';
+        input.addEventListener(eventName, () => {
+            // Replays own the config until they finish
+            if (this.simulation.isReplaying) {
+                this.refresh();
+                return;
+            }
+            this.simulation.setConfig({ [item.key]: this.readInput(item, input) });
+        });
+        if (item.rebuild && item.type === 'range') {
+            input.addEventListener('input', () => {
+                output.value = this.formatValue(this.readInput(item, input));
+            });
+        }
+
+        if (this.isLearnable(item)) {
+            const cc = document.createElement('span');
+            cc.className = 'settings-cc';
+            name.appendChild(cc);
+
+            row.addEventListener('click', (e) => {
+                if (!this.isLearning) return;
+                e.preventDefault();
+                this.simulation.midi.startLearn(item.key);
+            });
+        }
+
+        this.inputs.set(item.key, { item, input, output, row });
+        return row;
+    }
+
+    // Same rule as the CC mapping in midi.js
+    isLearnable(item) {
+        return item.type === 'range' && !item.rebuild;
+    }
+
+    async toggleLearn() {
+        const midi = this.simulation.midi;
+
+        if (this.isLearning) {
+            this.isLearning = false;
+            midi.cancelLearn();
+            return;
+        }
+
+        if (!(await midi.connect())) {
+            this.learnButton.textContent = 'MIDI unavailable';
+            this.learnButton.disabled = true;
+            return;
+        }
+
+        this.isLearning = true;
+        this.refreshLearn();
+    }
+
+    refreshLearn() {
+        const midi = this.simulation.midi;
+        this.container.classList.toggle('learning', this.isLearning);
+        this.learnButton.textContent = this.isLearning ? 'Done' : 'MIDI learn';
+
+        for (const { item, row } of this.inputs.values()) {
+            if (!this.isLearnable(item)) continue;
+
+            const cc = midi.ccForKey(item.key);
+            row.querySelector('.settings-cc').textContent = cc !== null ? `CC${cc}` : '';
+            row.classList.toggle('learn-target', this.isLearning && midi.learnKey === item.key);
+        }
+    }
+
+    readOptions(item) {
+        return typeof item.options === 'function' ? item.options(this.simulation) : item.options;
+    }
+
+    fillOptions(select, options) {
+        select.replaceChildren(...options.map((option) => {
+            const element = document.createElement('option');
+            element.value = option;
+            element.textContent = option;
+            return element;
+        }));
+    }
+
+    readInput(item, input) {
+        if (item.type === 'checkbox') return input.checked;
+        if (item.type === 'select' || item.type === 'text' || item.type === 'color') return input.value;
+        return Number(input.value);
+    }
+
+    formatValue(value) {
+        if (Number.isInteger(value)) return value.toLocaleString('en-US');
+        return String(Number(value.toPrecision(3)));
+    }
+
+    refreshExport() {
+        this.videoButton.textContent = this.simulation.exporter.isRecordingVideo ? 'Stop video' : 'Record video';
+    }
+
+    // Sync every control with the simulation's config
+    refresh() {
+        const { config, useGPU } = this.simulation;
+
+        for (const { item, input, output, row } of this.inputs.values()) {
+            row.hidden = (item.gpu && !useGPU) || (item.cpu && useGPU);
+
+            if (item.type === 'select' && typeof item.options === 'function') {
+                const options = this.readOptions(item);
+                if (options.join() !== Array.from(input.options, (option) => option.value).join()) {
+                    this.fillOptions(input, options);
+                }
+            }
+
+            const value = config[item.key];
+            if (item.type === 'checkbox') input.checked = Boolean(value);
+            else if (item.type === 'color') input.value = value || toHexColor(this.simulation.backgroundColor);
+            else input.value = value;
+
+            if (item.type === 'range') output.value = this.formatValue(value);
+        }
+
+        this.refreshLearn();
+        this.refreshExport();
+    }
+
+    toggle(force) {
+        this.isOpen = force !== undefined ? force : !this.isOpen;
+        this.body.hidden = !this.isOpen;
+        this.toggleButton.setAttribute('aria-expanded', String(this.isOpen));
+    }
+
+    // Empties the container for reuse, the simulation is being destroyed
+    destroy() {
+        this.stopLearnListener();
+        this.container.replaceChildren();
+        this.container.classList.remove('settings-panel', 'learning');
+        this.container.removeAttribute('data-ui');
+        this.inputs.clear();
+    }
+
+    async copyLink() {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            console.log('Link copied');
+        } catch (error) {
+            console.warn('Could not copy link:', error);
+        }
+    }
+}
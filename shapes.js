@@ -0,0 +1,474 @@
+import { createRandom, hashSeed } from './random.js';
+
+// ============================================
+// Shape Registry
+// ============================================
+
+// A generator fills target (count * 3 floats) with x, y, z positions.
+// Shapes are sized to roughly fit a 150 unit radius. Shapes registered with
+// { colors: true } also receive a colour target (count * 3 floats, rgb 0-1).
+const registry = new Map();
+
+function createEntry(name, generator, options) {
+    if (typeof generator !== 'function') {
+        throw new TypeError(`Shape "${name}" needs a generator function`);
+    }
+
+    return {
+        generator,
+        cycle: options.cycle !== false, // Part of the click-to-cycle order
+        colors: options.colors === true,
+        shared: options.shared !== false, // False for shapes other screens and replays cannot rebuild
+    };
+}
+
+export function registerShape(name, generator, options = {}) {
+    registry.set(name, createEntry(name, generator, options));
+}
+
+export function unregisterShape(name) {
+    registry.delete(name);
+}
+
+export function hasShape(name) {
+    return registry.has(name);
+}
+
+// Registration order doubles as the cycling order
+export function getShapeNames({ cycleOnly = false } = {}) {
+    const names = [];
+    for (const [name, entry] of registry) {
+        if (!cycleOnly || entry.cycle) names.push(name);
+    }
+    return names;
+}
+
+// ============================================
+// Shape Library (per simulation cache)
+// ============================================
+
+// Particle i gets the point at order[i], the indices in bit-reversed order. The first
+// particles of any count are spread over the whole shape, so quality tiers, which
+// draw and move only the first part, keep the outline of shapes written along a
+// path like lorenz.
+function spreadOrder(count) {
+    let bits = 0;
+    while ((1 << bits) < count) bits++;
+
+    const order = new Uint32Array(count);
+    for (let i = 0, k = 0; k < count; i++) {
+        let reversed = 0;
+        for (let b = 0; b < bits; b++) reversed |= ((i >> b) & 1) << (bits - 1 - b);
+        if (reversed < count) order[k++] = reversed;
+    }
+    return order;
+}
+
+function reorder(values, order) {
+    const result = new Float32Array(values.length);
+    for (let i = 0; i < order.length; i++) {
+        result[i * 3] = values[order[i] * 3];
+        result[i * 3 + 1] = values[order[i] * 3 + 1];
+        result[i * 3 + 2] = values[order[i] * 3 + 2];
+    }
+    return result;
+}
+
+// Shapes registered on a library (text, imported images and models) belong to its
+// simulation only and shadow global ones of the same name. A library built from a
+// previous one keeps them.
+export class ShapeLibrary {
+    constructor(particleCount, seed, previous = null) {
+        this.particleCount = particleCount;
+        this.seed = seed;
+        this.cache = new Map();
+        this.order = null;
+        this.local = previous ? new Map(previous.local) : new Map();
+    }
+
+    register(name, generator, options = {}) {
+        this.local.set(name, createEntry(name, generator, options));
+        this.cache.delete(name);
+    }
+
+    unregister(name) {
+        this.local.delete(name);
+        this.cache.delete(name);
+    }
+
+    has(name) {
+        return this.local.has(name) || registry.has(name);
+    }
+
+    isShared(name) {
+        const entry = this.local.get(name) || registry.get(name);
+        return Boolean(entry && entry.shared);
+    }
+
+    // Global shapes in registration order, then this library's own
+    names({ cycleOnly = false } = {}) {
+        const names = getShapeNames({ cycleOnly });
+        for (const [name, entry] of this.local) {
+            if ((!cycleOnly || entry.cycle) && !registry.has(name)) names.push(name);
+        }
+        return names;
+    }
+
+    // Generated on first use. Each shape draws from its own seeded stream, so
+    // the result does not depend on the order shapes are visited in.
+    get(name) {
+        return this.generate(name).positions;
+    }
+
+    // Per-particle colours, null for shapes without their own colouring
+    getColors(name) {
+        return this.generate(name).colors;
+    }
+
+    generate(name) {
+        if (this.cache.has(name)) return this.cache.get(name);
+
+        const entry = this.local.get(name) || registry.get(name);
+        if (!entry) throw new Error(`Unknown shape: ${name}`);
+
+        const positions = new Float32Array(this.particleCount * 3);
+        const colors = entry.colors ? new Float32Array(this.particleCount * 3) : null;
+        const random = createRandom(hashSeed(this.seed) ^ hashSeed(name));
+        entry.generator(positions, this.particleCount, random, colors);
+
+        if (!this.order) this.order = spreadOrder(this.particleCount);
+        const shape = {
+            positions: reorder(positions, this.order),
+            colors: colors && reorder(colors, this.order),
+        };
+        this.cache.set(name, shape);
+        return shape;
+    }
+
+    // Drop a cached shape, e.g. after re-registering it with new content
+    invalidate(name) {
+        this.cache.delete(name);
+    }
+
+    next(currentName) {
+        const order = this.names({ cycleOnly: true });
+        const currentIndex = order.indexOf(currentName);
+        return order[(currentIndex + 1) % order.length];
+    }
+}
+
+// ============================================
+// Built-in Shapes
+// ============================================
+
+const RADIUS = 150;
+const CUBE_SIZE = RADIUS * 1.5;
+const PYRAMID_HEIGHT = 180;
+const PYRAMID_BASE = 180;
+
+function gaussian(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function write(target, i, x, y, z) {
+    target[i * 3] = x;
+    target[i * 3 + 1] = y;
+    target[i * 3 + 2] = z;
+}
+
+// Fills target by calling sample(random) until it returns a point
+function fillByRejection(target, count, random, sample) {
+    const point = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        while (!sample(random, point)) { /* retry */ }
+        write(target, i, point[0], point[1], point[2]);
+    }
+}
+
+function randomDirection(random, out) {
+    const phi = Math.acos(2 * random() - 1);
+    const theta = random() * Math.PI * 2;
+    out[0] = Math.sin(phi) * Math.cos(theta);
+    out[1] = Math.sin(phi) * Math.sin(theta);
+    out[2] = Math.cos(phi);
+    return out;
+}
+
+// --- Solid ---
+
+registerShape('sphere', (target, count, random) => {
+    for (let i = 0; i < count; i++) {
+        const phi = Math.acos(2 * random() - 1);
+        const theta = random() * Math.PI * 2;
+        const r = RADIUS * Math.cbrt(random());
+        write(target, i,
+            r * Math.sin(phi) * Math.cos(theta),
+            r * Math.sin(phi) * Math.sin(theta),
+            r * Math.cos(phi)
+        );
+    }
+});
+
+registerShape('cube', (target, count, random) => {
+    for (let i = 0; i < count; i++) {
+        write(target, i,
+            (random() - 0.5) * CUBE_SIZE,
+            (random() - 0.5) * CUBE_SIZE,
+            (random() - 0.5) * CUBE_SIZE
+        );
+    }
+});
+
+function samplePyramid(random, point) {
+    // Linear height sampling for a more uniform feel, tip at top, base at bottom
+    const u = random();
+    point[1] = (0.5 - u) * PYRAMID_HEIGHT;
+    point[0] = (random() - 0.5) * PYRAMID_BASE * u;
+    point[2] = (random() - 0.5) * PYRAMID_BASE * u;
+    return point;
+}
+
+registerShape('pyramid', (target, count, random) => {
+    const point = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        samplePyramid(random, point);
+        write(target, i, point[0], point[1], point[2]);
+    }
+});
+
+// --- Hollow shells (solid with the core carved out) ---
+
+const SHELL_INNER = 0.8;
+
+registerShape('sphere-shell', (target, count, random) => {
+    const inner3 = SHELL_INNER * SHELL_INNER * SHELL_INNER;
+    const dir = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        randomDirection(random, dir);
+        const r = RADIUS * Math.cbrt(inner3 + random() * (1 - inner3));
+        write(target, i, dir[0] * r, dir[1] * r, dir[2] * r);
+    }
+});
+
+registerShape('cube-shell', (target, count, random) => {
+    const inner = (CUBE_SIZE / 2) * SHELL_INNER;
+    fillByRejection(target, count, random, (rand, point) => {
+        point[0] = (rand() - 0.5) * CUBE_SIZE;
+        point[1] = (rand() - 0.5) * CUBE_SIZE;
+        point[2] = (rand() - 0.5) * CUBE_SIZE;
+        return Math.abs(point[0]) > inner || Math.abs(point[1]) > inner || Math.abs(point[2]) > inner;
+    });
+});
+
+function insidePyramid(x, y, z, scale) {
+    const height = PYRAMID_HEIGHT * scale;
+    if (Math.abs(y) > height / 2) return false;
+    const halfWidth = (PYRAMID_BASE * scale / 2) * (0.5 - y / height);
+    return Math.abs(x) <= halfWidth && Math.abs(z) <= halfWidth;
+}
+
+registerShape('pyramid-shell', (target, count, random) => {
+    fillByRejection(target, count, random, (rand, point) => {
+        samplePyramid(rand, point);
+        return !insidePyramid(point[0], point[1], point[2], SHELL_INNER);
+    });
+});
+
+// --- Surface only ---
+
+registerShape('sphere-surface', (target, count, random) => {
+    const dir = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        randomDirection(random, dir);
+        write(target, i, dir[0] * RADIUS, dir[1] * RADIUS, dir[2] * RADIUS);
+    }
+});
+
+registerShape('cube-surface', (target, count, random) => {
+    const half = CUBE_SIZE / 2;
+    const point = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        const face = Math.floor(random() * 6);
+        const axis = face >> 1;
+        point[0] = (random() - 0.5) * CUBE_SIZE;
+        point[1] = (random() - 0.5) * CUBE_SIZE;
+        point[2] = (random() - 0.5) * CUBE_SIZE;
+        point[axis] = face & 1 ? half : -half;
+        write(target, i, point[0], point[1], point[2]);
+    }
+});
+
+registerShape('pyramid-surface', (target, count, random) => {
+    const half = PYRAMID_BASE / 2;
+    const slant = Math.sqrt(PYRAMID_HEIGHT * PYRAMID_HEIGHT + half * half);
+    const baseArea = PYRAMID_BASE * PYRAMID_BASE;
+    const sideArea = 2 * PYRAMID_BASE * slant;
+    const baseShare = baseArea / (baseArea + sideArea);
+
+    for (let i = 0; i < count; i++) {
+        if (random() < baseShare) {
+            write(target, i,
+                (random() - 0.5) * PYRAMID_BASE,
+                -PYRAMID_HEIGHT / 2,
+                (random() - 0.5) * PYRAMID_BASE
+            );
+            continue;
+        }
+
+        // Side faces widen linearly towards the base, so sample u with density ~ u
+        const u = Math.sqrt(random());
+        const y = (0.5 - u) * PYRAMID_HEIGHT;
+        const edge = half * u;
+        const along = (random() - 0.5) * 2 * edge;
+        const side = Math.floor(random() * 4);
+
+        if (side === 0) write(target, i, edge, y, along);
+        else if (side === 1) write(target, i, -edge, y, along);
+        else if (side === 2) write(target, i, along, y, edge);
+        else write(target, i, along, y, -edge);
+    }
+});
+
+// --- Parametric ---
+
+registerShape('torus', (target, count, random) => {
+    const majorRadius = 100;
+    const minorRadius = 40;
+
+    // Reject by circumference so the outer rim isn't underpopulated
+    fillByRejection(target, count, random, (rand, point) => {
+        const theta = rand() * Math.PI * 2;
+        const phi = rand() * Math.PI * 2;
+        const r = minorRadius * Math.sqrt(rand());
+        const ring = majorRadius + r * Math.cos(phi);
+        if (rand() * (majorRadius + minorRadius) > ring) return false;
+
+        point[0] = ring * Math.cos(theta);
+        point[1] = r * Math.sin(phi);
+        point[2] = ring * Math.sin(theta);
+        return true;
+    });
+});
+
+registerShape('torus-knot', (target, count, random) => {
+    const p = 2;
+    const q = 3;
+    const scale = 42;
+    const tube = 14;
+
+    for (let i = 0; i < count; i++) {
+        const t = random() * Math.PI * 2;
+        const r = Math.cos(q * t) + 2;
+        const x = r * Math.cos(p * t) * scale;
+        const y = r * Math.sin(p * t) * scale;
+        const z = -Math.sin(q * t) * scale;
+
+        write(target, i,
+            x + gaussian(random) * tube * 0.5,
+            y + gaussian(random) * tube * 0.5,
+            z + gaussian(random) * tube * 0.5
+        );
+    }
+});
+
+registerShape('helix', (target, count, random) => {
+    const radius = 60;
+    const height = 300;
+    const turns = 3;
+    const rungShare = 0.2;
+    const rungs = 30;
+
+    for (let i = 0; i < count; i++) {
+        if (random() < rungShare) {
+            // Base pairs connecting both strands
+            const rung = Math.floor(random() * rungs);
+            const t = (rung + 0.5) / rungs;
+            const angle = t * turns * Math.PI * 2;
+            const s = random() * 2 - 1;
+            write(target, i,
+                Math.cos(angle) * radius * s,
+                (t - 0.5) * height + gaussian(random),
+                Math.sin(angle) * radius * s
+            );
+            continue;
+        }
+
+        const t = random();
+        const strand = random() < 0.5 ? 0 : Math.PI;
+        const angle = t * turns * Math.PI * 2 + strand;
+        write(target, i,
+            Math.cos(angle) * radius + gaussian(random) * 3,
+            (t - 0.5) * height + gaussian(random) * 3,
+            Math.sin(angle) * radius + gaussian(random) * 3
+        );
+    }
+});
+
+registerShape('mobius', (target, count, random) => {
+    const radius = 100;
+    const halfWidth = 45;
+
+    for (let i = 0; i < count; i++) {
+        const u = random() * Math.PI * 2;
+        const v = (random() * 2 - 1) * halfWidth;
+        const ring = radius + v * Math.cos(u / 2);
+        write(target, i,
+            ring * Math.cos(u),
+            v * Math.sin(u / 2),
+            ring * Math.sin(u)
+        );
+    }
+});
+
+registerShape('galaxy', (target, count, random) => {
+    const arms = 3;
+    const twist = 2.5;
+
+    for (let i = 0; i < count; i++) {
+        // Denser core, thinning out towards the rim
+        const r = Math.pow(random(), 1.5) * RADIUS;
+        const arm = Math.floor(random() * arms);
+        const spread = gaussian(random) * 0.3 * (1 - r / (RADIUS * 1.4));
+        const angle = (arm / arms) * Math.PI * 2 + (r / RADIUS) * twist + spread;
+        const thickness = 12 * (1 - r / (RADIUS * 1.3));
+
+        write(target, i,
+            Math.cos(angle) * r + gaussian(random) * 4,
+            gaussian(random) * thickness,
+            Math.sin(angle) * r + gaussian(random) * 4
+        );
+    }
+});
+
+registerShape('lorenz', (target, count, random) => {
+    const sigma = 10;
+    const rho = 28;
+    const beta = 8 / 3;
+    const dt = 0.004;
+    const scale = 4.2;
+
+    let x = 0.1 + random();
+    let y = 0;
+    let z = 0;
+
+    // Let the trajectory settle onto the attractor first
+    for (let i = 0; i < 2000 + count; i++) {
+        const dx = sigma * (y - x);
+        const dy = x * (rho - z) - y;
+        const dz = x * y - beta * z;
+        x += dx * dt;
+        y += dy * dt;
+        z += dz * dt;
+
+        const index = i - 2000;
+        if (index >= 0) {
+            write(target, index,
+                x * scale + gaussian(random) * 1.5,
+                (z - 25) * scale + gaussian(random) * 1.5,
+                y * scale + gaussian(random) * 1.5
+            );
+        }
+    }
+});
@@ -0,0 +1,433 @@
+// ============================================
+// Simulation Core (CPU physics on plain arrays)
+// ============================================
+
+// Nothing in here touches THREE, the DOM or audio, so it runs in Node as well.
+// The GPU path (gpuCompute.js, forceFieldChunk) mirrors it in GLSL, except for the
+// neighbour behaviours, which need a neighbour search and stay on the CPU.
+
+import { SpatialGrid } from './spatialGrid.js';
+
+// Curl noise is smooth, so on the CPU each particle only re-samples it every few frames
+export const TURBULENCE_STAGGER = 4;
+
+// Fields the physics handles at once (GPU uniform array size)
+export const MAX_FORCE_FIELDS = 16;
+
+// Floats per field in the packed array: centre + radius, type + strength + falloff, direction
+export const FIELD_STRIDE = 12;
+
+export const FIELD_NOISE_SCALE = 0.03;
+
+// How particles react to their neighbours: not at all, as a flock (boids) or as a fluid
+export const behaviors = ['none', 'flock', 'fluid'];
+
+// Neighbour forces are re-evaluated for one particle in this many each frame
+export const NEIGHBOR_STAGGER = 2;
+
+// Candidates looked at per particle, caps the cost inside dense clumps
+const MAX_CANDIDATES = 192;
+
+const NO_OFFSET = { x: 0, y: 0, z: 0 };
+
+// Scratch for the per-particle samples
+const curl = [0, 0, 0];
+const fieldForce = new Float32Array(3);
+
+// ============================================
+// Particle Buffers
+// ============================================
+
+// Three floats per particle each. positions start on the shape, velocities at rest,
+// turbulence caches the staggered curl noise samples.
+export function createParticleBuffers(originalPositions) {
+    return {
+        positions: Float32Array.from(originalPositions),
+        originalPositions,
+        velocities: new Float32Array(originalPositions.length),
+        turbulence: new Float32Array(originalPositions.length),
+    };
+}
+
+// ============================================
+// Forces
+// ============================================
+
+// The global wind turns slowly, out receives x, y and z
+export function windAt(time, strength, out = { x: 0, y: 0, z: 0 }) {
+    const angle = time * 0.1;
+    out.x = Math.cos(angle) * strength;
+    out.y = Math.sin(angle * 0.7) * strength * 0.5;
+    out.z = Math.sin(angle * 0.5) * strength * 0.3;
+    return out;
+}
+
+export function createFieldData() {
+    return new Float32Array(MAX_FORCE_FIELDS * FIELD_STRIDE);
+}
+
+// Adds the fields' pull on one particle to out. data is packed by packForceFields (forceFields.js).
+export function applyForceFields(x, y, z, data, count, time, out) {
+    for (let f = 0; f < count; f++) {
+        const o = f * FIELD_STRIDE;
+        const radius = data[o + 3];
+        const dx = x - data[o];
+        const dy = y - data[o + 1];
+        const dz = z - data[o + 2];
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (dist >= radius) continue;
+
+        const weight = Math.pow(1 - dist / radius, data[o + 6]) * data[o + 5];
+        const nx = dist > 0 ? dx / dist : 0;
+        const ny = dist > 0 ? dy / dist : 0;
+        const nz = dist > 0 ? dz / dist : 0;
+        const ax = data[o + 8];
+        const ay = data[o + 9];
+        const az = data[o + 10];
+
+        switch (data[o + 4]) {
+            case 0: // attractor
+                out[0] -= nx * weight;
+                out[1] -= ny * weight;
+                out[2] -= nz * weight;
+                break;
+            case 1: // repulsor
+                out[0] += nx * weight;
+                out[1] += ny * weight;
+                out[2] += nz * weight;
+                break;
+            case 2: // vortex, spinning round the axis and drawn in slightly
+                out[0] += ((ay * nz - az * ny) - nx * 0.15) * weight;
+                out[1] += ((az * nx - ax * nz) - ny * 0.15) * weight;
+                out[2] += ((ax * ny - ay * nx) - nz * 0.15) * weight;
+                break;
+            case 3: // wind
+                out[0] += ax * weight;
+                out[1] += ay * weight;
+                out[2] += az * weight;
+                break;
+            case 4: { // gravity, steep towards the core
+                const pull = dist > 0 ? Math.min((radius * 0.2 / dist) ** 2, 4) : 0;
+                out[0] -= nx * pull * weight;
+                out[1] -= ny * pull * weight;
+                out[2] -= nz * pull * weight;
+                break;
+            }
+            case 5: // noise
+                out[0] += Math.sin(y * FIELD_NOISE_SCALE + time) * weight;
+                out[1] += Math.sin(z * FIELD_NOISE_SCALE + time * 1.3) * weight;
+                out[2] += Math.sin(x * FIELD_NOISE_SCALE + time * 0.7) * weight;
+                break;
+        }
+    }
+}
+
+// ============================================
+// Neighbour Behaviours
+// ============================================
+
+// Grid and scratch for applyNeighborForces, for up to capacity particles. forces
+// caches each particle's last result between its staggered updates.
+export function createNeighborState(capacity) {
+    return {
+        capacity,
+        grid: new SpatialGrid(1, capacity),
+        candidates: new Int32Array(MAX_CANDIDATES),
+        forces: new Float32Array(capacity * 3),
+    };
+}
+
+// Particles on the same spot part along an axis of the pair, in opposite directions
+function separate(i, j, out) {
+    const axis = (i + j) % 3;
+    out[0] = axis === 0 ? (i > j ? 1 : -1) : 0;
+    out[1] = axis === 1 ? (i > j ? 1 : -1) : 0;
+    out[2] = axis === 2 ? (i > j ? 1 : -1) : 0;
+}
+
+const apart = [0, 0, 0];
+
+// Boids: steer away from crowding, match the neighbours' heading, drift to their centre
+function flockForce(i, positions, velocities, candidates, found, radius, params, out) {
+    const { separation = 1, alignment = 0.5, cohesion = 0.3 } = params;
+    const i3 = i * 3;
+    const x = positions[i3];
+    const y = positions[i3 + 1];
+    const z = positions[i3 + 2];
+    let neighbors = 0;
+    let awayX = 0, awayY = 0, awayZ = 0; // Directions away from the neighbours, stronger up close
+    let headingX = 0, headingY = 0, headingZ = 0;
+    let centreX = 0, centreY = 0, centreZ = 0;
+
+    for (let k = 0; k < found; k++) {
+        const j = candidates[k];
+        if (j === i) continue;
+        const j3 = j * 3;
+        const dx = x - positions[j3];
+        const dy = y - positions[j3 + 1];
+        const dz = z - positions[j3 + 2];
+        const distSq = dx * dx + dy * dy + dz * dz;
+        if (distSq >= radius * radius) continue;
+
+        const dist = Math.sqrt(distSq);
+        const q = 1 - dist / radius;
+        if (dist > 0) {
+            awayX += (dx / dist) * q;
+            awayY += (dy / dist) * q;
+            awayZ += (dz / dist) * q;
+        } else {
+            separate(i, j, apart);
+            awayX += apart[0];
+            awayY += apart[1];
+            awayZ += apart[2];
+        }
+        headingX += velocities[j3];
+        headingY += velocities[j3 + 1];
+        headingZ += velocities[j3 + 2];
+        centreX += positions[j3];
+        centreY += positions[j3 + 1];
+        centreZ += positions[j3 + 2];
+        neighbors++;
+    }
+
+    if (neighbors === 0) {
+        out[i3] = out[i3 + 1] = out[i3 + 2] = 0;
+        return;
+    }
+    out[i3] = awayX * separation * 0.05 + (headingX / neighbors - velocities[i3]) * alignment * 0.05
+        + (centreX / neighbors - x) * cohesion * 0.002;
+    out[i3 + 1] = awayY * separation * 0.05 + (headingY / neighbors - velocities[i3 + 1]) * alignment * 0.05
+        + (centreY / neighbors - y) * cohesion * 0.002;
+    out[i3 + 2] = awayZ * separation * 0.05 + (headingZ / neighbors - velocities[i3 + 2]) * alignment * 0.05
+        + (centreZ / neighbors - z) * cohesion * 0.002;
+}
+
+// SPH-style double density relaxation: pressure only above the rest density, so a
+// shape at rest keeps its look, a near pressure against stacking, and viscosity
+// pulling each velocity towards the neighbours'
+function fluidForce(i, positions, velocities, candidates, found, radius, params, out) {
+    const { stiffness = 1, restDensity = 5, viscosity = 0.1 } = params;
+    const i3 = i * 3;
+    const x = positions[i3];
+    const y = positions[i3 + 1];
+    const z = positions[i3 + 2];
+    let weight = 0;
+    let density = 0;
+    let nearDensity = 0;
+    let awayX = 0, awayY = 0, awayZ = 0; // Directions away from the neighbours times q
+    let nearX = 0, nearY = 0, nearZ = 0; // The same times q²
+    let flowX = 0, flowY = 0, flowZ = 0; // Neighbour velocities times q
+
+    for (let k = 0; k < found; k++) {
+        const j = candidates[k];
+        if (j === i) continue;
+        const j3 = j * 3;
+        const dx = x - positions[j3];
+        const dy = y - positions[j3 + 1];
+        const dz = z - positions[j3 + 2];
+        const distSq = dx * dx + dy * dy + dz * dz;
+        if (distSq >= radius * radius) continue;
+
+        // q falls from 1 on the particle to 0 at the radius
+        const dist = Math.sqrt(distSq);
+        const q = 1 - dist / radius;
+        let nx, ny, nz;
+        if (dist > 0) {
+            nx = dx / dist;
+            ny = dy / dist;
+            nz = dz / dist;
+        } else {
+            separate(i, j, apart);
+            [nx, ny, nz] = apart;
+        }
+        weight += q;
+        density += q * q;
+        nearDensity += q * q * q;
+        awayX += nx * q;
+        awayY += ny * q;
+        awayZ += nz * q;
+        nearX += nx * q * q;
+        nearY += ny * q * q;
+        nearZ += nz * q * q;
+        flowX += velocities[j3] * q;
+        flowY += velocities[j3 + 1] * q;
+        flowZ += velocities[j3 + 2] * q;
+    }
+
+    if (weight === 0) {
+        out[i3] = out[i3 + 1] = out[i3 + 2] = 0;
+        return;
+    }
+    const pressure = Math.max(density - restDensity, 0) * stiffness * 0.02;
+    const nearPressure = nearDensity * stiffness * 0.05;
+    out[i3] = awayX * pressure + nearX * nearPressure + (flowX / weight - velocities[i3]) * viscosity;
+    out[i3 + 1] = awayY * pressure + nearY * nearPressure + (flowY / weight - velocities[i3 + 1]) * viscosity;
+    out[i3 + 2] = awayZ * pressure + nearZ * nearPressure + (flowZ / weight - velocities[i3 + 2]) * viscosity;
+}
+
+// Adds the pull and push of each particle's neighbours within radius to the velocities
+// of the first count particles. Runs before stepParticles, whose home spring still
+// forms the shape once things calm down. params:
+//   behavior                          'flock' or 'fluid', anything else does nothing
+//   frame, count (all particles when left out), radius
+//   separation, alignment, cohesion   flock weights (boids)
+//   stiffness, restDensity, viscosity fluid: pressure above the rest density pushes
+//                                     neighbours apart, viscosity evens out velocities
+export function applyNeighborForces(buffers, state, params) {
+    const { positions, velocities } = buffers;
+    const { behavior, frame = 0, radius } = params;
+    if ((behavior !== 'flock' && behavior !== 'fluid') || !(radius > 0)) return;
+
+    const count = Math.min(params.count ?? positions.length / 3, state.capacity);
+    const { grid, candidates, forces } = state;
+    const neighborForce = behavior === 'flock' ? flockForce : fluidForce;
+    grid.cellSize = radius;
+    grid.build(positions, count);
+    const staggerPhase = frame % NEIGHBOR_STAGGER;
+
+    for (let i = 0; i < count; i++) {
+        if (i % NEIGHBOR_STAGGER === staggerPhase) {
+            const i3 = i * 3;
+            const found = grid.query(positions[i3], positions[i3 + 1], positions[i3 + 2], candidates);
+            neighborForce(i, positions, velocities, candidates, found, radius, params, forces);
+        }
+    }
+
+    // Applied after all are evaluated, so the order of the particles does not matter
+    for (let i = 0; i < count * 3; i++) velocities[i] += forces[i];
+}
+
+// ============================================
+// Step
+// ============================================
+
+// Advances the first count particles by one frame and returns the interaction
+// energy (summed pointer force). params:
+//   time, frame, noise (a SimplexNoise), count (all particles when left out)
+//   returnSpeed, damping, mouseRadius
+//   pointers / pointerCount     x, y, z, force per pointer, in the particles' space
+//   fields / fieldCount         packed force fields, see applyForceFields
+//   wind, windTurbulence, noiseAmount, noiseOffset, pulse
+// Inputs that are left out do nothing.
+export function stepParticles(buffers, params) {
+    const { positions, originalPositions, velocities, turbulence } = buffers;
+    const { time, frame = 0, noise, count = positions.length / 3, mouseRadius = 0, returnSpeed, damping } = params;
+    const { pointers = null, pointerCount = 0, fields = null, fieldCount = 0 } = params;
+    const { noiseAmount = 0, windTurbulence = 0, pulse = 0 } = params;
+    const wind = params.wind || NO_OFFSET;
+    const windX = wind.x;
+    const windY = wind.y;
+    const windZ = wind.z;
+
+    const noiseTime = time * 0.2;
+    const noiseOffset = params.noiseOffset || NO_OFFSET;
+    const staggerPhase = frame % TURBULENCE_STAGGER;
+    // Without noise (or a turbulence cache) there is no turbulence
+    const hasTurbulence = Boolean(noise && turbulence);
+
+    // Performance: Accumulate interaction energy instead of checking audio per particle
+    let totalInteractionForce = 0;
+
+    // Particles beyond the quality tier's draw range stay where they are
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+
+        const x = positions[i3];
+        const y = positions[i3 + 1];
+        const z = positions[i3 + 2];
+
+        const ox = originalPositions[i3];
+        const oy = originalPositions[i3 + 1];
+        const oz = originalPositions[i3 + 2];
+
+        const dispX = x - ox;
+        const dispY = y - oy;
+        const dispZ = z - oz;
+        const displacement = Math.sqrt(dispX * dispX + dispY * dispY + dispZ * dispZ);
+
+        for (let p = 0; p < pointerCount; p++) {
+            const dx = x - pointers[p * 4];
+            const dy = y - pointers[p * 4 + 1];
+            const dz = z - pointers[p * 4 + 2];
+            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+            if (dist < mouseRadius && dist > 0) {
+                const force = (1 - dist / mouseRadius) * (1 - dist / mouseRadius) * pointers[p * 4 + 3];
+                const tangentX = -dy * 0.3;
+                const tangentY = dx * 0.3;
+
+                velocities[i3] += (dx / dist) * force + tangentX * force * 0.2;
+                velocities[i3 + 1] += (dy / dist) * force + tangentY * force * 0.2;
+                velocities[i3 + 2] += (dz / dist) * force;
+
+                // Accumulate energy for audio
+                if (force > 0.1) {
+                    totalInteractionForce += force;
+                }
+            }
+        }
+
+        const windInfluence = Math.min(displacement / 50, 1) * 0.5;
+
+        if (hasTurbulence && i % TURBULENCE_STAGGER === staggerPhase) {
+            noise.curl3D(
+                x * 0.01 + noiseTime + noiseOffset.x,
+                y * 0.01 + noiseOffset.y,
+                z * 0.01 - noiseTime * 0.5 + noiseOffset.z,
+                curl
+            );
+            turbulence[i3] = curl[0];
+            turbulence[i3 + 1] = curl[1];
+            turbulence[i3 + 2] = curl[2];
+        }
+
+        const turbX = hasTurbulence ? turbulence[i3] : 0;
+        const turbY = hasTurbulence ? turbulence[i3 + 1] : 0;
+        const turbZ = hasTurbulence ? turbulence[i3 + 2] : 0;
+
+        velocities[i3] += (windX + turbX * windTurbulence) * windInfluence * 0.05;
+        velocities[i3 + 1] += (windY + turbY * windTurbulence) * windInfluence * 0.05;
+        velocities[i3 + 2] += (windZ + turbZ * windTurbulence) * windInfluence * 0.05;
+
+        if (displacement > 0.1) {
+            const pullStrength = returnSpeed * (1 + displacement * 0.01);
+            velocities[i3] += (ox - x) * pullStrength;
+            velocities[i3 + 1] += (oy - y) * pullStrength;
+            velocities[i3 + 2] += (oz - z) * pullStrength;
+        }
+
+        if (noiseAmount > 0) {
+            velocities[i3] += turbX * noiseAmount * 0.01;
+            velocities[i3 + 1] += turbY * noiseAmount * 0.01;
+            velocities[i3 + 2] += turbZ * noiseAmount * 0.01;
+        }
+
+        if (fieldCount > 0) {
+            fieldForce.fill(0);
+            applyForceFields(x, y, z, fields, fieldCount, time, fieldForce);
+            velocities[i3] += fieldForce[0];
+            velocities[i3 + 1] += fieldForce[1];
+            velocities[i3 + 2] += fieldForce[2];
+        }
+
+        // Audio pulse pushes away from the shape centre
+        if (pulse > 0) {
+            const radius = Math.sqrt(ox * ox + oy * oy + oz * oz);
+            if (radius > 0) {
+                velocities[i3] += (ox / radius) * pulse;
+                velocities[i3 + 1] += (oy / radius) * pulse;
+                velocities[i3 + 2] += (oz / radius) * pulse;
+            }
+        }
+
+        positions[i3] += velocities[i3];
+        positions[i3 + 1] += velocities[i3 + 1];
+        positions[i3 + 2] += velocities[i3 + 2];
+
+        velocities[i3] *= damping;
+        velocities[i3 + 1] *= damping;
+        velocities[i3 + 2] *= damping;
+    }
+
+    return totalInteractionForce;
+}
@@ -0,0 +1,302 @@
+// ============================================
+// Sound Manager (Ambient Piano)
+// ============================================
+
+import { createRandom } from './random.js';
+import { buildScale, invertedVoice, midiToFrequency, timbres, voiceForShape } from './music.js';
+
+// The reverb tail is generated from its own seed, so it sounds the same in every session
+const REVERB_SEED = 0x5EED;
+const impulseCache = new Map();
+
+function createBrowserContext() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    return new AudioContext();
+}
+
+// createContext builds the AudioContext on the first interaction. It can be
+// swapped for a stand-in, so the voice handling runs without a browser.
+export class SoundManager {
+    constructor({ random = Math.random, createContext = createBrowserContext } = {}) {
+        this.random = random;
+        this.createContext = createContext;
+        this.ctx = null;
+        this.masterGain = null;
+        this.reverbNode = null;
+        this.isInitialized = false;
+
+        // Musical settings, the shape picks timbre and scale when scale is 'auto'
+        this.scale = 'auto';
+        this.key = 'C';
+        this.pitchSource = 'height'; // 'height' | 'distance'
+        this.panning = 'stereo'; // 'stereo' | 'hrtf'
+        this.shape = 'sphere';
+        this.isInverted = false;
+        this.updateVoice();
+
+        this.lastNoteTime = 0;
+        this.noteDensity = 0.15; // Min time between notes
+
+        // Performance limits, the oldest voice is stolen beyond this
+        this.maxVoices = 8;
+        this.voices = [];
+
+        this.isMuted = false;
+
+        // 'internal' oscillators, 'midi' notes only, or 'both'
+        this.outputMode = 'internal';
+        this.midi = null; // MidiController, notes go out when it has outputs
+    }
+
+    setInverted(isInverted) {
+        this.isInverted = isInverted;
+        this.updateVoice();
+    }
+
+    setShape(name) {
+        this.shape = name;
+        this.updateVoice();
+    }
+
+    configure({ scale, key, pitchSource, panning }) {
+        this.scale = scale;
+        this.key = key;
+        this.pitchSource = pitchSource;
+        this.panning = panning;
+        this.updateVoice();
+    }
+
+    // Resolves timbre and playable notes from shape, inversion and the chosen scale
+    updateVoice() {
+        const voice = this.isInverted ? invertedVoice : voiceForShape(this.shape);
+        const scale = this.scale === 'auto' ? voice.scale : this.scale;
+
+        this.timbre = timbres[voice.timbre];
+        this.currentScale = buildScale(scale, this.key, 4 + (voice.octave || 0), 2);
+    }
+
+    get activeVoices() {
+        return this.voices.length;
+    }
+
+    toggleMute() {
+        this.isMuted = !this.isMuted;
+        if (this.masterGain) {
+            // Smooth fade to avoid clicking
+            const t = this.ctx.currentTime;
+            this.masterGain.gain.cancelScheduledValues(t);
+            this.masterGain.gain.setTargetAtTime(this.isMuted ? 0 : 0.4, t, 0.1);
+        }
+        console.log(this.isMuted ? 'Audio Muted' : 'Audio Unmuted');
+        return this.isMuted;
+    }
+
+    init() {
+        if (this.isInitialized) return;
+
+        this.ctx = this.createContext();
+
+        // Master Gain
+        this.masterGain = this.ctx.createGain();
+        this.masterGain.gain.value = 0.8;
+        this.masterGain.connect(this.ctx.destination);
+
+        // Reverb Convolver
+        this.reverbNode = this.ctx.createConvolver();
+        // Reduced duration from 3.0 to 2.0 for performance
+        this.reverbNode.buffer = this.createImpulseResponse(2.0, 2.0);
+        this.reverbNode.connect(this.masterGain);
+
+        this.isInitialized = true;
+        console.log('Audio Context Initialized');
+    }
+
+    // Closes the context, every voice and node goes with it
+    dispose() {
+        for (const voice of this.voices) clearTimeout(voice.timeout);
+        this.voices = [];
+        if (this.ctx) this.ctx.close();
+        this.ctx = null;
+        this.masterGain = null;
+        this.reverbNode = null;
+        this.isInitialized = false;
+    }
+
+    // Built once per sample rate and shared by every context
+    createImpulseResponse(duration, decay) {
+        const rate = this.ctx.sampleRate;
+        const cacheKey = `${rate}:${duration}:${decay}`;
+        if (impulseCache.has(cacheKey)) return impulseCache.get(cacheKey);
+
+        const random = createRandom(REVERB_SEED);
+        const length = rate * duration;
+        const impulse = this.ctx.createBuffer(2, length, rate);
+        const left = impulse.getChannelData(0);
+        const right = impulse.getChannelData(1);
+
+        for (let i = 0; i < length; i++) {
+            const n = i / length;
+            // Exponential fade
+            const env = Math.pow(1 - n, decay);
+            // Randomized noise
+            left[i] = (random() * 2 - 1) * env;
+            right[i] = (random() * 2 - 1) * env;
+        }
+
+        impulseCache.set(cacheKey, impulse);
+        return impulse;
+    }
+
+    // x and y are the cursor in normalized device coordinates (-1 to 1)
+    triggerInteractionSound(intensity, x = 0, y = 0) {
+        if (!this.isInitialized || this.isMuted) return;
+
+        // Ensure context is running (sometimes it suspends on load)
+        if (this.ctx && this.ctx.state === 'suspended') {
+            this.ctx.resume();
+        }
+
+        const now = this.ctx.currentTime;
+
+        // Rate limiting based on previous note
+        if (now - this.lastNoteTime < this.noteDensity) return;
+
+        this.playNote(intensity, x, y);
+        this.lastNoteTime = now;
+    }
+
+    // Pitch follows the gesture, with a small random step so repeated
+    // gestures do not hammer a single note
+    pickNote(x, y) {
+        const notes = this.currentScale;
+        const position = this.pitchSource === 'distance'
+            ? Math.min(Math.sqrt(x * x + y * y) / Math.SQRT2, 1)
+            : (y + 1) / 2;
+
+        const step = Math.floor(this.random() * 3) - 1;
+        const index = Math.round(position * (notes.length - 1)) + step;
+        return notes[Math.min(Math.max(index, 0), notes.length - 1)];
+    }
+
+    playNote(intensity = 0, x = 0, y = 0) {
+        if (!this.ctx) return;
+
+        // Off-screen cursors (replays, touch release) sit at the edges
+        x = Math.min(Math.max(x, -1), 1);
+        y = Math.min(Math.max(y, -1), 1);
+
+        const midiNote = this.pickNote(x, y);
+        const timbre = this.timbre;
+        const releaseTime = timbre.release;
+
+        // 0-1, saturating for hard interactions
+        const force = 1 - Math.exp(-intensity / 40);
+
+        // Harder interactions play louder MIDI notes
+        const sendsMidi = this.outputMode !== 'internal' && this.midi !== null && this.midi.hasOutputs;
+        if (sendsMidi) {
+            const velocity = Math.max(1, Math.min(127, Math.round(20 + force * 107)));
+            this.midi.sendNote(midiNote, velocity, releaseTime * 1000);
+        }
+        // Without a MIDI device 'midi' falls back to the oscillators
+        if (sendsMidi && this.outputMode === 'midi') return;
+
+        if (this.voices.length >= this.maxVoices) {
+            this.stealVoice();
+        }
+
+        const freq = midiToFrequency(midiNote);
+
+        // Create Oscillator (Keys)
+        const osc = this.ctx.createOscillator();
+        const osc2 = this.ctx.createOscillator(); // Detuned for richness
+
+        osc.type = timbre.types[0];
+        osc2.type = timbre.types[1];
+
+        osc.frequency.value = freq;
+        osc2.frequency.value = freq;
+        osc2.detune.value = timbre.detune;
+
+        // Brightness: harder interactions open the filter
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = (600 + force * 6000) * timbre.brightness;
+        filter.Q.value = 0.7;
+
+        // Envelope, loudness follows the force
+        const gain = this.ctx.createGain();
+        const t = this.ctx.currentTime;
+        const peak = 0.15 + force * 0.45;
+
+        // Attack
+        gain.gain.setValueAtTime(0, t);
+        gain.gain.linearRampToValueAtTime(peak, t + timbre.attack);
+        // Decay/Release
+        gain.gain.exponentialRampToValueAtTime(0.001, t + releaseTime);
+
+        // Connect graph
+        osc.connect(filter);
+        osc2.connect(filter);
+        filter.connect(gain);
+        const output = this.createPanner(x, y);
+        gain.connect(output);
+
+        // Split output: Dry (direct) + Wet (Reverb)
+        output.connect(this.masterGain); // Direct
+        output.connect(this.reverbNode); // To Reverb
+
+        osc.start(t);
+        osc2.start(t);
+
+        osc.stop(t + releaseTime + 0.5);
+        osc2.stop(t + releaseTime + 0.5);
+
+        const voice = { gain, output, oscillators: [osc, osc2], timeout: null };
+        voice.timeout = setTimeout(() => this.releaseVoice(voice), (releaseTime + 0.5) * 1000);
+        this.voices.push(voice);
+    }
+
+    // Places the voice at the cursor: left/right for stereo, around the listener for HRTF
+    createPanner(x, y) {
+        if (this.panning === 'hrtf') {
+            const panner = this.ctx.createPanner();
+            panner.panningModel = 'HRTF';
+            panner.distanceModel = 'inverse';
+            panner.refDistance = 1;
+            panner.positionX.value = x * 2;
+            panner.positionY.value = y * 1.5;
+            panner.positionZ.value = -1.5;
+            return panner;
+        }
+
+        // Older Safari has no StereoPannerNode, those notes stay centred
+        if (!this.ctx.createStereoPanner) return this.ctx.createGain();
+
+        const panner = this.ctx.createStereoPanner();
+        panner.pan.value = x * 0.8;
+        return panner;
+    }
+
+    // Fades the oldest voice out quickly instead of dropping the new note
+    stealVoice() {
+        const voice = this.voices[0];
+        const t = this.ctx.currentTime;
+
+        voice.gain.gain.cancelScheduledValues(t);
+        voice.gain.gain.setValueAtTime(voice.gain.gain.value, t);
+        voice.gain.gain.linearRampToValueAtTime(0, t + 0.03);
+        for (const oscillator of voice.oscillators) oscillator.stop(t + 0.05);
+
+        clearTimeout(voice.timeout);
+        this.voices.shift();
+        setTimeout(() => voice.output.disconnect(), 100);
+    }
+
+    // Garbage collection helper
+    releaseVoice(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index !== -1) this.voices.splice(index, 1);
+        voice.output.disconnect();
+    }
+}
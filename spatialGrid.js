@@ -0,0 +1,134 @@
+// ============================================
+// Spatial Grid (neighbour queries for lines and particle interactions)
+// ============================================
+
+// Cells never grow past this many per particle, a cloud blown far apart gets coarser cells
+const CELLS_PER_PARTICLE = 4;
+
+// Times the cell size may grow by a quarter before the whole grid becomes one cell
+const MAX_GROWTH_STEPS = 64;
+
+// Non-finite positions end up outside the grid or NaN, they go to its first or last cell
+function clampCell(index, cells) {
+    return index > 0 ? Math.min(index, cells - 1) : 0;
+}
+
+// A uniform grid over the particles' bounding box, rebuilt from scratch every frame
+// with a counting sort, so it needs no per-cell allocations at any particle count.
+// Cells are at least cellSize wide: with cellSize at least the search radius, the 27
+// cells around a point hold every neighbour. Callers check the actual distance.
+// Particles at infinite or NaN positions do not widen the bounds, they are kept in
+// a corner cell.
+export class SpatialGrid {
+    constructor(cellSize, capacity) {
+        this.cellSize = cellSize;
+        this.capacity = capacity;
+        this.maxCells = Math.max(capacity * CELLS_PER_PARTICLE, 1);
+        this.cellStart = new Int32Array(this.maxCells + 1);
+        this.cursor = new Int32Array(this.maxCells);
+        this.cellOf = new Int32Array(capacity);
+        this.sorted = new Int32Array(capacity);
+        this.count = 0;
+
+        // Layout of the last build: origin, cell size used and cells per axis
+        this.min = [0, 0, 0];
+        this.size = cellSize;
+        this.cells = [1, 1, 1];
+    }
+
+    // positions as x, y, z at every stride-th float (3, or 4 for GPU readbacks)
+    build(positions, count, stride = 3) {
+        const n = Math.min(count, this.capacity);
+        const { cellStart, cellOf, sorted, min, cells } = this;
+        this.count = n;
+
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < n; i++) {
+            const i3 = i * stride;
+            const x = positions[i3];
+            const y = positions[i3 + 1];
+            const z = positions[i3 + 2];
+            if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+        }
+        if (minX > maxX) minX = minY = minZ = maxX = maxY = maxZ = 0; // No finite positions
+
+        let size = this.cellSize;
+        const fit = () => {
+            cells[0] = Math.floor((maxX - minX) / size) + 1;
+            cells[1] = Math.floor((maxY - minY) / size) + 1;
+            cells[2] = Math.floor((maxZ - minZ) / size) + 1;
+            return cells[0] * cells[1] * cells[2] <= this.maxCells;
+        };
+        for (let step = 0; !fit(); step++) {
+            if (step === MAX_GROWTH_STEPS) {
+                // Spread too far for any useful grid, every particle is a candidate
+                size = Infinity;
+                cells[0] = cells[1] = cells[2] = 1;
+                break;
+            }
+            size *= 1.25;
+        }
+        this.size = size;
+        min[0] = minX;
+        min[1] = minY;
+        min[2] = minZ;
+
+        const cellCount = cells[0] * cells[1] * cells[2];
+        const inverse = 1 / size;
+        cellStart.fill(0, 0, cellCount + 1);
+        for (let i = 0; i < n; i++) {
+            const i3 = i * stride;
+            const ix = clampCell(Math.floor((positions[i3] - minX) * inverse), cells[0]);
+            const iy = clampCell(Math.floor((positions[i3 + 1] - minY) * inverse), cells[1]);
+            const iz = clampCell(Math.floor((positions[i3 + 2] - minZ) * inverse), cells[2]);
+            const cell = ix + cells[0] * (iy + cells[1] * iz);
+            cellOf[i] = cell;
+            cellStart[cell + 1]++;
+        }
+        for (let cell = 0; cell < cellCount; cell++) cellStart[cell + 1] += cellStart[cell];
+
+        // Each cell lists its particles in index order
+        const cursor = this.cursor;
+        cursor.set(cellStart.subarray(0, cellCount));
+        for (let i = 0; i < n; i++) sorted[cursor[cellOf[i]]++] = i;
+    }
+
+    // Writes the indices of every particle in the 27 cells around x, y, z into out
+    // (at most out.length) and returns how many there are. The three cells of a row
+    // are neighbours in the sorted list, so each row is one copy.
+    query(x, y, z, out) {
+        const { cellStart, sorted, min, cells } = this;
+        const inverse = 1 / this.size;
+        const cx = Math.floor((x - min[0]) * inverse);
+        const cy = Math.floor((y - min[1]) * inverse);
+        const cz = Math.floor((z - min[2]) * inverse);
+
+        // More than a cell outside the particles' bounds (or not finite), nothing can be near
+        if (!(cx >= -1 && cy >= -1 && cz >= -1 && cx <= cells[0] && cy <= cells[1] && cz <= cells[2])) return 0;
+
+        const x0 = Math.max(cx - 1, 0);
+        const x1 = Math.min(cx + 1, cells[0] - 1);
+        const y1 = Math.min(cy + 1, cells[1] - 1);
+        const z1 = Math.min(cz + 1, cells[2] - 1);
+        let found = 0;
+
+        for (let iz = Math.max(cz - 1, 0); iz <= z1; iz++) {
+            for (let iy = Math.max(cy - 1, 0); iy <= y1; iy++) {
+                const row = cells[0] * (iy + cells[1] * iz);
+                const end = cellStart[row + x1 + 1];
+                for (let k = cellStart[row + x0]; k < end; k++) {
+                    if (found === out.length) return found;
+                    out[found++] = sorted[k];
+                }
+            }
+        }
+        return found;
+    }
+}
@@ -0,0 +1,504 @@
+// ============================================
+// Multi-Screen Sync (transports, leader election, shared clock)
+// ============================================
+
+import { loadTextFont } from './textShape.js';
+
+const HEARTBEAT_INTERVAL = 1000; // ms
+const PEER_TIMEOUT = 3500; // ms without a heartbeat before a peer counts as gone
+const JOIN_WINDOW = 1500; // ms a new peer listens before it may lead on its own
+const SNAPSHOT_RETRY = 2000; // ms before asking for a snapshot again
+const PING_INTERVAL = 2000; // ms, the first few pings go out faster
+const CLOCK_SAMPLES = 8;
+const TIME_TOLERANCE = 0.02; // Seconds of simulation time drift that are left alone
+
+// Inputs every screen applies as soon as they arrive. Shape and freeze changes are
+// scheduled instead (see defer), camera events only travel with shareCamera.
+const SHARED_EVENTS = new Set(['pointer', 'pointerDown', 'pointerRemove', 'twist', 'text', 'config', 'fields']);
+const FIELD_EVENTS = new Set(['fieldAdd', 'fieldUpdate', 'fieldRemove', 'fields']);
+const CAMERA_EVENTS = new Set(['camera', 'zoom', 'autoOrbit', 'cameraPath']);
+
+// Settings that belong to one screen: its hardware, its viewer and its own camera
+export const LOCAL_CONFIG_KEYS = new Set([
+    'computeMode', 'qualityTier', 'targetFps', 'showStats', 'effectQuality',
+    'exportScale', 'exportFrameRate', 'exportDuration',
+    'soundOutput', 'midiChannel', 'autoOrbitSpeed',
+    'reducedMotion', 'highContrast', 'keyboardCursorSpeed', 'showHelp',
+    'fieldType', 'fieldRadius', 'fieldStrength', 'fieldFalloff', 'fieldAnimation',
+]);
+
+export function sharedConfig(config) {
+    return Object.fromEntries(Object.entries(config).filter(([key]) => !LOCAL_CONFIG_KEYS.has(key)));
+}
+
+// ============================================
+// Transports
+// ============================================
+
+// Both deliver plain objects to onMessage and never echo a peer's own messages.
+// onOpen runs whenever the transport (re)connects.
+
+// Tabs and windows of one browser on one machine
+export class BroadcastTransport {
+    constructor(room) {
+        this.channel = new BroadcastChannel(`particles-sync:${room}`);
+        this.channel.onmessage = (e) => this.onMessage && this.onMessage(e.data);
+        this.onMessage = null;
+        this.onOpen = null;
+    }
+
+    get isOpen() {
+        return true;
+    }
+
+    send(message) {
+        this.channel.postMessage(message);
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+const RECONNECT_DELAY = 1000; // ms, doubled per failed attempt
+const MAX_RECONNECT_DELAY = 10000;
+
+// Any machine that reaches the relay in server/relay.js. Reconnects on its own,
+// messages sent while disconnected are dropped (the next heartbeat catches up).
+export class WebSocketTransport {
+    constructor(url, room) {
+        this.url = `${url.replace(/\/+$/, '')}/${encodeURIComponent(room)}`;
+        this.socket = null;
+        this.isClosed = false;
+        this.retryDelay = RECONNECT_DELAY;
+        this.retryTimeout = null;
+        this.onMessage = null;
+        this.onOpen = null;
+        this.connect();
+    }
+
+    get isOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.retryDelay = RECONNECT_DELAY;
+            if (this.onOpen) this.onOpen();
+        });
+        socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch {
+                return;
+            }
+            if (this.onMessage) this.onMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            if (this.isClosed) return;
+            this.retryTimeout = setTimeout(() => this.connect(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, MAX_RECONNECT_DELAY);
+        });
+    }
+
+    send(message) {
+        if (this.isOpen) this.socket.send(JSON.stringify(message));
+    }
+
+    close() {
+        this.isClosed = true;
+        clearTimeout(this.retryTimeout);
+        this.socket.close();
+    }
+}
+
+// 'tabs' or a ws:// / wss:// relay address
+export function createTransport(spec, room) {
+    if (spec === 'tabs') return new BroadcastTransport(room);
+    if (/^wss?:\/\//.test(spec)) return new WebSocketTransport(spec, room);
+    throw new Error(`Unknown sync transport: ${spec}`);
+}
+
+// ============================================
+// Shared Clock
+// ============================================
+
+// The leader's clock as seen from here, estimated from ping round trips. The sample
+// with the shortest round trip has the least uneven delay, so it wins.
+export class ClockSync {
+    constructor(now) {
+        this.now = now;
+        this.offset = 0; // ms to add to now() for the shared time
+        this.samples = [];
+    }
+
+    get time() {
+        return this.now() + this.offset;
+    }
+
+    get isSynced() {
+        return this.samples.length > 0;
+    }
+
+    // sent and received on the local clock, remoteTime on the leader's shared clock
+    addSample(sent, remoteTime, received) {
+        const roundTrip = received - sent;
+        if (roundTrip < 0) return;
+
+        this.samples.push({ roundTrip, offset: remoteTime + roundTrip / 2 - received });
+        if (this.samples.length > CLOCK_SAMPLES) this.samples.shift();
+
+        let best = this.samples[0];
+        for (const sample of this.samples) {
+            if (sample.roundTrip < best.roundTrip) best = sample;
+        }
+        this.offset = best.offset;
+    }
+
+    // A new leader: the offset stays, so the shared time does not jump, until it is measured again
+    reset() {
+        this.samples = [];
+    }
+}
+
+// ============================================
+// Sync Session
+// ============================================
+
+function createPeerId() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+// Joins the simulation to the other screens in a room. Every screen takes input and
+// shares it; one leader answers snapshots for screens that join and owns the clock
+// the others follow. The leader is the longest-running screen that holds the shared
+// state, so a screen that joins never takes over with its fresh defaults.
+//
+// options:
+//   transport   'tabs' | 'ws://host:port' | an object with send/close/onMessage
+//   room        screens only see others in the same room
+//   delay       ms between a shape or freeze change and the moment all screens apply it
+//   slice       [column, row, columns, rows] of a video wall this screen shows
+//   yaw         degrees this screen's camera is turned around the cloud
+//   shareCamera screens follow each other's camera, on by default for slices
+//   now, wallClock  clocks, replaced by tests
+export class SyncSession {
+    constructor(simulation, {
+        transport = 'tabs',
+        room = 'default',
+        delay = 150,
+        slice = null,
+        yaw = 0,
+        shareCamera = slice !== null,
+        now = () => performance.now(),
+        wallClock = Date.now,
+    } = {}) {
+        this.simulation = simulation;
+        this.id = createPeerId();
+        this.delay = delay;
+        this.shareCamera = shareCamera;
+        this.now = now;
+        this.wallClock = wallClock;
+        this.clock = new ClockSync(now);
+
+        this.peers = new Map(); // id -> { joinedAt, hasState, lastSeen }
+        this.leaderId = null;
+        this.queue = []; // Scheduled events, ordered by their shared time
+        this.isApplying = false; // Set while applying remote input, which must not be shared again
+        this.textLoading = null;
+
+        simulation.setView({ slice, yaw });
+
+        this.transport = typeof transport === 'string' ? createTransport(transport, room) : transport;
+        this.transport.onMessage = (message) => this.handleMessage(message);
+        this.transport.onOpen = () => this.join();
+        this.join();
+    }
+
+    get isLeader() {
+        return this.leaderId === this.id;
+    }
+
+    // Back to square one, also after the tab slept long enough for the others to drop it
+    join() {
+        const now = this.now();
+        this.joinedAt = this.wallClock();
+        this.startedAt = now;
+        this.hasState = false;
+        this.leaderId = null;
+        this.lastUpdate = now;
+        this.lastHeartbeat = -Infinity;
+        this.lastPing = -Infinity;
+        this.pingCount = 0;
+        this.lastHello = now;
+        this.send({ type: 'hello' });
+    }
+
+    send(message) {
+        this.transport.send({ ...message, from: this.id });
+    }
+
+    // ============================================
+    // Outgoing
+    // ============================================
+
+    // Called for every recorded input. Remote input applied here is not sent on again.
+    share(type, data) {
+        const sim = this.simulation;
+        if (this.isApplying || sim.isReplaying || this.peers.size === 0) return;
+
+        if (FIELD_EVENTS.has(type)) {
+            // Field ids are per screen, the whole list keeps them apart
+            this.send({ type: 'event', event: { type: 'fields', fields: structuredClone(sim.forceFields) } });
+        } else if (type === 'config') {
+            const changes = sharedConfig(data.changes);
+            if (Object.keys(changes).length > 0) this.send({ type: 'event', event: { type, changes } });
+        } else if (SHARED_EVENTS.has(type) || (this.shareCamera && CAMERA_EVENTS.has(type))) {
+            this.send({ type: 'event', event: { type, ...data } });
+        }
+    }
+
+    // Holds back a change and sends it with a start time on the shared clock, so every
+    // screen (this one included) applies it on the same frame. Returns false when the
+    // caller should apply it right away: alone, replaying, or applying a remote change.
+    defer(type, data) {
+        if (this.isApplying || this.simulation.isReplaying || this.peers.size === 0) return false;
+
+        const event = { type, ...data };
+        const at = this.clock.time + this.delay;
+        this.send({ type: 'event', event, at });
+        this.schedule(event, at);
+        return true;
+    }
+
+    schedule(event, at) {
+        let index = this.queue.length;
+        while (index > 0 && this.queue[index - 1].at > at) index--;
+        this.queue.splice(index, 0, { event, at });
+    }
+
+    // ============================================
+    // Incoming
+    // ============================================
+
+    handleMessage(message) {
+        if (!message || message.from === this.id) return;
+        if (message.to && message.to !== this.id) return;
+
+        const from = message.from;
+        switch (message.type) {
+            case 'hello':
+                // Answered right away so the newcomer sees everyone before its join window ends
+                this.sendHeartbeat();
+                if (this.isLeader) this.sendSnapshot(from);
+                break;
+            case 'heartbeat':
+                this.updatePeer(from, message);
+                if (message.clock && from === this.leaderId) this.align(message.clock);
+                break;
+            case 'snapshot':
+                this.applySnapshot(message.state);
+                break;
+            case 'event':
+                if (!this.peers.has(from)) return;
+                if (message.at !== undefined) this.schedule(message.event, message.at);
+                else this.apply(message.event, from);
+                break;
+            case 'ping':
+                this.send({ type: 'pong', to: from, sent: message.sent, time: this.clock.time });
+                break;
+            case 'pong':
+                if (from === this.leaderId) this.clock.addSample(message.sent, message.time, this.now());
+                break;
+            case 'bye':
+                this.removePeer(from);
+                this.electLeader();
+                break;
+        }
+    }
+
+    updatePeer(id, { joinedAt, hasState }) {
+        const isNew = !this.peers.has(id);
+        this.peers.set(id, { joinedAt, hasState, lastSeen: this.now() });
+        if (isNew) this.electLeader();
+    }
+
+    removePeer(id) {
+        if (!this.peers.delete(id)) return;
+
+        // Its fingers and cursor stop pushing here too
+        const sim = this.simulation;
+        for (const key of Array.from(sim.pointers.keys())) {
+            if (String(key).startsWith(`${id}:`)) sim.removePointer(key);
+        }
+    }
+
+    // A leader stays while it is there. Otherwise the earliest joined screen that holds
+    // the shared state takes over; before anyone holds it (screens started together),
+    // the earliest of all does, once the join window has shown who is around.
+    electLeader() {
+        if (this.leaderId === this.id || this.peers.has(this.leaderId)) return;
+
+        const candidates = [{ id: this.id, joinedAt: this.joinedAt, hasState: this.hasState }];
+        for (const [id, peer] of this.peers) candidates.push({ id, ...peer });
+        const holders = candidates.filter((peer) => peer.hasState);
+        if (holders.length === 0 && this.now() - this.startedAt < JOIN_WINDOW) return;
+        const eligible = holders.length > 0 ? holders : candidates;
+
+        let leader = eligible[0];
+        for (const peer of eligible) {
+            if (peer.joinedAt < leader.joinedAt || (peer.joinedAt === leader.joinedAt && peer.id < leader.id)) {
+                leader = peer;
+            }
+        }
+        this.leaderId = leader.id;
+        this.clock.reset();
+        this.pingCount = 0;
+        this.lastPing = -Infinity;
+        if (this.isLeader) this.hasState = true;
+
+        const sim = this.simulation;
+        console.log(this.isLeader ? 'Sync: leading' : `Sync: following ${leader.id}`);
+        sim.emit('sync', { isLeader: this.isLeader, peers: this.peers.size });
+    }
+
+    // Remote pointers get their own ids, the peer's prefix keeps them apart from ours
+    apply(event, from) {
+        const sim = this.simulation;
+        if (sim.isReplaying) return;
+
+        const remote = event.id !== undefined && event.type.startsWith('pointer') ? { ...event, id: `${from}:${event.id}` } : event;
+        this.isApplying = true;
+        try {
+            if (remote.type === 'freeze') {
+                sim.freeze(remote.frozen);
+            } else {
+                if (remote.type === 'text') this.loadText(remote.options);
+                sim.player.apply(remote);
+            }
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    // A text shape can only be shown once its font is there
+    loadText(options) {
+        const loading = loadTextFont(options).catch(() => {}).then(() => {
+            if (this.textLoading === loading) this.textLoading = null;
+        });
+        this.textLoading = loading;
+    }
+
+    // ============================================
+    // Snapshots & Time
+    // ============================================
+
+    sendSnapshot(to) {
+        const sim = this.simulation;
+        this.send({
+            type: 'snapshot',
+            to,
+            state: {
+                config: sharedConfig(sim.config),
+                // Imported shapes cannot be rebuilt elsewhere, the others keep theirs
+                shape: sim.shapes.isShared(sim.currentShape) ? sim.currentShape : null,
+                text: sim.text,
+                textOptions: sim.textOptions,
+                fields: structuredClone(sim.forceFields),
+                frozen: sim.isFrozen,
+                camera: this.shareCamera ? sim.cameraRig.getState() : null,
+                clock: this.clockState(),
+            },
+        });
+    }
+
+    applySnapshot(state) {
+        const sim = this.simulation;
+        this.apply({ type: 'config', changes: sharedConfig(state.config) });
+        this.apply({ type: 'fields', fields: state.fields });
+        this.apply({ type: 'freeze', frozen: state.frozen });
+        if (state.camera) this.apply({ type: 'camera', state: state.camera });
+        if (state.text) this.apply({ type: 'text', text: state.text, options: state.textOptions || {} });
+        // Through the queue, so a text shape waits for its font
+        if (state.shape && state.shape !== sim.currentShape) this.schedule({ type: 'shape', name: state.shape }, -Infinity);
+
+        this.hasState = true;
+        this.align(state.clock);
+        this.sendHeartbeat();
+    }
+
+    // Simulation time and cloud orientation, the parts that drift between screens
+    clockState() {
+        const sim = this.simulation;
+        return { time: sim.time, rotation: sim.particles.quaternion.toArray(), at: this.clock.time };
+    }
+
+    align({ time, rotation, at }) {
+        const sim = this.simulation;
+        if (!this.clock.isSynced || sim.fixedTimestep !== null) return;
+
+        // Where the leader's time is now, not when it sent it
+        const leaderTime = time + (this.clock.time - at) / 1000;
+        const drift = Math.abs(leaderTime - sim.time) > TIME_TOLERANCE ? leaderTime - sim.time : 0;
+        sim.alignTo(drift, rotation);
+    }
+
+    // ============================================
+    // Per Frame
+    // ============================================
+
+    update() {
+        const now = this.now();
+
+        // A tab that slept has been dropped by the others, it joins again
+        if (now - this.lastUpdate > PEER_TIMEOUT) this.join();
+        this.lastUpdate = now;
+
+        for (const [id, peer] of this.peers) {
+            if (now - peer.lastSeen > PEER_TIMEOUT) this.removePeer(id);
+        }
+        this.electLeader();
+
+        if (now - this.lastHeartbeat > HEARTBEAT_INTERVAL) this.sendHeartbeat();
+
+        if (!this.isLeader && this.leaderId !== null) {
+            const interval = this.pingCount < CLOCK_SAMPLES ? PING_INTERVAL / 8 : PING_INTERVAL;
+            if (now - this.lastPing > interval) {
+                this.lastPing = now;
+                this.pingCount++;
+                this.send({ type: 'ping', to: this.leaderId, sent: now });
+            }
+            if (!this.hasState && now - this.lastHello > SNAPSHOT_RETRY) {
+                this.lastHello = now;
+                this.send({ type: 'hello' });
+            }
+        }
+
+        const time = this.clock.time;
+        while (this.queue.length > 0 && this.queue[0].at <= time) {
+            const { event } = this.queue[0];
+            if (event.type === 'shape' && event.name === 'text' && this.textLoading) break;
+            this.queue.shift();
+            this.apply(event, this.id);
+        }
+    }
+
+    sendHeartbeat() {
+        this.lastHeartbeat = this.now();
+        this.send({
+            type: 'heartbeat',
+            joinedAt: this.joinedAt,
+            hasState: this.hasState,
+            clock: this.isLeader ? this.clockState() : null,
+        });
+    }
+
+    destroy() {
+        this.send({ type: 'bye' });
+        this.transport.close();
+        this.queue = [];
+    }
+}
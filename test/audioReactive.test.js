@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BeatDetector, measureBands } from '../audioReactive.js';
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 2048;
+
+// Byte frequency data with level (0-255) in the bins between low and high Hz
+function spectrum(low, high, level = 255) {
+    const data = new Uint8Array(FFT_SIZE / 2);
+    const binWidth = SAMPLE_RATE / FFT_SIZE;
+    for (let i = 0; i < data.length; i++) {
+        if (i * binWidth >= low && i * binWidth < high) data[i] = level;
+    }
+    return data;
+}
+
+test('bands average their own frequency range', () => {
+    assert.deepEqual(measureBands(new Uint8Array(FFT_SIZE / 2), SAMPLE_RATE, FFT_SIZE), { bass: 0, mids: 0, highs: 0 });
+    assert.deepEqual(measureBands(spectrum(0, 24000), SAMPLE_RATE, FFT_SIZE), { bass: 1, mids: 1, highs: 1 });
+
+    const mids = measureBands(spectrum(500, 1800), SAMPLE_RATE, FFT_SIZE);
+    assert.equal(mids.bass, 0);
+    assert.equal(mids.highs, 0);
+    assert.ok(mids.mids > 0.7 && mids.mids < 1);
+
+    const quietBass = measureBands(spectrum(20, 250, 51), SAMPLE_RATE, FFT_SIZE);
+    assert.ok(Math.abs(quietBass.bass - 0.2) < 0.02);
+});
+
+// Feeds level at 60 frames a second from time start, returns the times of the beats
+function feed(detector, levels, start = 0) {
+    const beats = [];
+    levels.forEach((level, frame) => {
+        const time = start + frame / 60;
+        if (detector.detect(level, time)) beats.push(time);
+    });
+    return beats;
+}
+
+test('a jump well above the recent average is a beat, once per cooldown', () => {
+    const detector = new BeatDetector();
+    assert.deepEqual(feed(detector, new Array(60).fill(0.3)), []);
+
+    const beats = feed(detector, [0.9, 0.9, 0.9, 0.3, 0.3, 0.9], 1);
+    assert.deepEqual(beats, [1]);
+
+    // After the cooldown the next jump counts again
+    assert.deepEqual(feed(detector, [0.3, 1], 1.5), [1.5 + 1 / 60]);
+});
+
+test('no beats while the history fills, in silence or on steady levels', () => {
+    const early = new BeatDetector();
+    assert.deepEqual(feed(early, [0.2, 0.2, 0.2, 0.9]), []);
+
+    const quiet = new BeatDetector();
+    assert.deepEqual(feed(quiet, [...new Array(60).fill(0.02), 0.09]), []);
+
+    const steady = new BeatDetector();
+    assert.deepEqual(feed(steady, new Array(200).fill(0.8)), []);
+});
+
+test('reset forgets the history and the last beat', () => {
+    const detector = new BeatDetector();
+    feed(detector, [...new Array(60).fill(0.3), 0.9]);
+    detector.reset();
+    assert.deepEqual(feed(detector, [0.2, 0.9]), []);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOBJ, parsePLY } from '../meshImport.js';
+
+const encode = (text) => new TextEncoder().encode(text).buffer;
+
+const TRIANGLE = [
+    'ply',
+    'format ascii 1.0',
+    'element vertex 3',
+    'property float x',
+    'property float y',
+    'property float z',
+    'element face 1',
+    'property list uchar int vertex_indices',
+    'end_header',
+    '0 0 0',
+    '1 0 0',
+    '0 1 0',
+    '3 0 1 2',
+    '',
+].join('\n');
+
+test('an ascii PLY file gives its vertices and faces', () => {
+    const mesh = parsePLY(encode(TRIANGLE));
+    assert.deepEqual(Array.from(mesh.vertices), [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    assert.deepEqual(Array.from(mesh.indices), [0, 1, 2]);
+});
+
+test('a PLY header without end_header is rejected instead of read forever', () => {
+    assert.throws(() => parsePLY(encode(TRIANGLE.split('end_header')[0])), /Invalid PLY header/);
+    assert.throws(() => parsePLY(encode('ply\nformat binary_little_endian 1.0')), /Invalid PLY header/);
+    assert.throws(() => parsePLY(new Uint8Array([0x70, 0x6c, 0x79, 0, 1, 2, 3]).buffer), /Invalid PLY header/);
+});
+
+test('OBJ faces may count back from the last vertex', () => {
+    const mesh = parseOBJ('v 0 0 0\nv 1 0 0\nv 0 1 0\nf -3 -2/1 -1//1\n');
+    assert.deepEqual(Array.from(mesh.indices), [0, 1, 2]);
+});
+
+test('OBJ face indices outside the vertices are rejected', () => {
+    const triangle = 'v 0 0 0\nv 1 0 0\nv 0 1 0\n';
+    assert.throws(() => parseOBJ(`${triangle}f 0 1 2\n`), /Invalid OBJ face index: 0/);
+    assert.throws(() => parseOBJ(`${triangle}f 1 2 4\n`), /Invalid OBJ face index: 4/);
+    assert.throws(() => parseOBJ(`${triangle}f 1 2 x\n`), /Invalid OBJ face index: x/);
+    assert.throws(() => parseOBJ(`${triangle}f 1 2 -4\n`), /Invalid OBJ face index: -4/);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QualityGovernor } from '../quality.js';
+
+// Runs the governor for seconds of frames, frameTime(tier) gives each frame's duration in ms
+function run(governor, seconds, frameTime, start = 0) {
+    let now = start;
+    while (now < start + seconds * 1000) {
+        now += frameTime(governor.tier);
+        governor.sample(now);
+    }
+    return now;
+}
+
+test('a display slower than the target caps it instead of lowering the tier', () => {
+    const governor = new QualityGovernor({ targetFps: 60 });
+    run(governor, 60, () => 20); // 50 Hz whatever the tier
+
+    // Frames are bound by the display, so better tiers cost nothing
+    assert.ok(['high', 'ultra'].includes(governor.tier.name), governor.tier.name);
+    assert.ok(Math.abs(governor.refreshRate - 50) < 0.5);
+    assert.ok(Math.abs(governor.effectiveTargetFps - 50) < 0.5);
+});
+
+test('a measured refresh rate is dropped once the frame rate rises above it', () => {
+    const governor = new QualityGovernor({ targetFps: 60 });
+    const now = run(governor, 30, () => 20); // A CPU-bound stretch looks like a 50 Hz display
+    assert.ok(governor.refreshRate < 60);
+
+    run(governor, 10, () => 1000 / 60, now);
+    assert.equal(governor.refreshRate, Infinity);
+    assert.equal(governor.effectiveTargetFps, 60);
+});
+
+test('a tier that is too heavy is left when the tier below is faster', () => {
+    const governor = new QualityGovernor({ targetFps: 60 });
+    run(governor, 30, (tier) => (tier.particles === 1 ? 25 : 1000 / 60));
+
+    assert.equal(governor.tier.name, 'medium');
+    assert.equal(governor.refreshRate, Infinity);
+});
+
+test('held and pinned governors keep their tier', () => {
+    const held = new QualityGovernor({ targetFps: 60 });
+    held.isHeld = true;
+    run(held, 30, () => 40);
+    assert.equal(held.tier.name, 'high');
+
+    const pinned = new QualityGovernor({ targetFps: 60 });
+    pinned.refreshRate = 50;
+    pinned.pin('ultra');
+    assert.equal(pinned.refreshRate, Infinity);
+    run(pinned, 30, () => 40);
+    assert.equal(pinned.tier.name, 'ultra');
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { createConnection } from 'node:net';
+import { once } from 'node:events';
+import { FrameDecoder, createRelay, encodeFrame } from '../server/relay.js';
+
+const MASK = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+
+// A bare WebSocket client: handshake, masked text frames out, decoded frames in
+async function connect(port, room) {
+    const req = request({
+        port,
+        path: `/${room}`,
+        headers: {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==', // The example from RFC 6455
+            'Sec-WebSocket-Version': '13',
+        },
+    });
+    req.end();
+    const [response, socket] = await once(req, 'upgrade');
+    assert.equal(response.headers['sec-websocket-accept'], 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+    const messages = [];
+    const waiting = [];
+    const decoder = new FrameDecoder((opcode, payload) => {
+        const message = payload.toString();
+        if (waiting.length > 0) waiting.shift()(message);
+        else messages.push(message);
+    });
+    socket.on('data', (chunk) => decoder.push(chunk));
+
+    return {
+        send: (text) => socket.write(encodeFrame(0x1, text, MASK)),
+        next: () => (messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise((resolve) => waiting.push(resolve))),
+        pending: () => messages.length,
+        close: () => socket.destroy(),
+    };
+}
+
+test('frames survive masking, every length encoding and split delivery', () => {
+    for (const size of [0, 5, 125, 126, 65535, 65536]) {
+        const payload = Buffer.alloc(size, 'x');
+        const received = [];
+        const decoder = new FrameDecoder((opcode, data) => received.push([opcode, data]));
+
+        const frame = encodeFrame(0x1, payload, MASK);
+        decoder.push(frame.subarray(0, 3));
+        decoder.push(frame.subarray(3));
+
+        assert.equal(received.length, 1, `${size} bytes`);
+        assert.equal(received[0][0], 0x1);
+        assert.ok(received[0][1].equals(payload), `${size} bytes`);
+    }
+});
+
+test('fragments are joined into one message', () => {
+    const received = [];
+    const decoder = new FrameDecoder((opcode, data) => received.push(data.toString()));
+    const first = encodeFrame(0x1, 'hel', MASK);
+    first[0] &= 0x7F; // Clear FIN
+    decoder.push(Buffer.concat([first, encodeFrame(0x0, 'lo', MASK)]));
+    assert.deepEqual(received, ['hello']);
+});
+
+test('the relay passes messages to the others in the room only', async () => {
+    const relay = createRelay({ log: () => {} });
+    relay.listen(0);
+    await once(relay, 'listening');
+    const { port } = relay.address();
+
+    const clients = [];
+    try {
+        const a = await connect(port, 'lobby');
+        const b = await connect(port, 'lobby');
+        const c = await connect(port, 'elsewhere');
+        clients.push(a, b, c);
+
+        a.send('{"type":"hello"}');
+        assert.equal(await b.next(), '{"type":"hello"}');
+
+        // Round trip through b, so anything a or c wrongly received has arrived by now
+        b.send('{"type":"heartbeat"}');
+        assert.equal(await a.next(), '{"type":"heartbeat"}');
+        assert.equal(a.pending(), 0, 'no echo to the sender');
+        assert.equal(c.pending(), 0, 'other rooms hear nothing');
+    } finally {
+        for (const client of clients) client.close();
+        relay.close();
+    }
+});
+
+test('a frame sent in the same packet as the handshake is not lost', { timeout: 5000 }, async () => {
+    const relay = createRelay({ log: () => {} });
+    relay.listen(0);
+    await once(relay, 'listening');
+    const { port } = relay.address();
+
+    const clients = [];
+    let raw = null;
+    try {
+        const b = await connect(port, 'lobby');
+        clients.push(b);
+
+        raw = createConnection({ port });
+        await once(raw, 'connect');
+        raw.write(Buffer.concat([
+            Buffer.from([
+                'GET /lobby HTTP/1.1',
+                'Host: localhost',
+                'Connection: Upgrade',
+                'Upgrade: websocket',
+                'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+                'Sec-WebSocket-Version: 13',
+                '', '',
+            ].join('\r\n')),
+            encodeFrame(0x1, 'early', MASK),
+        ]));
+        assert.equal(await b.next(), 'early');
+    } finally {
+        for (const client of clients) client.close();
+        if (raw) raw.destroy();
+        relay.close();
+    }
+});
+
+test('a malformed room path is refused and the relay keeps running', async () => {
+    const relay = createRelay({ log: () => {} });
+    relay.listen(0);
+    await once(relay, 'listening');
+    const { port } = relay.address();
+
+    const clients = [];
+    try {
+        const req = request({
+            port,
+            path: '/%E0%A4%A',
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' },
+        });
+        req.end();
+        const [response] = await once(req, 'response');
+        assert.equal(response.statusCode, 400);
+        response.resume();
+
+        const a = await connect(port, 'lobby');
+        const b = await connect(port, 'lobby');
+        clients.push(a, b);
+        a.send('still here');
+        assert.equal(await b.next(), 'still here');
+    } finally {
+        for (const client of clients) client.close();
+        relay.close();
+    }
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShapeLibrary, getShapeNames } from '../shapes.js';
+
+const COUNT = 20000;
+// Positions are stored as 32-bit floats
+const EPSILON = 1e-3;
+
+function points(name, seed = 1337) {
+    return new ShapeLibrary(COUNT, seed).get(name);
+}
+
+function eachPoint(positions, callback) {
+    for (let i = 0; i < positions.length; i += 3) {
+        callback(positions[i], positions[i + 1], positions[i + 2], i / 3);
+    }
+}
+
+test('sphere stays inside radius 150', () => {
+    eachPoint(points('sphere'), (x, y, z) => {
+        assert.ok(Math.hypot(x, y, z) <= 150 + EPSILON, `${x}, ${y}, ${z} is outside`);
+    });
+});
+
+test('cube stays inside ±112.5 on every axis', () => {
+    eachPoint(points('cube'), (x, y, z) => {
+        for (const value of [x, y, z]) assert.ok(Math.abs(value) <= 112.5 + EPSILON, `${value} is outside`);
+    });
+});
+
+test('pyramid stays between its base and apex', () => {
+    // Base 180 wide at y = -90, narrowing to the apex at y = 90
+    eachPoint(points('pyramid'), (x, y, z) => {
+        assert.ok(y >= -90 - EPSILON && y <= 90 + EPSILON, `height ${y} is outside`);
+        const halfWidth = 90 * (0.5 - y / 180) + EPSILON;
+        assert.ok(Math.abs(x) <= halfWidth && Math.abs(z) <= halfWidth, `${x}, ${y}, ${z} is outside`);
+    });
+});
+
+test('surface shapes lie on their surfaces', () => {
+    eachPoint(points('sphere-surface'), (x, y, z) => {
+        assert.ok(Math.abs(Math.hypot(x, y, z) - 150) < EPSILON);
+    });
+    eachPoint(points('cube-surface'), (x, y, z) => {
+        assert.ok(Math.abs(Math.max(Math.abs(x), Math.abs(y), Math.abs(z)) - 112.5) < EPSILON);
+    });
+});
+
+test('every built-in shape fills all particles with finite positions', () => {
+    for (const name of getShapeNames()) {
+        const positions = new ShapeLibrary(2000, 7).get(name);
+        assert.equal(positions.length, 6000);
+        assert.ok(positions.every(Number.isFinite), `${name} has non-finite positions`);
+    }
+});
+
+test('the same seed builds the same shape, another seed a different one', () => {
+    assert.deepEqual(points('galaxy', 42), points('galaxy', 42));
+    assert.notDeepEqual(points('galaxy', 42), points('galaxy', 43));
+});
+
+test('shapes registered on a library stay with it and its rebuilds', () => {
+    const own = new ShapeLibrary(10, 1);
+    const other = new ShapeLibrary(10, 1);
+    own.register('text', (target) => target.fill(1), { cycle: false });
+    own.register('model:box.ply', (target) => target.fill(2));
+
+    assert.ok(own.has('text') && own.has('sphere'));
+    assert.ok(!other.has('text') && !other.has('model:box.ply'));
+    assert.ok(!getShapeNames().includes('text'));
+    assert.throws(() => other.get('text'), /Unknown shape/);
+
+    // Cycling visits the imported model but skips text
+    const order = own.names({ cycleOnly: true });
+    assert.equal(order.at(-1), 'model:box.ply');
+    assert.ok(!order.includes('text'));
+    assert.equal(own.next(order.at(-2)), 'model:box.ply');
+
+    const rebuilt = new ShapeLibrary(20, 1, own);
+    assert.equal(rebuilt.get('text').length, 60);
+    assert.ok(rebuilt.get('model:box.ply').every((value) => value === 2));
+});
+
+test('the first particles of a shape spread over all of it', () => {
+    // Lorenz is written along its trajectory, the first quarter must still span both wings
+    const positions = points('lorenz');
+    const extent = (count) => {
+        let min = Infinity;
+        let max = -Infinity;
+        eachPoint(positions.subarray(0, count * 3), (x) => {
+            min = Math.min(min, x);
+            max = Math.max(max, x);
+        });
+        return max - min;
+    };
+    assert.ok(extent(COUNT / 4) > extent(COUNT) * 0.9);
+    assert.ok(extent(COUNT / 16) > extent(COUNT) * 0.8);
+});
@@ -0,0 +1,244 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom } from '../random.js';
+import { SimplexNoise } from '../noise.js';
+import { ShapeLibrary } from '../shapes.js';
+import {
+    FIELD_STRIDE, applyForceFields, applyNeighborForces, createFieldData, createNeighborState, createParticleBuffers,
+    stepParticles, windAt,
+} from '../simulationCore.js';
+
+const COUNT = 2000;
+const FRAME = 1 / 60;
+
+// The defaults from particles.js
+const physics = {
+    returnSpeed: 0.0009,
+    damping: 0.96,
+    mouseRadius: 150,
+    noiseAmount: 0.1,
+    windTurbulence: 0.2,
+};
+
+function setup(seed = 1) {
+    const buffers = createParticleBuffers(new ShapeLibrary(COUNT, seed).get('sphere'));
+    return { buffers, noise: new SimplexNoise(createRandom(seed)) };
+}
+
+function run(buffers, noise, frames, params = {}, firstFrame = 0) {
+    let energy = 0;
+    for (let frame = firstFrame; frame < firstFrame + frames; frame++) {
+        energy += stepParticles(buffers, { ...physics, time: frame * FRAME, frame, noise, ...params });
+    }
+    return energy;
+}
+
+// Scatters every particle up to distance away from its target
+function scatter(buffers, distance, seed = 2) {
+    const random = createRandom(seed);
+    for (let i = 0; i < buffers.positions.length; i++) {
+        buffers.positions[i] = buffers.originalPositions[i] + (random() * 2 - 1) * distance;
+    }
+}
+
+function maxDisplacement({ positions, originalPositions }) {
+    let max = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+        max = Math.max(max, Math.hypot(
+            positions[i] - originalPositions[i],
+            positions[i + 1] - originalPositions[i + 1],
+            positions[i + 2] - originalPositions[i + 2]
+        ));
+    }
+    return max;
+}
+
+function maxSpeed({ velocities }) {
+    let max = 0;
+    for (let i = 0; i < velocities.length; i += 3) {
+        max = Math.max(max, Math.hypot(velocities[i], velocities[i + 1], velocities[i + 2]));
+    }
+    return max;
+}
+
+test('particles settle back onto originalPosition without input', () => {
+    const { buffers, noise } = setup();
+    scatter(buffers, 100);
+
+    run(buffers, noise, 2000, { noiseAmount: 0, windTurbulence: 0 });
+    // Below 0.1 the return pull switches off
+    assert.ok(maxDisplacement(buffers) < 0.5, `still ${maxDisplacement(buffers)} away`);
+});
+
+test('ambient noise and wind keep particles close to their targets', () => {
+    const { buffers, noise } = setup();
+    scatter(buffers, 100);
+
+    run(buffers, noise, 2000, { wind: windAt(0, 0.09) });
+    assert.ok(maxDisplacement(buffers) < 10, `drifted ${maxDisplacement(buffers)} away`);
+});
+
+test('a particle at rest on its target stays there', () => {
+    const { buffers, noise } = setup();
+    run(buffers, noise, 100, { noiseAmount: 0, windTurbulence: 0 });
+    assert.deepEqual(buffers.positions, buffers.originalPositions);
+});
+
+test('without noise the step needs neither noise nor a turbulence cache', () => {
+    const { buffers } = setup();
+    scatter(buffers, 20);
+    const withoutCache = { ...buffers, turbulence: undefined };
+    stepParticles(withoutCache, { ...physics, time: 0 });
+    assert.ok(buffers.positions.every(Number.isFinite));
+});
+
+test('damping stops velocities from growing', () => {
+    const { buffers, noise } = setup();
+    const random = createRandom(3);
+    for (let i = 0; i < buffers.velocities.length; i++) buffers.velocities[i] = (random() * 2 - 1) * 20;
+
+    // Without the return pull only damping acts, every step slows every particle
+    let previous = maxSpeed(buffers);
+    for (let frame = 0; frame < 200; frame++) {
+        run(buffers, noise, 1, { returnSpeed: 0, noiseAmount: 0, windTurbulence: 0 }, frame);
+        const speed = maxSpeed(buffers);
+        assert.ok(speed <= previous, `speed grew from ${previous} to ${speed}`);
+        previous = speed;
+    }
+    assert.ok(previous < 0.01);
+});
+
+test('damping keeps the full force model bounded', () => {
+    const { buffers, noise } = setup();
+    scatter(buffers, 150);
+
+    const pointers = new Float32Array([0, 0, 0, 2.5]);
+    const fields = createFieldData();
+    fields.set([0, 0, 0, 200, 2, 0.4, 1, 0, 0, 1, 0, 0]); // Vortex round y
+
+    for (let frame = 0; frame < 1000; frame += 50) {
+        run(buffers, noise, 50, { pointers, pointerCount: 1, fields, fieldCount: 1, wind: windAt(0, 0.2), pulse: 0.5 }, frame);
+        assert.ok(maxSpeed(buffers) < 100, `speed ${maxSpeed(buffers)} at frame ${frame}`);
+    }
+});
+
+test('pointers push particles away and report energy', () => {
+    const { buffers, noise } = setup();
+    const pointers = new Float32Array([0, 0, 0, 1]);
+
+    const energy = run(buffers, noise, 1, { pointers, pointerCount: 1, noiseAmount: 0, windTurbulence: 0 });
+    assert.ok(energy > 0);
+
+    const { positions, originalPositions } = buffers;
+    for (let i = 0; i < COUNT; i += 97) {
+        const before = Math.hypot(originalPositions[i * 3], originalPositions[i * 3 + 1], originalPositions[i * 3 + 2]);
+        const after = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        assert.ok(after >= before - 1e-4, `particle ${i} moved towards the pointer`);
+    }
+});
+
+test('only the first count particles move', () => {
+    const { buffers, noise } = setup();
+    scatter(buffers, 50);
+    const untouched = buffers.positions.slice(1500 * 3);
+
+    run(buffers, noise, 10, { count: 1500 });
+    assert.deepEqual(buffers.positions.slice(1500 * 3), untouched);
+});
+
+test('attractors pull inwards and repulsors push outwards', () => {
+    const data = createFieldData();
+    const out = new Float32Array(3);
+
+    data.set([0, 0, 0, 100, 0, 1, 1, 0, 0, 0, 0, 0]); // Attractor
+    applyForceFields(50, 0, 0, data, 1, 0, out);
+    assert.ok(out[0] < 0);
+
+    out.fill(0);
+    data[4] = 1; // Repulsor
+    applyForceFields(50, 0, 0, data, 1, 0, out);
+    assert.ok(out[0] > 0);
+
+    out.fill(0);
+    applyForceFields(150, 0, 0, data, 1, 0, out);
+    assert.deepEqual(Array.from(out), [0, 0, 0], 'no force outside the radius');
+    assert.equal(data.length % FIELD_STRIDE, 0);
+});
+
+// A clump of count particles within extent of the origin, each at home where it starts
+function clump(count, extent, seed = 4) {
+    const random = createRandom(seed);
+    const home = new Float32Array(count * 3);
+    for (let i = 0; i < home.length; i++) home[i] = (random() * 2 - 1) * extent;
+    return createParticleBuffers(home);
+}
+
+// Steps with a neighbour behaviour, without the home spring unless params bring one
+function runBehavior(buffers, noise, frames, params) {
+    const state = createNeighborState(buffers.positions.length / 3);
+    for (let frame = 0; frame < frames; frame++) {
+        applyNeighborForces(buffers, state, { radius: 10, frame, ...params });
+        stepParticles(buffers, {
+            ...physics, returnSpeed: 0, noiseAmount: 0, windTurbulence: 0, time: frame * FRAME, frame, noise, ...params,
+        });
+    }
+}
+
+function spread({ positions }) {
+    let sum = 0;
+    for (let i = 0; i < positions.length; i += 3) sum += Math.hypot(positions[i], positions[i + 1], positions[i + 2]);
+    return sum / (positions.length / 3);
+}
+
+test('the fluid keeps particles from stacking up', () => {
+    const noise = new SimplexNoise(createRandom(1));
+    const still = clump(400, 2);
+    const fluid = clump(400, 2);
+
+    runBehavior(still, noise, 120, { behavior: 'none' });
+    runBehavior(fluid, noise, 120, { behavior: 'fluid' });
+    assert.equal(spread(still), spread(clump(400, 2)));
+    assert.ok(spread(fluid) > spread(still) * 2, `spread ${spread(fluid)} from ${spread(still)}`);
+});
+
+test('particles on the same spot are pushed apart', () => {
+    const noise = new SimplexNoise(createRandom(1));
+    const buffers = createParticleBuffers(new Float32Array(4 * 3));
+
+    runBehavior(buffers, noise, 30, { behavior: 'fluid' });
+    assert.ok(spread(buffers) > 0.5);
+});
+
+test('the flock lines up the headings of neighbours', () => {
+    const noise = new SimplexNoise(createRandom(1));
+    const random = createRandom(5);
+    const buffers = clump(300, 6);
+    for (let i = 0; i < buffers.velocities.length; i++) buffers.velocities[i] = (random() * 2 - 1) * 0.1;
+
+    // Mean velocity over mean speed, 1 when all move the same way
+    const order = ({ velocities }) => {
+        const mean = [0, 0, 0];
+        let speed = 0;
+        for (let i = 0; i < velocities.length; i += 3) {
+            mean[0] += velocities[i];
+            mean[1] += velocities[i + 1];
+            mean[2] += velocities[i + 2];
+            speed += Math.hypot(velocities[i], velocities[i + 1], velocities[i + 2]);
+        }
+        return Math.hypot(...mean) / speed;
+    };
+    const before = order(buffers);
+
+    runBehavior(buffers, noise, 60, { behavior: 'flock', separation: 0, cohesion: 0, alignment: 1, damping: 1 });
+    assert.ok(order(buffers) > Math.max(before * 3, 0.6), `order ${order(buffers)} from ${before}`);
+});
+
+test('shapes still form with neighbour behaviours on', () => {
+    for (const behavior of ['flock', 'fluid']) {
+        const { buffers, noise } = setup();
+        scatter(buffers, 100);
+
+        runBehavior(buffers, noise, 2000, { behavior, returnSpeed: physics.returnSpeed });
+        assert.ok(maxDisplacement(buffers) < 15, `${behavior}: still ${maxDisplacement(buffers)} away`);
+    }
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoundManager } from '../soundManager.js';
+import { createRandom } from '../random.js';
+
+// Just enough of an AudioContext for the voice handling, the clock is set by the test
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+    }
+
+    setValueAtTime() {}
+    linearRampToValueAtTime() {}
+    exponentialRampToValueAtTime() {}
+    setTargetAtTime() {}
+    cancelScheduledValues() {}
+}
+
+class FakeNode {
+    constructor(context, params = []) {
+        this.context = context;
+        for (const name of params) this[name] = new FakeParam();
+    }
+
+    connect() {}
+    disconnect() {}
+}
+
+class FakeOscillator extends FakeNode {
+    constructor(context) {
+        super(context, ['frequency', 'detune']);
+        context.oscillators.push(this);
+    }
+
+    start() {}
+    stop() {}
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 1;
+        this.sampleRate = 8000;
+        this.state = 'running';
+        this.destination = new FakeNode(this);
+        this.oscillators = [];
+    }
+
+    createGain() { return new FakeNode(this, ['gain']); }
+    createOscillator() { return new FakeOscillator(this); }
+    createBiquadFilter() { return new FakeNode(this, ['frequency', 'Q']); }
+    createStereoPanner() { return new FakeNode(this, ['pan']); }
+    createPanner() { return new FakeNode(this, ['positionX', 'positionY', 'positionZ']); }
+    createConvolver() { return new FakeNode(this); }
+    createBuffer(channels, length) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { getChannelData: (channel) => data[channel] };
+    }
+    resume() {}
+    close() {}
+}
+
+function createSoundManager() {
+    const sound = new SoundManager({ random: createRandom(1), createContext: () => new FakeAudioContext() });
+    sound.init();
+    return sound;
+}
+
+test('playNote never holds more than maxVoices', (t) => {
+    const sound = createSoundManager();
+    t.after(() => sound.dispose());
+
+    for (let i = 0; i < 50; i++) {
+        sound.ctx.currentTime += 0.01;
+        sound.playNote(40, 0, 0);
+        assert.ok(sound.activeVoices <= sound.maxVoices, `${sound.activeVoices} voices`);
+    }
+    assert.equal(sound.activeVoices, sound.maxVoices);
+    // Two oscillators per note, stolen voices included
+    assert.equal(sound.ctx.oscillators.length, 100);
+});
+
+test('maxVoices can be lowered', (t) => {
+    const sound = createSoundManager();
+    t.after(() => sound.dispose());
+    sound.maxVoices = 2;
+
+    for (let i = 0; i < 10; i++) sound.playNote(40, 0, 0);
+    assert.equal(sound.activeVoices, 2);
+});
+
+test('interaction notes are at least noteDensity seconds apart', (t) => {
+    const sound = createSoundManager();
+    t.after(() => sound.dispose());
+
+    // One trigger per 60 Hz frame for two seconds
+    let played = 0;
+    let lastNote = -Infinity;
+    for (let frame = 0; frame < 120; frame++) {
+        sound.ctx.currentTime = 1 + frame / 60;
+        const before = sound.ctx.oscillators.length;
+        sound.triggerInteractionSound(40, 0, 0);
+        if (sound.ctx.oscillators.length > before) {
+            assert.ok(sound.ctx.currentTime - lastNote >= sound.noteDensity - 1e-9);
+            lastNote = sound.ctx.currentTime;
+            played++;
+        }
+    }
+    assert.ok(played > 1 && played <= Math.floor(2 / sound.noteDensity) + 1, `${played} notes`);
+});
+
+test('muted or uninitialised managers play nothing', (t) => {
+    const silent = new SoundManager({ createContext: () => new FakeAudioContext() });
+    silent.triggerInteractionSound(40, 0, 0);
+    assert.equal(silent.ctx, null);
+
+    const sound = createSoundManager();
+    t.after(() => sound.dispose());
+    sound.toggleMute();
+    sound.ctx.currentTime = 5;
+    sound.triggerInteractionSound(40, 0, 0);
+    assert.equal(sound.ctx.oscillators.length, 0);
+});
+
+test('notes stay inside the current scale', (t) => {
+    const sound = createSoundManager();
+    t.after(() => sound.dispose());
+
+    for (let i = 0; i < 200; i++) {
+        const x = Math.sin(i) * 1.5;
+        const y = Math.cos(i * 1.7) * 1.5;
+        assert.ok(sound.currentScale.includes(sound.pickNote(x, y)));
+    }
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom } from '../random.js';
+import { SpatialGrid } from '../spatialGrid.js';
+
+const COUNT = 3000;
+const RADIUS = 12;
+
+function randomPositions(count, extent, stride = 3, seed = 1) {
+    const random = createRandom(seed);
+    const positions = new Float32Array(count * stride);
+    for (let i = 0; i < count; i++) {
+        for (let axis = 0; axis < 3; axis++) positions[i * stride + axis] = (random() * 2 - 1) * extent;
+    }
+    return positions;
+}
+
+function neighboursByGrid(grid, positions, stride, index, buffer) {
+    const x = positions[index * stride];
+    const y = positions[index * stride + 1];
+    const z = positions[index * stride + 2];
+    const found = grid.query(x, y, z, buffer);
+    const result = [];
+    for (let k = 0; k < found; k++) {
+        const j = buffer[k];
+        const dx = positions[j * stride] - x;
+        const dy = positions[j * stride + 1] - y;
+        const dz = positions[j * stride + 2] - z;
+        if (j !== index && dx * dx + dy * dy + dz * dz < RADIUS * RADIUS) result.push(j);
+    }
+    return result.sort((a, b) => a - b);
+}
+
+function neighboursByScan(positions, stride, count, index) {
+    const result = [];
+    for (let j = 0; j < count; j++) {
+        const dx = positions[j * stride] - positions[index * stride];
+        const dy = positions[j * stride + 1] - positions[index * stride + 1];
+        const dz = positions[j * stride + 2] - positions[index * stride + 2];
+        if (j !== index && dx * dx + dy * dy + dz * dz < RADIUS * RADIUS) result.push(j);
+    }
+    return result;
+}
+
+test('queries find the same neighbours as a full scan', () => {
+    for (const stride of [3, 4]) {
+        const positions = randomPositions(COUNT, 100, stride);
+        const grid = new SpatialGrid(RADIUS, COUNT);
+        grid.build(positions, COUNT, stride);
+        const buffer = new Int32Array(COUNT);
+
+        for (let i = 0; i < COUNT; i += 37) {
+            assert.deepEqual(
+                neighboursByGrid(grid, positions, stride, i, buffer),
+                neighboursByScan(positions, stride, COUNT, i),
+                `particle ${i}, stride ${stride}`,
+            );
+        }
+    }
+});
+
+test('a particle far out coarsens the cells without losing neighbours', () => {
+    const positions = randomPositions(COUNT, 100);
+    positions.set([1e6, 0, 0], 0);
+    const grid = new SpatialGrid(RADIUS, COUNT);
+    grid.build(positions, COUNT);
+    assert.ok(grid.size > RADIUS);
+
+    const buffer = new Int32Array(COUNT);
+    for (let i = 1; i < COUNT; i += 101) {
+        assert.deepEqual(neighboursByGrid(grid, positions, 3, i, buffer), neighboursByScan(positions, 3, COUNT, i));
+    }
+});
+
+test('every particle is listed once, also when all share a cell', () => {
+    const positions = new Float32Array(100 * 3).fill(0.5);
+    const grid = new SpatialGrid(RADIUS, 100);
+    grid.build(positions, 100);
+
+    const buffer = new Int32Array(200);
+    const found = grid.query(0.5, 0.5, 0.5, buffer);
+    assert.equal(found, 100);
+    assert.equal(new Set(buffer.subarray(0, found)).size, 100);
+});
+
+test('queries stop at the size of the output buffer', () => {
+    const positions = new Float32Array(50 * 3);
+    const grid = new SpatialGrid(RADIUS, 50);
+    grid.build(positions, 50);
+
+    assert.equal(grid.query(0, 0, 0, new Int32Array(8)), 8);
+});
+
+test('rebuilding forgets the previous positions', () => {
+    const grid = new SpatialGrid(RADIUS, 10);
+    grid.build(new Float32Array(30).fill(500), 10);
+    grid.build(new Float32Array(30), 4);
+
+    const buffer = new Int32Array(10);
+    assert.equal(grid.query(500, 500, 500, buffer), 0);
+    assert.deepEqual([...buffer.subarray(0, grid.query(0, 0, 0, buffer))], [0, 1, 2, 3]);
+});
+
+test('infinite and NaN positions neither hang the build nor hide finite neighbours', () => {
+    const positions = randomPositions(COUNT, 100);
+    positions.set([Infinity, 0, 0, -Infinity, NaN, 0, NaN, NaN, NaN], 0);
+    const grid = new SpatialGrid(RADIUS, COUNT);
+    grid.build(positions, COUNT);
+    assert.ok(Number.isFinite(grid.size));
+
+    const buffer = new Int32Array(COUNT);
+    for (let i = 3; i < COUNT; i += 101) {
+        assert.deepEqual(neighboursByGrid(grid, positions, 3, i, buffer), neighboursByScan(positions, 3, COUNT, i));
+    }
+    assert.equal(grid.query(NaN, 0, 0, buffer), 0);
+});
+
+test('a cloud spread beyond any useful grid becomes a single cell', () => {
+    const positions = new Float32Array([-3e38, 0, 0, 3e38, 0, 0, 0, -3e38, 0, 0, 3e38, 3e38]);
+    const grid = new SpatialGrid(RADIUS, 4);
+    grid.build(positions, 4);
+
+    assert.deepEqual(grid.cells, [1, 1, 1]);
+    assert.equal(grid.query(0, 0, 0, new Int32Array(8)), 4);
+});
@@ -0,0 +1,317 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClockSync, SyncSession } from '../sync.js';
+
+const FRAME = 16; // ms
+
+// Delivers messages between its transports when the test says so, never to the sender
+class Hub {
+    constructor() {
+        this.transports = new Set();
+        this.queue = [];
+    }
+
+    connect() {
+        const transport = {
+            onMessage: null,
+            onOpen: null,
+            send: (message) => this.queue.push([transport, structuredClone(message)]),
+            close: () => this.transports.delete(transport),
+        };
+        this.transports.add(transport);
+        return transport;
+    }
+
+    deliver() {
+        while (this.queue.length > 0) {
+            const [sender, message] = this.queue.shift();
+            for (const transport of this.transports) {
+                if (transport !== sender && transport.onMessage) transport.onMessage(message);
+            }
+        }
+    }
+}
+
+// The parts of ParticleSimulation the sync session reads and drives
+class FakeSimulation {
+    constructor() {
+        this.config = { palette: 'mono', qualityTier: 'auto' };
+        this.currentShape = 'sphere';
+        this.shapes = { isShared: (name) => !name.startsWith('image:') };
+        this.text = null;
+        this.textOptions = null;
+        this.forceFields = [];
+        this.isFrozen = false;
+        this.isReplaying = false;
+        this.fixedTimestep = null;
+        this.time = 0;
+        this.pointers = new Map();
+        this.particles = { quaternion: { toArray: () => [0, 0, 0, 1] } };
+        this.cameraRig = { getState: () => ({}) };
+        this.shapeChanges = []; // Shared time of every applied shape change
+        this.emitted = [];
+        this.sync = null;
+        this.player = { apply: (event) => this.applyEvent(event) };
+    }
+
+    applyEvent(event) {
+        switch (event.type) {
+            case 'config':
+                this.setConfig(event.changes);
+                break;
+            case 'fields':
+                this.forceFields = event.fields;
+                break;
+            case 'shape':
+                this.setShape(event.name);
+                break;
+            case 'text':
+                this.text = event.text;
+                this.textOptions = event.options;
+                break;
+            case 'pointer':
+                this.pointers.set(event.id, { x: event.x, y: event.y });
+                this.sync.share('pointer', event);
+                break;
+            case 'pointerRemove':
+                this.removePointer(event.id);
+                break;
+        }
+    }
+
+    setView() {}
+
+    emit(type, detail) {
+        this.emitted.push({ type, ...detail });
+    }
+
+    setShape(name) {
+        if (this.sync.defer('shape', { name })) return;
+        this.currentShape = name;
+        this.shapeChanges.push(this.sync.clock.time);
+    }
+
+    freeze(frozen) {
+        if (this.isFrozen === frozen || this.sync.defer('freeze', { frozen })) return;
+        this.isFrozen = frozen;
+    }
+
+    setConfig(changes) {
+        Object.assign(this.config, changes);
+        this.sync.share('config', { changes });
+    }
+
+    removePointer(id) {
+        this.pointers.delete(id);
+    }
+
+    alignTo(drift) {
+        this.time += drift;
+    }
+}
+
+// Screens on one hub with their own clocks, started offset ms apart from the test clock
+function createInstallation() {
+    const hub = new Hub();
+    const screens = [];
+    let time = 0;
+
+    const join = (clockOffset = 0) => {
+        const sim = new FakeSimulation();
+        const screen = { sim, isRunning: true };
+        sim.sync = new SyncSession(sim, {
+            transport: hub.connect(),
+            now: () => time + clockOffset,
+            wallClock: () => 1_700_000_000_000 + time,
+        });
+        screen.sync = sim.sync;
+        screens.push(screen);
+        hub.deliver();
+        return screen;
+    };
+
+    const run = (ms) => {
+        for (let elapsed = 0; elapsed < ms; elapsed += FRAME) {
+            time += FRAME;
+            for (const screen of screens) {
+                if (screen.isRunning) screen.sync.update();
+            }
+            hub.deliver();
+        }
+    };
+
+    return { hub, join, run };
+}
+
+test('the first screen leads and a later one receives its state', () => {
+    const { join, run } = createInstallation();
+    const first = join();
+    run(2000);
+    assert.equal(first.sync.isLeader, true);
+
+    first.sim.setConfig({ palette: 'ocean' });
+    first.sim.setShape('cube');
+    first.sim.freeze(true);
+
+    const second = join();
+    second.sim.config.qualityTier = 'low';
+    run(500);
+
+    assert.equal(second.sync.isLeader, false);
+    assert.equal(second.sync.leaderId, first.sync.id);
+    assert.equal(second.sim.config.palette, 'ocean');
+    assert.equal(second.sim.config.qualityTier, 'low', 'per-screen settings stay local');
+    assert.equal(second.sim.currentShape, 'cube');
+    assert.equal(second.sim.isFrozen, true);
+});
+
+test('a joining screen keeps its shape while the leader shows an imported one', () => {
+    const { join, run } = createInstallation();
+    const first = join();
+    run(2000);
+    first.sim.currentShape = 'image:logo.png';
+
+    const second = join();
+    run(500);
+
+    assert.equal(second.sync.hasState, true);
+    assert.equal(second.sim.currentShape, 'sphere');
+});
+
+test('a joining screen gets the text with its options', () => {
+    const { join, run } = createInstallation();
+    const first = join();
+    run(2000);
+    first.sim.text = 'Hello';
+    first.sim.textOptions = { fontFamily: 'Georgia', fontWeight: 400 };
+
+    const second = join();
+    run(500);
+
+    assert.equal(second.sim.text, 'Hello');
+    assert.deepEqual(second.sim.textOptions, { fontFamily: 'Georgia', fontWeight: 400 });
+});
+
+test('shape changes start at the same shared time on every screen', () => {
+    const { join, run } = createInstallation();
+    const first = join(0);
+    run(2000);
+    // This screen's clock started 7.3 s apart from the leader's
+    const second = join(7300);
+    run(3000);
+
+    assert.ok(Math.abs(second.sync.clock.time - first.sync.clock.time) < 1, 'clocks agree');
+
+    second.sim.setShape('torus');
+    assert.equal(second.sim.currentShape, 'sphere', 'held back until the shared start');
+    run(500);
+
+    assert.equal(first.sim.currentShape, 'torus');
+    assert.equal(second.sim.currentShape, 'torus');
+    const [a] = first.sim.shapeChanges;
+    const [b] = second.sim.shapeChanges;
+    assert.ok(Math.abs(a - b) <= FRAME, `started ${Math.abs(a - b)} ms apart`);
+});
+
+test('the next oldest screen takes over when the leader goes away', () => {
+    const { join, run } = createInstallation();
+    const first = join();
+    run(2000);
+    const second = join();
+    run(500);
+    const third = join();
+    run(500);
+    assert.equal(third.sync.leaderId, first.sync.id);
+
+    // A clean exit says goodbye
+    first.sync.destroy();
+    first.isRunning = false;
+    run(FRAME);
+    assert.equal(second.sync.isLeader, true);
+    assert.equal(third.sync.leaderId, second.sync.id);
+
+    // A crashed one times out
+    second.isRunning = false;
+    run(4000);
+    assert.equal(third.sync.isLeader, true);
+});
+
+test('screens started together agree on one leader', () => {
+    const { join, run } = createInstallation();
+    const screens = [join(), join(), join()];
+    run(2000);
+
+    const leaders = new Set(screens.map((screen) => screen.sync.leaderId));
+    assert.equal(leaders.size, 1);
+    assert.equal(screens.filter((screen) => screen.sync.isLeader).length, 1);
+});
+
+test('a screen that joins never takes over with its fresh state', () => {
+    const { join, run } = createInstallation();
+    const first = join();
+    run(2000);
+    first.sim.setShape('cube');
+
+    // Joined with a wall clock that claims an earlier start
+    const second = join();
+    second.sync.joinedAt -= 60_000;
+    run(500);
+
+    assert.equal(second.sync.leaderId, first.sync.id);
+    assert.equal(second.sim.currentShape, 'cube');
+});
+
+test('remote pointers get their own ids and leave with their screen', () => {
+    const { join, run } = createInstallation();
+    const first = join();
+    run(2000);
+    const second = join();
+    run(500);
+
+    first.sim.player.apply({ type: 'pointer', id: 'mouse', x: 0.5, y: 0 });
+    run(FRAME);
+    const id = `${first.sync.id}:mouse`;
+    assert.ok(second.sim.pointers.has(id));
+    assert.ok(!second.sim.pointers.has('mouse'));
+
+    first.sync.destroy();
+    first.isRunning = false;
+    run(FRAME);
+    assert.equal(second.sim.pointers.size, 0);
+});
+
+test('remote input is not sent on again', () => {
+    const { hub, join, run } = createInstallation();
+    const first = join();
+    run(2000);
+    const second = join();
+    run(500);
+
+    const sent = [];
+    const send = hub.queue.push.bind(hub.queue);
+    hub.queue.push = (entry) => {
+        sent.push(entry[1]);
+        return send(entry);
+    };
+    first.sim.setConfig({ palette: 'ember' });
+    run(FRAME);
+
+    assert.equal(second.sim.config.palette, 'ember');
+    const events = sent.filter((message) => message.type === 'event');
+    assert.deepEqual(events.map((message) => message.from), [first.sync.id]);
+});
+
+test('the clock keeps the offset of the fastest round trip', () => {
+    let now = 0;
+    const clock = new ClockSync(() => now);
+    assert.equal(clock.isSynced, false);
+
+    // The leader's clock is 1000 ms ahead, replies come back with uneven delays
+    clock.addSample(0, 1040, 100); // Slow: 100 ms round trip, replied after 40
+    clock.addSample(200, 1205, 210); // Fast: 10 ms round trip
+    clock.addSample(300, 1390, 380);
+
+    now = 500;
+    assert.equal(clock.offset, 1000);
+    assert.equal(clock.time, 1500);
+});
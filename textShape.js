@@ -0,0 +1,107 @@
+// ============================================
+// Text Shapes (rasterized glyphs)
+// ============================================
+
+const FONT_SIZE = 160;
+const MAX_CANVAS_WIDTH = 2048;
+const LINE_HEIGHT = 1.1;
+
+// Fits the text into this box in world units
+const MAX_WIDTH = 320;
+const MAX_HEIGHT = 200;
+
+export const defaultTextOptions = {
+    fontFamily: 'Inter',
+    fontWeight: 700,
+    depth: 20, // Extrusion along z
+};
+
+// Make sure the web font is usable before drawing, otherwise the fallback font is rasterized
+export async function loadTextFont(options = {}) {
+    const { fontFamily, fontWeight } = { ...defaultTextOptions, ...options };
+    if (document.fonts) {
+        await document.fonts.load(`${fontWeight} ${FONT_SIZE}px "${fontFamily}"`);
+    }
+}
+
+// Returns the filled glyph pixels as [x0, y0, x1, y1, ...] plus the bitmap size
+export function rasterizeText(text, options = {}) {
+    const { fontFamily, fontWeight } = { ...defaultTextOptions, ...options };
+    const lines = String(text).split('\n');
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    let fontSize = FONT_SIZE;
+    const font = (size) => `${fontWeight} ${size}px "${fontFamily}", sans-serif`;
+
+    ctx.font = font(fontSize);
+    let textWidth = Math.max(...lines.map((line) => ctx.measureText(line).width));
+
+    // Long strings shrink instead of growing the canvas without bound
+    if (textWidth > MAX_CANVAS_WIDTH) {
+        fontSize = Math.floor(fontSize * MAX_CANVAS_WIDTH / textWidth);
+        ctx.font = font(fontSize);
+        textWidth = Math.max(...lines.map((line) => ctx.measureText(line).width));
+    }
+
+    const padding = Math.ceil(fontSize * 0.1);
+    canvas.width = Math.max(1, Math.ceil(textWidth) + padding * 2);
+    canvas.height = Math.ceil(lines.length * fontSize * LINE_HEIGHT) + padding * 2;
+
+    // Resizing resets the context state
+    ctx.font = font(fontSize);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    lines.forEach((line, index) => {
+        const y = padding + (index + 0.5) * fontSize * LINE_HEIGHT;
+        ctx.fillText(line, canvas.width / 2, y);
+    });
+
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = [];
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            if (data[(y * canvas.width + x) * 4 + 3] > 127) {
+                pixels.push(x, y);
+            }
+        }
+    }
+
+    return {
+        pixels: new Uint16Array(pixels),
+        width: canvas.width,
+        height: canvas.height,
+    };
+}
+
+// Builds a shape generator (see shapes.js) sampling particles from the glyph pixels
+export function createTextGenerator(text, options = {}) {
+    const { depth } = { ...defaultTextOptions, ...options };
+    const { pixels, width, height } = rasterizeText(text, options);
+    const pixelCount = pixels.length / 2;
+    const scale = Math.min(MAX_WIDTH / width, MAX_HEIGHT / height);
+
+    return (target, count, random) => {
+        for (let i = 0; i < count; i++) {
+            let x = 0;
+            let y = 0;
+
+            // Empty strings collapse to the centre instead of failing
+            if (pixelCount > 0) {
+                const p = Math.floor(random() * pixelCount) * 2;
+                x = pixels[p] + random();
+                y = pixels[p + 1] + random();
+            } else {
+                x = width / 2;
+                y = height / 2;
+            }
+
+            target[i * 3] = (x - width / 2) * scale;
+            target[i * 3 + 1] = (height / 2 - y) * scale;
+            target[i * 3 + 2] = (random() - 0.5) * depth;
+        }
+    };
+}
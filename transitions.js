@@ -0,0 +1,170 @@
+// ============================================
+// Shape Transitions (choreographed morphs)
+// ============================================
+
+export const easings = {
+    linear: (t) => t,
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeOutBack: (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+};
+
+// Stagger orderings: which particles set off first
+export const transitionOrders = ['none', 'height', 'radial', 'random', 'wave'];
+
+export const defaultTransitionOptions = {
+    duration: 1.6, // Seconds, 0 jumps straight to the target
+    easing: 'easeInOutCubic',
+    order: 'radial',
+    stagger: 0.4, // Share of the duration spent staggering start times
+    explode: 0, // Outward burst before reassembling, in world units
+    matchByProximity: true, // Pair particles with nearby targets
+};
+
+// 10 bits per axis Morton code, the box comfortably contains every shape
+const MORTON_EXTENT = 256;
+
+function spreadBits(v) {
+    v = (v | (v << 16)) & 0x030000FF;
+    v = (v | (v << 8)) & 0x0300F00F;
+    v = (v | (v << 4)) & 0x030C30C3;
+    v = (v | (v << 2)) & 0x09249249;
+    return v;
+}
+
+function mortonCode(x, y, z) {
+    const quantize = (value) => Math.max(0, Math.min(1023, Math.floor((value / MORTON_EXTENT + 0.5) * 1024)));
+    return ((spreadBits(quantize(x)) << 2) | (spreadBits(quantize(y)) << 1) | spreadBits(quantize(z))) >>> 0;
+}
+
+// Indices sorted along a space-filling curve, equal codes in index order. A stable
+// radix sort over the 30 bit codes, 10 bits per pass, at any particle count.
+function sortBySpace(positions, count) {
+    const codes = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+        codes[i] = mortonCode(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    }
+
+    let order = new Uint32Array(count);
+    let sorted = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+
+    const starts = new Uint32Array(1025);
+    for (let shift = 0; shift < 30; shift += 10) {
+        starts.fill(0);
+        for (let i = 0; i < count; i++) starts[((codes[order[i]] >>> shift) & 1023) + 1]++;
+        for (let bucket = 0; bucket < 1024; bucket++) starts[bucket + 1] += starts[bucket];
+        for (let i = 0; i < count; i++) sorted[starts[(codes[order[i]] >>> shift) & 1023]++] = order[i];
+        [order, sorted] = [sorted, order];
+    }
+    return order;
+}
+
+// Pairs particles and targets by their rank along the same curve, so each
+// particle travels to a target in its own neighbourhood
+export function matchByProximity(from, to, count) {
+    const fromOrder = sortBySpace(from, count);
+    const toOrder = sortBySpace(to, count);
+
+    const mapping = new Uint32Array(count);
+    for (let rank = 0; rank < count; rank++) {
+        mapping[fromOrder[rank]] = toOrder[rank];
+    }
+    return mapping;
+}
+
+function computeDelays(to, mapping, count, order, random) {
+    const delays = new Float32Array(count);
+    if (order === 'none') return delays;
+
+    let direction = null;
+    if (order === 'wave') {
+        // Sweep along a random direction
+        const phi = Math.acos(2 * random() - 1);
+        const theta = random() * Math.PI * 2;
+        direction = [Math.sin(phi) * Math.cos(theta), Math.sin(phi) * Math.sin(theta), Math.cos(phi)];
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i++) {
+        const t = (mapping ? mapping[i] : i) * 3;
+        const x = to[t];
+        const y = to[t + 1];
+        const z = to[t + 2];
+
+        let key;
+        if (order === 'height') key = y;
+        else if (order === 'radial') key = Math.sqrt(x * x + y * y + z * z);
+        else if (order === 'wave') key = x * direction[0] + y * direction[1] + z * direction[2];
+        else key = random();
+
+        delays[i] = key;
+        min = Math.min(min, key);
+        max = Math.max(max, key);
+    }
+
+    const range = max - min || 1;
+    for (let i = 0; i < count; i++) {
+        delays[i] = (delays[i] - min) / range;
+    }
+    return delays;
+}
+
+export class ShapeTransition {
+    constructor(from, to, count, options, random, startTime) {
+        this.options = { ...defaultTransitionOptions, ...options };
+        this.count = count;
+        this.startTime = startTime;
+        this.progress = 0;
+        this.isComplete = false;
+
+        // The starting layout is copied, `from` is usually the array being animated
+        this.from = from.slice(0, count * 3);
+        this.to = to;
+        this.easing = easings[this.options.easing] || easings.easeInOutCubic;
+        this.mapping = this.options.matchByProximity ? matchByProximity(this.from, to, count) : null;
+        this.delays = computeDelays(to, this.mapping, count, this.options.order, random);
+    }
+
+    // Writes the in-between targets into out and returns the overall progress (0-1)
+    update(time, out) {
+        const { duration, stagger, explode } = this.options;
+        const elapsed = Math.max(0, time - this.startTime);
+        const overall = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+
+        const staggerShare = Math.min(Math.max(stagger, 0), 0.95);
+        const span = 1 - staggerShare;
+        const from = this.from;
+        const to = this.to;
+
+        for (let i = 0; i < this.count; i++) {
+            const local = Math.min(Math.max((overall - this.delays[i] * staggerShare) / span, 0), 1);
+            const eased = this.easing(local);
+
+            const i3 = i * 3;
+            const t3 = this.mapping ? this.mapping[i] * 3 : i3;
+            let x = from[i3] + (to[t3] - from[i3]) * eased;
+            let y = from[i3 + 1] + (to[t3 + 1] - from[i3 + 1]) * eased;
+            let z = from[i3 + 2] + (to[t3 + 2] - from[i3 + 2]) * eased;
+
+            if (explode > 0 && local > 0 && local < 1) {
+                // Burst outward from the old layout, peaking halfway
+                const length = Math.sqrt(from[i3] * from[i3] + from[i3 + 1] * from[i3 + 1] + from[i3 + 2] * from[i3 + 2]) || 1;
+                const burst = Math.sin(Math.PI * local) * explode / length;
+                x += from[i3] * burst;
+                y += from[i3 + 1] * burst;
+                z += from[i3 + 2] * burst;
+            }
+
+            out[i3] = x;
+            out[i3 + 1] = y;
+            out[i3 + 2] = z;
+        }
+
+        this.progress = overall;
+        this.isComplete = overall >= 1;
+        return overall;
+    }
+}